@@ -9,13 +9,65 @@ document.addEventListener("DOMContentLoaded", () => {
   const connectBtn = document.getElementById("connectBtn");
   const startBtn = document.getElementById("startBtn");
   const stopBtn = document.getElementById("stopBtn");
+  const modeSelect = document.getElementById("modeSelect");
+  const sendAllAudioInput = document.getElementById("sendAllAudio");
+  const vadSensitivityInput = document.getElementById("vadSensitivity");
+  const vadIndicator = document.getElementById("vadIndicator");
+  const settingsForm = document.getElementById("settingsForm");
+  const settingsErrors = document.getElementById("settingsErrors");
+  const resetSettingsBtn = document.getElementById("resetSettingsBtn");
+  const profileSelect = document.getElementById("profileSelect");
+  const profileForm = document.getElementById("profileForm");
+  const profileErrors = document.getElementById("profileErrors");
+  const deleteProfileBtn = document.getElementById("deleteProfileBtn");
   const clearLogBtn = document.getElementById("clearLogBtn");
-  const chatMessages = document.getElementById("chatMessages");
+  const textComposer = document.getElementById("textComposer");
+  const textInput = document.getElementById("textInput");
+  const sendTextBtn = document.getElementById("sendTextBtn");
+  const summaryBtn = document.getElementById("summaryBtn");
+  const exportActions = document.getElementById("exportActions");
+  const recordingPanel = document.getElementById("recordingPanel");
+  const recordSessionInput = document.getElementById("recordSession");
+  const recordingChannelsSelect = document.getElementById("recordingChannels");
+  const recordingClips = document.getElementById("recordingClips");
+  const downloadRecordingBtn = document.getElementById("downloadRecordingBtn");
+  const audioFileInput = document.getElementById("audioFileInput");
+  const fileStreamModeSelect = document.getElementById("fileStreamMode");
+  const cancelFileBtn = document.getElementById("cancelFileBtn");
+  const saveRecordingToHistoryInput = document.getElementById(
+    "saveRecordingToHistory"
+  );
+  const newConversationBtn = document.getElementById("newConversationBtn");
+  const historySearch = document.getElementById("historySearch");
+  const historyList = document.getElementById("historyList");
+  const inspectorCount = document.getElementById("inspectorCount");
+  const inspectorType = document.getElementById("inspectorType");
+  const inspectorSent = document.getElementById("inspectorSent");
+  const inspectorReceived = document.getElementById("inspectorReceived");
+  const inspectorSearch = document.getElementById("inspectorSearch");
+  const inspectorGroup = document.getElementById("inspectorGroup");
+  const inspectorAbbreviate = document.getElementById("inspectorAbbreviate");
+  const inspectorKeepAudio = document.getElementById("inspectorKeepAudio");
+  const inspectorPauseBtn = document.getElementById("inspectorPauseBtn");
+  const inspectorExportBtn = document.getElementById("inspectorExportBtn");
+  const inspectorClearBtn = document.getElementById("inspectorClearBtn");
+  const metricsCount = document.getElementById("metricsCount");
+  const metricsExportBtn = document.getElementById("metricsExportBtn");
+  const metricsClearBtn = document.getElementById("metricsClearBtn");
+  const captureEventsInput = document.getElementById("captureEvents");
+  const captureCount = document.getElementById("captureCount");
+  const downloadCaptureBtn = document.getElementById("downloadCaptureBtn");
+  const replayFileInput = document.getElementById("replayFileInput");
+  const replayPlayBtn = document.getElementById("replayPlayBtn");
+  const replayStepBtn = document.getElementById("replayStepBtn");
+  const replaySpeedSelect = document.getElementById("replaySpeed");
+  const replayCloseBtn = document.getElementById("replayCloseBtn");
+  const replaySeek = document.getElementById("replaySeek");
+  const replayPosition = document.getElementById("replayPosition");
+  const rateLimitsElement = document.getElementById("rateLimits");
 
   // Estado da aplicação
   let isRecording = false;
-  let currentUserMessage = "";
-  let currentAssistantMessage = "";
   let audioBufferHasData = false; // Flag para controlar se áudio foi enviado
 
   // Inicializa o sistema de áudio
@@ -34,6 +86,8 @@ document.addEventListener("DOMContentLoaded", () => {
     connectBtn.innerHTML = '<i class="fas fa-times-circle"></i> Desconectar';
     connectBtn.classList.remove("primary");
     connectBtn.classList.add("danger");
+    setComposerEnabled(true);
+    profileSelect.disabled = true;
 
     logger.success("Conectado ao servidor OpenAI Realtime");
   };
@@ -44,6 +98,8 @@ document.addEventListener("DOMContentLoaded", () => {
     connectBtn.innerHTML = '<i class="fas fa-plug"></i> Conectar';
     connectBtn.classList.remove("danger");
     connectBtn.classList.add("primary");
+    setComposerEnabled(false);
+    profileSelect.disabled = false;
 
     // Se estiver gravando, para a gravação
     if (isRecording) {
@@ -53,28 +109,150 @@ document.addEventListener("DOMContentLoaded", () => {
     logger.info("Desconectado do servidor OpenAI Realtime");
   };
 
-  webSocketManager.onTextResponse = (text, isDone) => {
-    // Adiciona texto à mensagem atual do assistente
-    if (text) {
-      currentAssistantMessage += text;
-      updateOrCreateAssistantMessage(currentAssistantMessage);
-    } else {
-      logger.warning("Texto vazio recebido do servidor");
+  webSocketManager.onRateLimitsChanged = (
+    limits,
+    { isThrottled, queued, resumeAt }
+  ) => {
+    const wasThrottled = rateLimitsElement.classList.contains("throttled");
+    rateLimitsElement.hidden = limits.length === 0;
+    rateLimitsElement.classList.toggle("throttled", isThrottled);
+
+    let text = limits.map(formatRateLimit).join(" · ");
+    if (isThrottled) {
+      const time = new Date(resumeAt).toLocaleTimeString();
+      text += ` · respostas pausadas até ${time}`;
+      if (queued > 0) text += ` (${queued} na fila)`;
+    }
+    rateLimitsElement.textContent = text;
+
+    if (isThrottled && !wasThrottled) {
+      chatView.addSystemMessage(
+        "Limites de uso quase esgotados — as respostas aguardam a renovação"
+      );
+    } else if (!isThrottled && wasThrottled) {
+      chatView.addSystemMessage("Limites de uso renovados");
     }
+  };
+
+  // Erros classificados pelo WebSocketManager viram notificações
+  webSocketManager.onError = (error) => {
+    if (error.policy === "ignore") return;
+
+    const titles = {
+      transport: "Conexão",
+      protocol: "Mensagem inválida do servidor",
+      server: "Erro do servidor",
+    };
+    const recovery = {
+      retry:
+        error.category === "transport"
+          ? "Reconectando..."
+          : "Tentando novamente...",
+      "reset-buffer": "O buffer de áudio foi descartado.",
+      "recreate-session": "Criando uma nova sessão com a conversa atual...",
+    };
+    const levels = {
+      retry: "warning",
+      "reset-buffer": "info",
+      "recreate-session": "warning",
+    };
 
-    // Se a resposta está completa, limpa a mensagem atual
-    if (isDone) {
-      currentAssistantMessage = "";
+    const actions = [];
+    if (error.category === "transport" && error.policy === "surface") {
+      actions.push({
+        label: "Reconectar",
+        onClick: () => webSocketManager.connect(),
+      });
     }
+
+    notificationCenter.show({
+      key: `${error.category}:${error.code || error.kind}`,
+      level:
+        error.category === "protocol"
+          ? "warning"
+          : levels[error.policy] || "error",
+      title: titles[error.category],
+      message: [error.message, recovery[error.policy]]
+        .filter(Boolean)
+        .join(" — "),
+      actions,
+    });
+  };
+
+  webSocketManager.onConnectionLost = () => {
+    startBtn.disabled = true;
+    stopBtn.disabled = true;
+    setComposerEnabled(false);
+
+    // Encerra a gravação e a resposta em andamento: a sessão do servidor se perdeu
+    if (isRecording) {
+      stopRecording();
+    }
+    audioManager.stopPlayback();
+
+    chatView.addSystemMessage("Conexão perdida — reconectando...");
   };
 
-  webSocketManager.onAudioResponse = (audioData, isDone) => {
-    // Se temos dados de áudio, adiciona à fila de reprodução
-    if (audioData) {
+  webSocketManager.onSessionRestored = ({ itemCount }) => {
+    chatView.addSystemMessage(
+      itemCount > 0
+        ? `Sessão restaurada (${itemCount} itens reenviados)`
+        : "Nova sessão iniciada"
+    );
+  };
+
+  webSocketManager.onAudioCommitted = () => {
+    // O item do usuário agora existe no modelo da conversa
+    chatView.clearDraft();
+  };
+
+  webSocketManager.onAudioResponse = (audioData, isDone, itemId) => {
+    // Se temos dados de áudio, adiciona à fila de reprodução (exceto ao
+    // avançar uma captura sem espera)
+    if (audioData && !eventReplayer.isSeeking) {
       console.log(`Dados de áudio recebidos: ${audioData.length} bytes`);
-      audioManager.enqueueAudio(audioData);
+      audioManager.enqueueAudio(audioData, itemId);
+      sessionRecorder.recordOutput(audioData, itemId);
     } else if (isDone) {
-      logger.info("Reprodução de áudio concluída");
+      audioManager.markStreamEnded();
+      logger.info("Recebimento de áudio concluído");
+    }
+  };
+
+  webSocketManager.onOutputItemAdded = (item) => {
+    // O item passa a ser o alvo de uma interrupção antes mesmo do primeiro áudio
+    if (item.type === "message" && !eventReplayer.isSeeking) {
+      audioManager.beginItem(item.id);
+    }
+  };
+
+  webSocketManager.onSpeechStarted = () => {
+    interruptAssistant();
+
+    // No modo mãos livres, cada fala detectada pelo servidor é um novo turno
+    if (isHandsFree() && isRecording) {
+      chatView.showDraft("Ouvindo...");
+    }
+  };
+
+  // Ferramenta de exemplo disponível para o modelo
+  webSocketManager.registerTool(
+    "obter_data_hora",
+    {
+      description: "Retorna a data e a hora atuais do usuário",
+      parameters: { type: "object", properties: {} },
+    },
+    async () => ({
+      data_hora: new Date().toLocaleString("pt-BR"),
+      fuso_horario: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    })
+  );
+
+  // Envia as alterações de configuração para a sessão ativa
+  settingsManager.onChange = () => {
+    if (webSocketManager.sessionId) {
+      webSocketManager.applySettings();
+      logger.info("Configurações aplicadas à sessão ativa");
     }
   };
 
@@ -87,6 +265,7 @@ document.addEventListener("DOMContentLoaded", () => {
         const success = webSocketManager.appendAudioBuffer(audioData);
         if (success) {
           audioBufferHasData = true; // Marca que áudio foi enviado com sucesso
+          sessionRecorder.recordInput(audioData);
           console.log(`Dados de áudio enviados: ${audioData.length} amostras`);
         } else {
           logger.error("Falha ao enviar dados de áudio");
@@ -97,6 +276,42 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   };
 
+  // Configura os callbacks da entrada por arquivo
+  audioFileSource.onStart = (fileName) => {
+    cancelFileBtn.hidden = false;
+    startBtn.disabled = true;
+    chatView.showDraft(`Enviando arquivo: ${fileName}`);
+  };
+
+  audioFileSource.onChunk = (pcmData) => {
+    sessionRecorder.recordInput(pcmData);
+  };
+
+  audioFileSource.onProgress = (sentMs, totalMs) => {
+    const percent = Math.round((sentMs / totalMs) * 100);
+    chatView.showDraft(`Enviando arquivo... ${percent}%`);
+  };
+
+  audioFileSource.onComplete = () => {
+    cancelFileBtn.hidden = true;
+    startBtn.disabled = !webSocketManager.isConnected;
+    chatView.showDraft("Arquivo de áudio enviado");
+  };
+
+  audioFileSource.onCancel = () => {
+    cancelFileBtn.hidden = true;
+    startBtn.disabled = !webSocketManager.isConnected;
+    chatView.clearDraft();
+  };
+
+  audioManager.onSpeechStart = () => {
+    vadIndicator.classList.add("active");
+  };
+
+  audioManager.onSpeechEnd = () => {
+    vadIndicator.classList.remove("active");
+  };
+
   audioManager.onRecordingStart = () => {
     isRecording = true;
     audioBufferHasData = false; // Reset da flag a cada início de gravação
@@ -105,10 +320,16 @@ document.addEventListener("DOMContentLoaded", () => {
     startBtn.classList.add("recording");
     startBtn.disabled = true;
     stopBtn.disabled = false;
+    modeSelect.disabled = true;
 
-    // Adiciona uma nova mensagem do usuário
-    currentUserMessage = "Gravando...";
-    createUserMessage(currentUserMessage);
+    if (isHandsFree()) {
+      // O VAD do servidor decide quando cada turno começa e termina
+      logger.info("Microfone aberto, o servidor detecta os turnos de fala");
+      return;
+    }
+
+    // Exibe um rascunho até o servidor confirmar o áudio
+    chatView.showDraft("Gravando...");
 
     logger.info("Gravação iniciada, enviando áudio para o servidor");
   };
@@ -118,26 +339,43 @@ document.addEventListener("DOMContentLoaded", () => {
 
     // Atualiza a UI
     startBtn.classList.remove("recording");
-    startBtn.disabled = false;
+    startBtn.disabled = !webSocketManager.isConnected;
     stopBtn.disabled = true;
+    modeSelect.disabled = false;
+
+    if (isHandsFree()) {
+      // Descarta a fala incompleta que o servidor ainda não confirmou
+      if (webSocketManager.isConnected) {
+        webSocketManager.clearAudioBuffer();
+      }
+      chatView.clearDraft();
+      return;
+    }
 
     // Confirma o buffer de áudio somente se dados foram enviados
-    if (audioBufferHasData) {
+    if (!webSocketManager.isConnected) {
+      chatView.clearDraft();
+      chatView.addSystemMessage("Gravação interrompida: conexão perdida");
+      logger.warning("Gravação interrompida: conexão perdida");
+    } else if (audioBufferHasData) {
       logger.info("Enviando comando para processar o áudio");
       webSocketManager.commitAudioBuffer();
-      currentUserMessage = "Mensagem de voz enviada";
+      webSocketManager.createResponse();
+      chatView.showDraft("Mensagem de voz enviada");
     } else {
-      currentUserMessage = "Nenhum áudio foi enviado nesta gravação";
+      chatView.clearDraft();
+      chatView.addSystemMessage("Nenhum áudio foi enviado nesta gravação");
       logger.warning("Nenhum áudio foi enviado nesta gravação");
     }
-
-    updateUserMessage(currentUserMessage);
   };
 
   // Configura os event listeners dos botões
   connectBtn.addEventListener("click", () => {
     if (webSocketManager.isConnected) {
       webSocketManager.disconnect();
+    } else if (conversationHistory.viewingId || eventReplayer.isActive) {
+      // Conversas abertas para leitura ou reproduzidas não continuam ao conectar
+      startNewConversation().then(() => webSocketManager.connect());
     } else {
       webSocketManager.connect();
     }
@@ -156,6 +394,313 @@ document.addEventListener("DOMContentLoaded", () => {
     stopRecording();
   });
 
+  modeSelect.addEventListener("change", () => {
+    webSocketManager.setConversationMode(modeSelect.value);
+    updateModeButtons();
+  });
+
+  sendAllAudioInput.addEventListener("change", () => {
+    audioManager.setSendAllAudio(sendAllAudioInput.checked);
+  });
+
+  vadSensitivityInput.addEventListener("input", () => {
+    audioManager.vad.setSensitivity(vadSensitivityInput.value);
+  });
+
+  profileSelect.addEventListener("change", () => {
+    connectionProfiles.setActiveProfile(profileSelect.value);
+    fillProfileForm(connectionProfiles.getActiveProfile());
+    showFormErrors(profileErrors, []);
+  });
+
+  profileForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+
+    const values = Object.fromEntries(new FormData(profileForm).entries());
+    const errors = connectionProfiles.saveProfile(values);
+    showFormErrors(profileErrors, errors);
+
+    if (errors.length === 0) {
+      populateProfileSelect();
+      if (webSocketManager.isConnected) {
+        logger.info("O novo perfil será usado na próxima conexão");
+      }
+    }
+  });
+
+  deleteProfileBtn.addEventListener("click", () => {
+    connectionProfiles.deleteProfile(profileForm.elements.name.value.trim());
+    populateProfileSelect();
+    fillProfileForm(connectionProfiles.getActiveProfile());
+  });
+
+  settingsForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+
+    const values = Object.fromEntries(new FormData(settingsForm).entries());
+    const errors = settingsManager.update(values);
+    showFormErrors(settingsErrors, errors);
+  });
+
+  resetSettingsBtn.addEventListener("click", () => {
+    settingsManager.reset();
+    fillSettingsForm(settingsManager.settings);
+    showFormErrors(settingsErrors, []);
+  });
+
+  textComposer.addEventListener("submit", (event) => {
+    event.preventDefault();
+    sendTextMessage();
+  });
+
+  summaryBtn.addEventListener("click", () => {
+    requestSummary();
+  });
+
+  exportActions.addEventListener("click", (event) => {
+    const button = event.target.closest("button[data-format]");
+    if (!button) return;
+
+    transcriptExporter.download(button.dataset.format, {
+      sessionId:
+        webSocketManager.sessionId || webSocketManager.previousSessionId,
+      conversationId: webSocketManager.conversationId,
+    });
+  });
+
+  recordSessionInput.addEventListener("change", () => {
+    if (recordSessionInput.checked) {
+      sessionRecorder.start();
+    } else {
+      sessionRecorder.stop();
+      if (saveRecordingToHistoryInput.checked && sessionRecorder.hasData()) {
+        conversationHistory.saveAudio(sessionRecorder.toWav());
+      }
+    }
+    updateRecordingPanel();
+  });
+
+  recordingChannelsSelect.addEventListener("change", () => {
+    sessionRecorder.channelMode = recordingChannelsSelect.value;
+  });
+
+  recordingPanel.addEventListener("toggle", () => {
+    if (recordingPanel.open) updateRecordingPanel();
+  });
+
+  downloadRecordingBtn.addEventListener("click", () => {
+    sessionRecorder.downloadSession();
+    updateRecordingPanel();
+  });
+
+  audioFileInput.addEventListener("change", () => {
+    const [file] = audioFileInput.files;
+    audioFileInput.value = "";
+    if (file) sendAudioFile(file);
+  });
+
+  cancelFileBtn.addEventListener("click", () => {
+    audioFileSource.cancel();
+  });
+
+  // Arquivos de áudio soltos em qualquer ponto da página
+  document.addEventListener("dragover", (event) => {
+    event.preventDefault();
+    document.body.classList.add("drag-over");
+  });
+
+  document.addEventListener("dragleave", (event) => {
+    if (!event.relatedTarget) {
+      document.body.classList.remove("drag-over");
+    }
+  });
+
+  document.addEventListener("drop", (event) => {
+    event.preventDefault();
+    document.body.classList.remove("drag-over");
+
+    const [file] = event.dataTransfer.files;
+    if (!file) return;
+
+    if (/\.(jsonl|ndjson)$/i.test(file.name)) {
+      openReplay(file);
+    } else {
+      sendAudioFile(file);
+    }
+  });
+
+  conversationHistory.onListChanged = () => {
+    renderHistoryList();
+  };
+
+  newConversationBtn.addEventListener("click", () => {
+    startNewConversation();
+  });
+
+  historySearch.addEventListener("input", () => {
+    renderHistoryList();
+  });
+
+  // Configura o inspetor de protocolo
+  protocolInspector.onTypesChanged = (types) => {
+    const selected = inspectorType.value;
+    inspectorType.innerHTML = '<option value="">Todos os tipos</option>';
+    types.forEach((type) => {
+      const option = document.createElement("option");
+      option.value = type;
+      option.textContent = type;
+      inspectorType.appendChild(option);
+    });
+    inspectorType.value = types.includes(selected) ? selected : "";
+  };
+
+  protocolInspector.onCountChanged = (total, pending) => {
+    inspectorCount.textContent = pending
+      ? `(${total} eventos, ${pending} novos)`
+      : `(${total} eventos)`;
+  };
+
+  const updateInspectorFilters = () => {
+    protocolInspector.setFilters({
+      type: inspectorType.value,
+      directions: {
+        sent: inspectorSent.checked,
+        received: inspectorReceived.checked,
+      },
+      search: inspectorSearch.value,
+    });
+  };
+  inspectorType.addEventListener("change", updateInspectorFilters);
+  inspectorSent.addEventListener("change", updateInspectorFilters);
+  inspectorReceived.addEventListener("change", updateInspectorFilters);
+  inspectorSearch.addEventListener("input", updateInspectorFilters);
+
+  inspectorGroup.addEventListener("change", () => {
+    protocolInspector.setGroupByResponse(inspectorGroup.checked);
+  });
+
+  inspectorAbbreviate.addEventListener("change", () => {
+    protocolInspector.setAbbreviateAudio(inspectorAbbreviate.checked);
+  });
+
+  inspectorKeepAudio.addEventListener("change", () => {
+    protocolInspector.setKeepAudio(inspectorKeepAudio.checked);
+  });
+
+  inspectorPauseBtn.addEventListener("click", () => {
+    protocolInspector.setPaused(!protocolInspector.isPaused);
+    inspectorPauseBtn.textContent = protocolInspector.isPaused
+      ? "Retomar"
+      : "Pausar";
+  });
+
+  inspectorExportBtn.addEventListener("click", () => {
+    protocolInspector.exportJSONL();
+  });
+
+  inspectorClearBtn.addEventListener("click", () => {
+    protocolInspector.clear();
+  });
+
+  // Configura o painel de métricas
+  audioManager.onItemPlaybackStart = (itemId, audibleAt) => {
+    turnMetrics.recordAudible(itemId, audibleAt);
+  };
+
+  turnMetrics.onChanged = (turns, summary) => {
+    if (turns.length === 0) {
+      metricsCount.textContent = "";
+      return;
+    }
+
+    const { p50 } = summary.latencies.firstAudioMs;
+    const audio = p50 !== null ? ` · 1º áudio p50 ${p50} ms` : "";
+    metricsCount.textContent = `(${turns.length} turnos${audio})`;
+  };
+
+  metricsExportBtn.addEventListener("click", () => {
+    turnMetrics.exportCSV();
+  });
+
+  metricsClearBtn.addEventListener("click", () => {
+    turnMetrics.clear();
+  });
+
+  // Configura a captura e a reprodução de eventos
+  eventReplayer.onReset = () => {
+    audioManager.stopPlayback();
+    chatView.clear();
+  };
+
+  eventReplayer.onStateChanged = ({ isActive, isPlaying }) => {
+    replayPlayBtn.disabled = !isActive;
+    replayStepBtn.disabled = !isActive;
+    replayCloseBtn.disabled = !isActive;
+    replaySeek.disabled = !isActive;
+    replayPlayBtn.innerHTML = isPlaying
+      ? '<i class="fas fa-pause"></i> Pausar'
+      : '<i class="fas fa-play"></i> Reproduzir';
+
+    if (!isActive) {
+      audioManager.stopPlayback();
+      replayPosition.textContent = "Nenhuma captura carregada";
+    }
+  };
+
+  eventReplayer.onPositionChanged = (position, total, offsetMs) => {
+    replaySeek.max = total;
+    replaySeek.value = position;
+    const seconds = (offsetMs / 1000).toFixed(1);
+    replayPosition.textContent = `${position}/${total} eventos · ${seconds} s`;
+  };
+
+  eventReplayer.onCaptureChanged = (count) => {
+    captureCount.textContent = count > 0 ? `(${count})` : "";
+    downloadCaptureBtn.disabled = count === 0;
+  };
+
+  captureEventsInput.addEventListener("change", () => {
+    if (captureEventsInput.checked) {
+      eventReplayer.startCapture();
+    } else {
+      eventReplayer.stopCapture();
+    }
+  });
+
+  downloadCaptureBtn.addEventListener("click", () => {
+    eventReplayer.downloadCapture();
+  });
+
+  replayFileInput.addEventListener("change", () => {
+    const [file] = replayFileInput.files;
+    replayFileInput.value = "";
+    if (file) openReplay(file);
+  });
+
+  replayPlayBtn.addEventListener("click", () => {
+    if (eventReplayer.isPlaying) {
+      eventReplayer.pause();
+    } else {
+      eventReplayer.play();
+    }
+  });
+
+  replayStepBtn.addEventListener("click", () => {
+    eventReplayer.step();
+  });
+
+  replaySpeedSelect.addEventListener("change", () => {
+    eventReplayer.setSpeed(replaySpeedSelect.value);
+  });
+
+  replaySeek.addEventListener("change", () => {
+    eventReplayer.seek(Number(replaySeek.value));
+  });
+
+  replayCloseBtn.addEventListener("click", () => {
+    startNewConversation();
+  });
+
   clearLogBtn.addEventListener("click", () => {
     logger.clear();
   });
@@ -163,6 +708,10 @@ document.addEventListener("DOMContentLoaded", () => {
   // Função para iniciar a gravação
   function startRecording() {
     if (isRecording) return;
+    if (audioFileSource.isStreaming) {
+      logger.warning("Aguarde o fim do envio do arquivo de áudio");
+      return;
+    }
 
     logger.info("Iniciando gravação de áudio...");
     // Limpar qualquer buffer de áudio pendente
@@ -172,6 +721,35 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // Função para enviar um arquivo de áudio como fala do usuário
+  function sendAudioFile(file) {
+    if (!webSocketManager.isConnected) {
+      logger.warning("Conecte-se ao servidor primeiro");
+      return;
+    }
+    if (isRecording) {
+      logger.warning("Pare a gravação do microfone antes de enviar um arquivo");
+      return;
+    }
+
+    interruptAssistant();
+    audioFileSource.streamFile(file, fileStreamModeSelect.value);
+  }
+
+  // Função para carregar uma captura de eventos para reprodução offline
+  async function openReplay(file) {
+    if (webSocketManager.isConnected || webSocketManager.isConnecting) {
+      logger.warning("Desconecte-se antes de reproduzir uma captura");
+      return;
+    }
+
+    // A conversa atual permanece no histórico; a reprodução começa do zero
+    eventReplayer.close();
+    await conversationHistory.startNew();
+    chatView.clear();
+    eventReplayer.loadFile(file);
+  }
+
   // Função para parar a gravação
   function stopRecording() {
     if (!isRecording) return;
@@ -180,59 +758,349 @@ document.addEventListener("DOMContentLoaded", () => {
     audioManager.stopRecording();
   }
 
-  // Função para criar uma nova mensagem do usuário
-  function createUserMessage(text) {
-    // Remove mensagem temporária anterior, se existir
-    const tempMessage = chatMessages.querySelector(".temp-message");
-    if (tempMessage) {
-      chatMessages.removeChild(tempMessage);
+  // Função para enviar a mensagem digitada
+  function sendTextMessage() {
+    const text = textInput.value.trim();
+    if (!text) return;
+
+    if (!webSocketManager.isConnected) {
+      logger.warning("Conecte-se ao servidor primeiro");
+      return;
+    }
+
+    // A mensagem entra no modelo da conversa e é renderizada como os turnos de voz
+    if (!webSocketManager.sendTextMessage(text)) {
+      logger.error("Falha ao enviar mensagem de texto");
+      return;
+    }
+
+    textInput.value = "";
+  }
+
+  // Função para pedir um resumo da conversa fora do fluxo principal
+  function requestSummary() {
+    if (!webSocketManager.isConnected) {
+      logger.warning("Conecte-se ao servidor primeiro");
+      return;
     }
 
-    const messageElement = document.createElement("div");
-    messageElement.classList.add("message", "user-message", "temp-message");
-    messageElement.textContent = text;
-    chatMessages.appendChild(messageElement);
+    const aside = chatView.addAsideMessage("Resumo da conversa");
+    summaryBtn.disabled = true;
 
-    // Rola para mostrar a mensagem mais recente
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    webSocketManager
+      .createOutOfBandResponse({
+        instructions:
+          "Resuma a conversa até aqui em no máximo três frases, em português.",
+        metadata: { purpose: "summary" },
+        onDelta: (delta, text) => chatView.updateAsideMessage(aside, text),
+      })
+      .then((result) => {
+        if (result.status !== "completed") {
+          chatView.updateAsideMessage(
+            aside,
+            `${result.text} (resumo ${result.status})`
+          );
+        }
+      })
+      .catch((error) => {
+        chatView.updateAsideMessage(aside, `Falha no resumo: ${error.message}`);
+        logger.error(`Falha ao gerar resumo: ${error.message}`);
+      })
+      .finally(() => {
+        summaryBtn.disabled = !webSocketManager.isConnected;
+      });
   }
 
-  // Função para atualizar a mensagem do usuário
-  function updateUserMessage(text) {
-    const tempMessage = chatMessages.querySelector(".temp-message");
-    if (tempMessage) {
-      tempMessage.textContent = text;
-      tempMessage.classList.remove("temp-message");
-    } else {
-      createUserMessage(text);
+  // Função para atualizar o download e a lista de clipes da gravação
+  function updateRecordingPanel() {
+    downloadRecordingBtn.disabled = !sessionRecorder.hasData();
+    recordingClips.innerHTML = "";
+
+    sessionRecorder.getTurns().forEach((turn) => {
+      const rate = sessionRecorder.sampleRate;
+      const seconds = (turn.start / rate).toFixed(1);
+      const duration = ((turn.end - turn.start) / rate).toFixed(1);
+      const label = turn.role === "user" ? "Usuário" : "Assistente";
+
+      const entry = document.createElement("li");
+      entry.textContent = `${label} em ${seconds} s (${duration} s)`;
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.classList.add("btn", "mini");
+      button.textContent = "Baixar clipe";
+      button.addEventListener("click", () =>
+        sessionRecorder.downloadTurn(turn)
+      );
+
+      entry.appendChild(button);
+      recordingClips.appendChild(entry);
+    });
+  }
+
+  // Função para listar as conversas salvas na barra lateral
+  async function renderHistoryList() {
+    const conversations = await conversationHistory.list(historySearch.value);
+    historyList.innerHTML = "";
+
+    if (conversations.length === 0) {
+      const empty = document.createElement("li");
+      empty.classList.add("history-meta");
+      empty.textContent = historySearch.value
+        ? "Nenhuma conversa encontrada"
+        : "Nenhuma conversa salva";
+      historyList.appendChild(empty);
+      return;
     }
+
+    conversations.forEach((conversation) => {
+      const entry = document.createElement("li");
+      entry.classList.add("history-entry");
+      entry.classList.toggle(
+        "active",
+        conversation.id === conversationHistory.currentId
+      );
+      entry.classList.toggle(
+        "viewing",
+        conversation.id === conversationHistory.viewingId
+      );
+
+      const title = document.createElement("div");
+      title.classList.add("history-title");
+      title.textContent = conversation.title;
+
+      const meta = document.createElement("div");
+      meta.classList.add("history-meta");
+      const updatedAt = new Date(conversation.updatedAt).toLocaleString();
+      meta.textContent = `${updatedAt} · ${conversation.itemCount} itens`;
+
+      const actions = document.createElement("div");
+      actions.classList.add("history-actions");
+      const addAction = (label, handler) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.classList.add("btn", "mini");
+        button.textContent = label;
+        button.addEventListener("click", handler);
+        actions.appendChild(button);
+      };
+
+      addAction("Ver", () => openSavedConversation(conversation.id, false));
+      addAction("Continuar", () =>
+        openSavedConversation(conversation.id, true)
+      );
+      addAction("Renomear", () => {
+        const name = window.prompt("Novo nome da conversa", conversation.title);
+        if (name !== null) {
+          conversationHistory.rename(conversation.id, name);
+        }
+      });
+      addAction("Excluir", () => {
+        if (window.confirm(`Excluir a conversa "${conversation.title}"?`)) {
+          conversationHistory.remove(conversation.id);
+        }
+      });
+      if (conversation.hasAudio) {
+        addAction("Áudio", async () => {
+          const blob = await conversationHistory.getAudio(conversation.id);
+          if (blob) {
+            fileDownloader.download(blob, `${conversation.id}.wav`);
+          }
+        });
+      }
+
+      entry.appendChild(title);
+      entry.appendChild(meta);
+      entry.appendChild(actions);
+      historyList.appendChild(entry);
+    });
   }
 
-  // Função para criar ou atualizar a mensagem do assistente
-  function updateOrCreateAssistantMessage(text) {
-    let assistantMessage = chatMessages.querySelector(
-      ".assistant-message.temp-message"
+  // Função para começar uma nova conversa (a atual permanece no histórico)
+  async function startNewConversation() {
+    eventReplayer.close();
+    if (webSocketManager.isConnected || webSocketManager.isConnecting) {
+      webSocketManager.disconnect();
+    }
+
+    await conversationHistory.startNew();
+    chatView.clear();
+  }
+
+  // Função para reabrir uma conversa salva, para leitura ou para continuar
+  async function openSavedConversation(id, continueConversation) {
+    eventReplayer.close();
+    if (webSocketManager.isConnected || webSocketManager.isConnecting) {
+      webSocketManager.disconnect();
+    }
+
+    chatView.clear();
+    const record = await conversationHistory.openConversation(
+      id,
+      continueConversation
     );
+    if (!record) return;
 
-    if (!assistantMessage) {
-      assistantMessage = document.createElement("div");
-      assistantMessage.classList.add(
-        "message",
-        "assistant-message",
-        "temp-message"
+    if (!continueConversation) {
+      chatView.addSystemMessage(
+        'Conversa salva aberta somente para leitura — use "Continuar" para retomá-la'
       );
-      chatMessages.appendChild(assistantMessage);
+      return;
+    }
+
+    // Retoma com as configurações salvas; os itens são reenviados à nova sessão
+    if (record.settings) {
+      settingsManager.update(record.settings);
+      fillSettingsForm(settingsManager.settings);
+    }
+    if (record.conversationMode) {
+      modeSelect.value = record.conversationMode;
+      webSocketManager.setConversationMode(record.conversationMode);
+      updateModeButtons();
     }
+    webSocketManager.connect();
+  }
 
-    assistantMessage.textContent = text;
+  // Formata um limite de uso para o cabeçalho
+  function formatRateLimit({ name, limit, remaining, resetAt }) {
+    const labels = { requests: "Requisições", tokens: "Tokens" };
+    const label = labels[name] || name;
+    const count = `${remaining.toLocaleString()}/${limit.toLocaleString()}`;
+    const time = new Date(resetAt).toLocaleTimeString();
+    return `${label} ${count} (renova às ${time})`;
+  }
 
-    // Rola para mostrar a mensagem mais recente
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+  // Função para habilitar ou desabilitar o campo de texto
+  function setComposerEnabled(enabled) {
+    textInput.disabled = !enabled;
+    sendTextBtn.disabled = !enabled;
+    summaryBtn.disabled = !enabled;
+    audioFileInput.disabled = !enabled;
+  }
+
+  // Função para preencher o formulário de configurações
+  function fillSettingsForm(settings) {
+    const voiceSelect = settingsForm.elements.voice;
+    if (voiceSelect.options.length === 0) {
+      settingsManager.voices.forEach((voice) => {
+        voiceSelect.add(new Option(voice, voice));
+      });
+    }
+
+    Object.keys(settings).forEach((name) => {
+      const field = settingsForm.elements[name];
+      if (field) field.value = settings[name];
+    });
+  }
+
+  // Função para exibir os erros de validação de um formulário
+  function showFormErrors(listElement, errors) {
+    listElement.innerHTML = "";
+    errors.forEach((error) => {
+      const errorElement = document.createElement("li");
+      errorElement.textContent = error;
+      listElement.appendChild(errorElement);
+    });
+
+    if (errors.length > 0) {
+      logger.warning(`Valores inválidos: ${errors.join("; ")}`);
+    }
+  }
+
+  // Função para preencher a lista de perfis de conexão
+  function populateProfileSelect() {
+    const activeProfile = connectionProfiles.getActiveProfile();
+    const names = connectionProfiles.getProfileNames();
+
+    profileSelect.innerHTML = "";
+    names.forEach((name) => {
+      profileSelect.add(new Option(name, name));
+    });
+
+    // Perfil temporário vindo dos parâmetros da URL
+    if (!names.includes(activeProfile.name)) {
+      profileSelect.add(
+        new Option(`${activeProfile.name} (URL)`, activeProfile.name)
+      );
+    }
+
+    profileSelect.value = activeProfile.name;
+  }
+
+  // Função para preencher o formulário de perfil
+  function fillProfileForm(profile) {
+    Object.keys(profile).forEach((name) => {
+      const field = profileForm.elements[name];
+      if (!field) return;
+      if (field.type === "checkbox") {
+        field.checked = Boolean(profile[name]);
+      } else {
+        field.value = profile[name];
+      }
+    });
+  }
+
+  // Verifica se o modo mãos livres (VAD do servidor) está ativo
+  function isHandsFree() {
+    return webSocketManager.conversationMode === "hands-free";
+  }
+
+  // Função para atualizar os rótulos dos botões conforme o modo
+  function updateModeButtons() {
+    if (isHandsFree()) {
+      startBtn.innerHTML = '<i class="fas fa-microphone"></i> Iniciar';
+      stopBtn.innerHTML = '<i class="fas fa-microphone-slash"></i> Parar';
+    } else {
+      startBtn.innerHTML = '<i class="fas fa-microphone"></i> Falar';
+      stopBtn.innerHTML = '<i class="fas fa-paper-plane"></i> Enviar';
+    }
+  }
+
+  // Função para interromper o assistente quando o usuário começa a falar
+  function interruptAssistant() {
+    const responseActive = Boolean(webSocketManager.currentResponseId);
+    const interrupted = audioManager.stopPlayback();
+
+    if (responseActive) {
+      webSocketManager.cancelResponse();
+    }
+
+    if (!interrupted || !(interrupted.wasPlaying || responseActive)) return;
+
+    // A gravação mantém apenas o que foi ouvido de cada item descartado
+    interrupted.discardedItemIds.forEach((itemId) => {
+      sessionRecorder.truncate(
+        itemId,
+        itemId === interrupted.itemId ? interrupted.audioEndMs : 0
+      );
+    });
+
+    // Alinha o contexto do servidor com o que o usuário realmente ouviu (um
+    // item do qual nada foi ouvido não é truncado)
+    if (interrupted.audioEndMs > 0) {
+      webSocketManager.truncateItem(
+        interrupted.itemId,
+        0,
+        interrupted.audioEndMs
+      );
+      logger.info(
+        `Assistente interrompido em ${interrupted.audioEndMs} ms (${interrupted.itemId})`
+      );
+    }
   }
 
   // Inicia o aplicativo desabilitando os botões de controle
   startBtn.disabled = true;
   stopBtn.disabled = true;
+  setComposerEnabled(false);
+  modeSelect.value = webSocketManager.conversationMode;
+  fillSettingsForm(settingsManager.settings);
+  populateProfileSelect();
+  fillProfileForm(connectionProfiles.getActiveProfile());
+  sendAllAudioInput.checked = audioManager.sendAllAudio;
+  vadSensitivityInput.value = audioManager.vad.sensitivity;
+  updateModeButtons();
+  renderHistoryList();
 
   // Loga início da aplicação
   logger.info('Aplicativo inicializado. Clique em "Conectar" para iniciar.');
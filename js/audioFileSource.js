@@ -0,0 +1,201 @@
+/**
+ * AudioFileSource - Usa arquivos de áudio como entrada no lugar do microfone
+ *
+ * Decodifica arquivos WAV/MP3/OGG, converte para PCM16 mono a 24kHz e envia
+ * o áudio pelo buffer de entrada do WebSocketManager, em tempo real (um frame
+ * a cada 40 ms) ou no modo rápido, confirmando-o ao final como um turno do
+ * usuário. Útil para reproduzir problemas com gravações fixas.
+ */
+class AudioFileSource {
+  constructor(audioManager, webSocketManager) {
+    this.audioManager = audioManager;
+    this.webSocketManager = webSocketManager;
+
+    this.sampleRate = audioManager.sampleRate;
+    this.frameDurationMs = audioManager.frameDurationMs; // Frames do modo tempo real
+    this.fastChunkMs = 500; // Trechos maiores no modo rápido
+    this.acceptedTypes = [
+      "audio/wav",
+      "audio/x-wav",
+      "audio/mpeg",
+      "audio/ogg",
+    ];
+
+    this.isStreaming = false;
+    this.cancelRequested = false;
+
+    // Eventos
+    this.onStart = null; // (fileName, durationMs) => void
+    this.onChunk = null; // (pcmData) => void, para cada trecho enviado
+    this.onProgress = null; // (sentMs, totalMs) => void
+    this.onComplete = null; // (fileName) => void
+    this.onCancel = null;
+  }
+
+  /**
+   * Verifica se o arquivo parece ser de áudio suportado
+   * @param {File} file - Arquivo
+   * @returns {boolean} Se o arquivo é aceito
+   */
+  isSupported(file) {
+    return (
+      this.acceptedTypes.includes(file.type) ||
+      /\.(wav|mp3|ogg|oga)$/i.test(file.name)
+    );
+  }
+
+  /**
+   * Decodifica um arquivo e o converte para PCM16 mono a 24kHz
+   * @param {File} file - Arquivo de áudio
+   * @returns {Promise<Int16Array>} Amostras PCM16
+   */
+  async decodeFile(file) {
+    const arrayBuffer = await file.arrayBuffer();
+
+    // Um contexto offline a 24kHz decodifica e reamostra o arquivo
+    const context = new OfflineAudioContext(1, 1, this.sampleRate);
+    const audioBuffer = await context.decodeAudioData(arrayBuffer);
+
+    // Mixa os canais em mono pela média
+    const mono = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      const data = audioBuffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        mono[i] += data[i] / audioBuffer.numberOfChannels;
+      }
+    }
+
+    return this.audioManager.floatTo16BitPCM(mono);
+  }
+
+  /**
+   * Envia um arquivo de áudio como um turno do usuário
+   * @param {File} file - Arquivo de áudio
+   * @param {string} mode - 'realtime' ou 'fast'
+   * @returns {Promise<boolean>} Se o arquivo foi enviado e confirmado
+   */
+  async streamFile(file, mode = "realtime") {
+    if (this.isStreaming) {
+      logger.warning("Já existe um arquivo sendo enviado");
+      return false;
+    }
+    if (!this.webSocketManager.isConnected) {
+      logger.warning("Conecte-se ao servidor primeiro");
+      return false;
+    }
+    if (!this.isSupported(file)) {
+      logger.error(`Formato de arquivo não suportado: ${file.name}`);
+      return false;
+    }
+
+    let pcmData;
+    try {
+      logger.info(`Decodificando arquivo de áudio: ${file.name}`);
+      pcmData = await this.decodeFile(file);
+    } catch (error) {
+      logger.error(`Erro ao decodificar ${file.name}: ${error.message}`);
+      return false;
+    }
+
+    if (pcmData.length === 0) {
+      logger.warning(`Arquivo sem áudio: ${file.name}`);
+      return false;
+    }
+
+    const totalMs = this.audioManager.samplesToMs(pcmData.length);
+    logger.info(
+      `Enviando ${file.name} (${(totalMs / 1000).toFixed(1)} s, modo ${mode})`
+    );
+
+    this.isStreaming = true;
+    this.cancelRequested = false;
+    if (this.onStart) {
+      this.onStart(file.name, totalMs);
+    }
+
+    // O VAD do servidor confirmaria o áudio sozinho: o turno é confirmado ao final
+    const turnDetection = this.webSocketManager.getTurnDetectionConfig();
+    if (turnDetection) {
+      this.webSocketManager.updateSession({ turn_detection: null });
+    }
+    this.webSocketManager.clearAudioBuffer();
+
+    try {
+      const sent = await this.sendSamples(pcmData, mode, totalMs);
+
+      if (!sent) {
+        if (this.webSocketManager.isConnected) {
+          this.webSocketManager.clearAudioBuffer();
+        }
+        logger.warning(`Envio de ${file.name} cancelado`);
+        if (this.onCancel) {
+          this.onCancel();
+        }
+        return false;
+      }
+
+      this.webSocketManager.commitAudioBuffer();
+      this.webSocketManager.createResponse();
+      logger.success(`Arquivo enviado como turno do usuário: ${file.name}`);
+      if (this.onComplete) {
+        this.onComplete(file.name);
+      }
+      return true;
+    } finally {
+      this.isStreaming = false;
+      if (turnDetection && this.webSocketManager.isConnected) {
+        this.webSocketManager.updateSession({
+          turn_detection: this.webSocketManager.getTurnDetectionConfig(),
+        });
+      }
+    }
+  }
+
+  /**
+   * Envia as amostras em trechos, respeitando o ritmo do modo escolhido
+   * @param {Int16Array} pcmData - Amostras PCM16
+   * @param {string} mode - 'realtime' ou 'fast'
+   * @param {number} totalMs - Duração total (ms)
+   * @returns {Promise<boolean>} Se todas as amostras foram enviadas
+   */
+  async sendSamples(pcmData, mode, totalMs) {
+    const chunkMs = mode === "fast" ? this.fastChunkMs : this.frameDurationMs;
+    const chunkSamples = Math.round((chunkMs / 1000) * this.sampleRate);
+    const startedAt = Date.now();
+
+    for (let offset = 0; offset < pcmData.length; offset += chunkSamples) {
+      if (this.cancelRequested || !this.webSocketManager.isConnected) {
+        return false;
+      }
+
+      const chunk = pcmData.subarray(offset, offset + chunkSamples);
+      this.webSocketManager.appendAudioBuffer(chunk);
+      if (this.onChunk) {
+        this.onChunk(chunk);
+      }
+
+      const sentMs = this.audioManager.samplesToMs(offset + chunk.length);
+      if (this.onProgress) {
+        this.onProgress(Math.min(sentMs, totalMs), totalMs);
+      }
+
+      // Em tempo real, aguarda até o instante do próximo frame (sem acumular atraso)
+      const delay = mode === "fast" ? 0 : startedAt + sentMs - Date.now();
+      await new Promise((resolve) => setTimeout(resolve, Math.max(0, delay)));
+    }
+
+    return true;
+  }
+
+  /**
+   * Interrompe o envio em andamento (o áudio já enviado é descartado)
+   */
+  cancel() {
+    if (this.isStreaming) {
+      this.cancelRequested = true;
+    }
+  }
+}
+
+// Inicializa a instância global da entrada por arquivo
+const audioFileSource = new AudioFileSource(audioManager, webSocketManager);
@@ -14,15 +14,45 @@ class AudioManager {
     this.audioQueue = [];
     this.isPlaying = false;
 
+    // Estado da reprodução (agendada no relógio do AudioContext)
+    this.playbackState = "buffering"; // 'buffering' ou 'playing'
+    this.playbackGain = null; // Nó de ganho usado para o fade-out
+    this.scheduledSegments = []; // { source, itemId, startTime, durationMs }
+    this.nextPlayTime = 0; // Instante (s) em que o próximo buffer deve começar
+    this.streamEnded = true; // Se o servidor já sinalizou o fim do áudio
+    this.playbackItemId = null; // Item cujo áudio está sendo reproduzido
+    this.streamingItemId = null; // Item cujo áudio o servidor está enviando
+    this.playedMs = new Map(); // item_id -> ms já reproduzidos por completo
+    this.discardedItemIds = new Set(); // Itens interrompidos (ignora áudio tardio)
+    this.underrunCount = 0;
+
     // Eventos
     this.onAudioData = null; // Callback para quando temos dados de áudio para enviar
     this.onRecordingStart = null;
     this.onRecordingStop = null;
+    this.onPlaybackUnderrun = null;
+    this.onSpeechStart = null; // Início de fala detectado no cliente
+    this.onSpeechEnd = null; // Fim de fala detectado no cliente
+    this.onItemPlaybackStart = null; // (itemId, audibleAt) primeiro áudio de um item
 
     // Configurações de áudio
     this.sampleRate = 24000; // Sample rate requerido pela API OpenAI (24kHz)
     this.inputAudioFormat = "pcm16"; // Formato requerido pela API
-    this.bufferSize = 4096; // Tamanho do buffer de áudio
+    this.frameDurationMs = 40; // Duração de cada frame enviado (ms)
+    this.workletUrl = "js/captureWorklet.js"; // Módulo do AudioWorklet de captura
+    this.workletLoaded = false;
+    this.sendAllAudio = true; // Envia todos os frames e deixa o servidor decidir
+    this.jitterBufferMs = 80; // Áudio acumulado antes de iniciar a reprodução
+    this.fadeOutMs = 20; // Duração do fade-out ao interromper
+
+    // Detecção de atividade de voz no cliente
+    this.vad = new VoiceActivityDetector({ sampleRate: this.sampleRate });
+    this.vad.onSpeechStart = (info) => {
+      if (this.onSpeechStart) this.onSpeechStart(info);
+    };
+    this.vad.onSpeechEnd = (info) => {
+      if (this.onSpeechEnd) this.onSpeechEnd(info);
+    };
   }
 
   /**
@@ -79,46 +109,52 @@ class AudioManager {
         this.mediaStream
       );
 
-      // Criar processador de script para capturar dados de áudio
-      const processorNode = this.audioContext.createScriptProcessor(
-        this.bufferSize,
-        1, // Um canal de entrada (mono)
-        1 // Um canal de saída (mono)
-      );
-
-      // Configurar o callback de processamento de áudio
-      processorNode.onaudioprocess = (audioProcessingEvent) => {
-        if (!this.isRecording) return;
-
-        // Obter os dados do buffer de entrada
-        const inputBuffer = audioProcessingEvent.inputBuffer;
-        const inputData = inputBuffer.getChannelData(0);
-
-        // Verificar se há dados de áudio (não silêncio total)
-        const hasAudio = inputData.some((sample) => Math.abs(sample) > 0.1);
-
-        if (hasAudio) {
-          // Converter para Int16 (PCM16) - formato requerido pela API
-          const pcmData = this.floatTo16BitPCM(inputData);
+      // Carregar o módulo do worklet de captura (apenas uma vez)
+      if (!this.workletLoaded) {
+        await this.audioContext.audioWorklet.addModule(this.workletUrl);
+        this.workletLoaded = true;
+      }
 
-          // Enviar dados para o callback
-          if (this.onAudioData) {
-            this.onAudioData(pcmData);
-          }
+      // Criar o nó de captura: reamostra para 24kHz e converte para PCM16
+      // fora da thread principal
+      const workletNode = new AudioWorkletNode(
+        this.audioContext,
+        "pcm16-capture",
+        {
+          numberOfInputs: 1,
+          numberOfOutputs: 1,
+          channelCount: 1,
+          channelCountMode: "explicit",
+          processorOptions: {
+            targetSampleRate: this.sampleRate,
+            frameDurationMs: this.frameDurationMs,
+          },
         }
+      );
+
+      workletNode.port.onmessage = (event) => {
+        this.handleWorkletMessage(event.data);
       };
 
       // Conectar os nós de processamento de áudio
-      sourceNode.connect(processorNode);
-      processorNode.connect(this.audioContext.destination);
+      sourceNode.connect(workletNode);
+      workletNode.connect(this.audioContext.destination);
 
       // Salvar referências para limpeza posterior
       this.recorder = {
         sourceNode,
-        processorNode,
+        workletNode,
+        onFlushed: null,
       };
 
+      if (this.audioContext.sampleRate !== this.sampleRate) {
+        logger.info(
+          `Reamostrando captura de ${this.audioContext.sampleRate}Hz para ${this.sampleRate}Hz`
+        );
+      }
+
       // Atualizar estado
+      this.vad.reset();
       this.isRecording = true;
 
       logger.success("Gravação iniciada com sucesso");
@@ -135,29 +171,84 @@ class AudioManager {
     }
   }
 
+  /**
+   * Define se todos os frames são enviados ou apenas os que o VAD classifica como fala
+   * @param {boolean} sendAll - true para enviar tudo (VAD do servidor decide)
+   */
+  setSendAllAudio(sendAll) {
+    this.sendAllAudio = Boolean(sendAll);
+    logger.info(
+      this.sendAllAudio
+        ? "Enviando todo o áudio capturado"
+        : "Enviando apenas trechos com fala (VAD do cliente)"
+    );
+  }
+
+  /**
+   * Processa as mensagens enviadas pelo worklet de captura
+   * @param {Object} message - Mensagem ({ type, samples })
+   */
+  handleWorkletMessage(message) {
+    if (!message) return;
+
+    if (message.type === "frame") {
+      const pcmData = new Int16Array(message.samples);
+
+      // O VAD sempre roda, para emitir os eventos de início/fim de fala
+      const result = this.vad.process(pcmData);
+      const frames = this.sendAllAudio ? [pcmData] : result.frames;
+
+      if (this.onAudioData) {
+        frames.forEach((frame) => this.onAudioData(frame));
+      }
+    } else if (message.type === "flushed") {
+      if (this.recorder && this.recorder.onFlushed) {
+        this.recorder.onFlushed();
+      }
+    }
+  }
+
   /**
    * Para a captura do microfone
+   *
+   * O frame parcial pendente no worklet é enviado antes de notificar o fim
+   * da gravação, para não perder o final da fala.
    */
-  stopRecording() {
+  async stopRecording() {
     if (!this.isRecording) {
       logger.warning("Não está gravando");
       return false;
     }
 
+    this.isRecording = false;
+
     try {
-      // Desconectar nós de áudio
-      if (this.recorder) {
-        this.recorder.sourceNode.disconnect();
-        this.recorder.processorNode.disconnect();
+      const recorder = this.recorder;
+
+      // Parar a entrada do microfone
+      if (recorder) {
+        recorder.sourceNode.disconnect();
       }
 
-      // Parar todas as faixas de mídia
       if (this.mediaStream) {
         this.mediaStream.getTracks().forEach((track) => track.stop());
       }
 
+      // Esvaziar o frame pendente no worklet (com limite de tempo)
+      if (recorder) {
+        await new Promise((resolve) => {
+          recorder.onFlushed = resolve;
+          recorder.workletNode.port.postMessage({ type: "flush" });
+          setTimeout(resolve, 200);
+        });
+
+        recorder.workletNode.port.onmessage = null;
+        recorder.workletNode.disconnect();
+      }
+
+      this.vad.flush();
+
       // Limpar estado
-      this.isRecording = false;
       this.recorder = null;
       this.mediaStream = null;
 
@@ -178,32 +269,89 @@ class AudioManager {
   /**
    * Adiciona áudio à fila para reprodução
    * @param {Uint8Array} audioData - Dados de áudio no formato PCM16
+   * @param {string} [itemId] - ID do item da conversa ao qual o áudio pertence
    */
-  enqueueAudio(audioData) {
-    this.audioQueue.push(audioData);
-
-    // Se não estiver reproduzindo, inicia a reprodução
-    if (!this.isPlaying) {
-      this.playNextAudioChunk();
+  enqueueAudio(audioData, itemId = null) {
+    // Áudio de um item interrompido que ainda estava em trânsito
+    if (itemId && this.discardedItemIds.has(itemId)) {
+      return;
     }
+    if (itemId && itemId !== this.streamingItemId) this.beginItem(itemId);
+
+    const samples = this.int16ToFloat32(audioData);
+    if (samples.length === 0) return;
+
+    // Verifica se o áudio agendado acabou antes da chegada deste chunk
+    if (
+      this.playbackState === "playing" &&
+      this.audioContext &&
+      this.audioContext.currentTime > this.nextPlayTime
+    ) {
+      if (!this.streamEnded) {
+        this.reportUnderrun(
+          (this.audioContext.currentTime - this.nextPlayTime) * 1000
+        );
+      }
+      this.playbackState = "buffering";
+    }
+
+    this.audioQueue.push({ samples, itemId });
+    this.streamEnded = false;
+    this.isPlaying = true;
+
+    this.schedulePlayback();
   }
 
   /**
-   * Reproduz o próximo chunk de áudio da fila
+   * Sinaliza que o servidor terminou de enviar o áudio da resposta,
+   * liberando o que estiver retido no jitter buffer
    */
-  async playNextAudioChunk() {
-    // Se a fila estiver vazia, marca como não tocando e retorna
-    if (this.audioQueue.length === 0) {
-      this.isPlaying = false;
-      return;
-    }
+  markStreamEnded() {
+    this.streamEnded = true;
+    this.streamingItemId = null;
+    this.schedulePlayback();
+  }
 
-    this.isPlaying = true;
+  /**
+   * Registra o item de áudio que o servidor começou a enviar, para que uma
+   * interrupção o descarte mesmo antes de o primeiro chunk chegar
+   * @param {string} itemId - ID do item da conversa
+   */
+  beginItem(itemId) {
+    if (!itemId || this.discardedItemIds.has(itemId)) return;
 
-    try {
-      // Pega o próximo chunk de áudio
-      const audioData = this.audioQueue.shift();
+    // Os itens são enviados em sequência: o áudio tardio dos anteriores parou
+    if (itemId !== this.streamingItemId) this.releaseItems(itemId);
+    this.streamingItemId = itemId;
+  }
+
+  /**
+   * Esquece os itens que não tocam mais (posições e itens descartados)
+   * @param {string} [currentItemId] - Item que continua em uso
+   */
+  releaseItems(currentItemId = null) {
+    const activeItemIds = new Set(
+      [
+        currentItemId,
+        this.playbackItemId,
+        ...this.scheduledSegments.map((segment) => segment.itemId),
+        ...this.audioQueue.map((chunk) => chunk.itemId),
+      ].filter(Boolean)
+    );
+
+    this.discardedItemIds.clear();
+    Array.from(this.playedMs.keys()).forEach((itemId) => {
+      if (!activeItemIds.has(itemId)) this.playedMs.delete(itemId);
+    });
+  }
 
+  /**
+   * Agenda os chunks da fila em sequência, sem lacunas, no relógio do AudioContext
+   */
+  async schedulePlayback() {
+    if (this.audioQueue.length === 0) return;
+
+    try {
       // Certifica-se de que temos um AudioContext e ele está ativo
       if (!this.audioContext) {
         await this.initialize();
@@ -213,33 +361,217 @@ class AudioManager {
         await this.audioContext.resume();
       }
 
-      // Converte o PCM16 para float (formato usado pelo AudioContext)
-      const floatData = this.int16ToFloat32(audioData);
-
-      // Cria um buffer de áudio com os dados
-      const audioBuffer = this.audioContext.createBuffer(
-        1,
-        floatData.length,
-        this.sampleRate
-      );
-      audioBuffer.getChannelData(0).set(floatData);
-
-      // Cria uma fonte de buffer para reprodução
-      const source = this.audioContext.createBufferSource();
-      source.buffer = audioBuffer;
-      source.connect(this.audioContext.destination);
+      // Aguarda o jitter buffer encher antes de começar
+      if (this.playbackState === "buffering") {
+        const bufferedMs = this.audioQueue.reduce(
+          (total, chunk) => total + this.samplesToMs(chunk.samples.length),
+          0
+        );
+        if (bufferedMs < this.jitterBufferMs && !this.streamEnded) {
+          return;
+        }
 
-      // Quando a reprodução terminar, toca o próximo chunk
-      source.onended = () => {
-        this.playNextAudioChunk();
-      };
+        this.playbackState = "playing";
+        this.nextPlayTime = this.audioContext.currentTime + 0.01;
+      }
 
-      // Inicia a reprodução
-      source.start(0);
+      const output = this.getPlaybackOutput();
+
+      while (this.audioQueue.length > 0) {
+        const { samples, itemId } = this.audioQueue.shift();
+
+        // Cria um buffer de áudio com os dados
+        const audioBuffer = this.audioContext.createBuffer(
+          1,
+          samples.length,
+          this.sampleRate
+        );
+        audioBuffer.getChannelData(0).set(samples);
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(output);
+
+        // Encadeia logo após o buffer anterior
+        const startTime = Math.max(
+          this.nextPlayTime,
+          this.audioContext.currentTime
+        );
+        const segment = {
+          source,
+          itemId,
+          startTime,
+          durationMs: this.samplesToMs(samples.length),
+        };
+
+        source.onended = () => {
+          this.handleSegmentEnded(segment);
+        };
+        source.start(startTime);
+
+        this.scheduledSegments.push(segment);
+        this.nextPlayTime = startTime + audioBuffer.duration;
+
+        // Instante (relógio do sistema) em que a primeira amostra do item é ouvida
+        if (
+          itemId &&
+          itemId !== this.playbackItemId &&
+          this.onItemPlaybackStart
+        ) {
+          const delaySeconds =
+            startTime -
+            this.audioContext.currentTime +
+            (this.audioContext.outputLatency || 0);
+          this.onItemPlaybackStart(itemId, Date.now() + delaySeconds * 1000);
+        }
+        if (itemId) this.playbackItemId = itemId;
+      }
     } catch (error) {
       logger.error(`Erro ao reproduzir áudio: ${error.message}`);
+      this.audioQueue = [];
+      this.isPlaying = this.scheduledSegments.length > 0;
+    }
+  }
+
+  /**
+   * Retorna o nó de ganho da reprodução, criando-o se necessário
+   * @returns {GainNode} Nó de saída da reprodução
+   */
+  getPlaybackOutput() {
+    if (!this.playbackGain) {
+      this.playbackGain = this.audioContext.createGain();
+      this.playbackGain.connect(this.audioContext.destination);
+    }
+    return this.playbackGain;
+  }
+
+  /**
+   * Contabiliza um segmento que terminou de tocar
+   * @param {Object} segment - Segmento agendado
+   */
+  handleSegmentEnded(segment) {
+    const index = this.scheduledSegments.indexOf(segment);
+    if (index === -1) return;
+
+    this.scheduledSegments.splice(index, 1);
+    this.markChunkPlayed(segment.itemId, segment.durationMs);
+
+    // Fila esvaziada: nenhum item está sendo ouvido
+    if (this.scheduledSegments.length === 0 && this.audioQueue.length === 0) {
       this.isPlaying = false;
+      this.playbackItemId = null;
+
+      // Item que terminou de chegar e de tocar (após um underrun ele continua)
+      if (segment.itemId !== this.streamingItemId) {
+        this.playedMs.delete(segment.itemId);
+      }
+    }
+  }
+
+  /**
+   * Registra uma falta de áudio (underrun) durante a reprodução
+   * @param {number} gapMs - Duração da lacuna em ms
+   */
+  reportUnderrun(gapMs) {
+    this.underrunCount++;
+    logger.warning(
+      `Underrun na reprodução: lacuna de ${Math.round(gapMs)} ms (total: ${
+        this.underrunCount
+      })`
+    );
+
+    if (this.onPlaybackUnderrun) {
+      this.onPlaybackUnderrun({ gapMs, count: this.underrunCount });
+    }
+  }
+
+  /**
+   * Soma a duração de um chunk reproduzido ao total do item
+   * @param {string} itemId - ID do item
+   * @param {number} durationMs - Duração do chunk em ms
+   */
+  markChunkPlayed(itemId, durationMs) {
+    if (!itemId) return;
+    this.playedMs.set(itemId, (this.playedMs.get(itemId) || 0) + durationMs);
+  }
+
+  /**
+   * Calcula a posição exata já reproduzida de um item
+   * @param {string} itemId - ID do item
+   * @returns {number} Posição em ms
+   */
+  getPlaybackPosition(itemId) {
+    let position = this.playedMs.get(itemId) || 0;
+    if (!this.audioContext) return position;
+
+    const now = this.audioContext.currentTime;
+    this.scheduledSegments.forEach((segment) => {
+      if (segment.itemId !== itemId) return;
+      const elapsedMs = (now - segment.startTime) * 1000;
+      position += Math.min(Math.max(elapsedMs, 0), segment.durationMs);
+    });
+
+    return position;
+  }
+
+  /**
+   * Interrompe a reprodução (com fade-out) e descarta o áudio pendente
+   *
+   * O item interrompido é o que está sendo ouvido ou, se nada estiver
+   * tocando, o que o servidor está enviando (audioEndMs 0 se nada dele foi
+   * ouvido). Ambos passam a ter o áudio tardio ignorado.
+   * @returns {Object|null} { itemId, audioEndMs, wasPlaying, discardedItemIds }
+   */
+  stopPlayback() {
+    const wasPlaying = this.isPlaying;
+    const itemId = this.playbackItemId || this.streamingItemId;
+    const audioEndMs = itemId ? this.getPlaybackPosition(itemId) : 0;
+
+    if (this.scheduledSegments.length > 0) {
+      const now = this.audioContext.currentTime;
+      const fadeEnd = now + this.fadeOutMs / 1000;
+
+      // Fade-out curto para evitar o clique do corte
+      const gain = this.playbackGain;
+      gain.gain.cancelScheduledValues(now);
+      gain.gain.setValueAtTime(gain.gain.value, now);
+      gain.gain.linearRampToValueAtTime(0, fadeEnd);
+
+      this.scheduledSegments.forEach(({ source }) => {
+        source.onended = null;
+        try {
+          source.stop(fadeEnd);
+        } catch (error) {
+          // A fonte pode já ter terminado
+        }
+      });
+
+      // A próxima reprodução usa um novo nó de ganho
+      this.playbackGain = null;
+      setTimeout(() => gain.disconnect(), this.fadeOutMs + 50);
     }
+
+    this.scheduledSegments = [];
+    this.clearAudioQueue();
+
+    if (!itemId) return null;
+
+    const discardedItemIds = [
+      ...new Set([this.playbackItemId, this.streamingItemId].filter(Boolean)),
+    ];
+    discardedItemIds.forEach((id) => {
+      this.discardedItemIds.add(id);
+      this.playedMs.delete(id);
+    });
+    this.playbackItemId = null;
+    this.streamingItemId = null;
+
+    return {
+      itemId,
+      audioEndMs: Math.floor(audioEndMs),
+      wasPlaying,
+      discardedItemIds,
+    };
   }
 
   /**
@@ -247,7 +579,18 @@ class AudioManager {
    */
   clearAudioQueue() {
     this.audioQueue = [];
-    this.isPlaying = false;
+    this.isPlaying = this.scheduledSegments.length > 0;
+    this.playbackState = "buffering";
+    this.streamEnded = true;
+  }
+
+  /**
+   * Converte um número de amostras (na taxa da API) para milissegundos
+   * @param {number} samples - Número de amostras
+   * @returns {number} Duração em ms
+   */
+  samplesToMs(samples) {
+    return (samples / this.sampleRate) * 1000;
   }
 
   /**
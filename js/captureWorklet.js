@@ -0,0 +1,150 @@
+/**
+ * CaptureWorklet - AudioWorkletProcessor para captura do microfone
+ *
+ * Roda na thread de áudio: reamostra da taxa do hardware para a taxa exigida
+ * pela API (24kHz), converte para PCM16 e emite frames de duração fixa para a
+ * thread principal através da porta do worklet.
+ */
+class Pcm16CaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const processorOptions = (options && options.processorOptions) || {};
+
+    // Configurações de saída
+    this.targetSampleRate = processorOptions.targetSampleRate || 24000;
+    this.frameDurationMs = processorOptions.frameDurationMs || 40;
+    this.frameSize = Math.round(
+      (this.targetSampleRate * this.frameDurationMs) / 1000
+    );
+
+    // Configurações do reamostrador (sinc janelado)
+    // `sampleRate` é o global do AudioWorkletGlobalScope (taxa do hardware)
+    this.ratio = sampleRate / this.targetSampleRate;
+    this.halfTaps = 16;
+    this.cutoff = Math.min(1, 1 / this.ratio) * 0.95; // Anti-aliasing
+
+    // Estado do reamostrador
+    this.history = new Float32Array(0); // Amostras de entrada ainda necessárias
+    this.position = 0; // Posição da próxima amostra de saída em `history`
+
+    // Frame PCM16 em montagem
+    this.frame = new Int16Array(this.frameSize);
+    this.frameOffset = 0;
+
+    this.port.onmessage = (event) => {
+      if (event.data && event.data.type === "flush") {
+        this.flush();
+      }
+    };
+  }
+
+  /**
+   * Processa um bloco de áudio (128 amostras por canal)
+   */
+  process(inputs) {
+    const input = inputs[0];
+    if (input && input.length > 0 && input[0].length > 0) {
+      this.resample(input[0]);
+    }
+    return true;
+  }
+
+  /**
+   * Reamostra um bloco de entrada e acumula o resultado no frame atual
+   * @param {Float32Array} block - Amostras na taxa do hardware
+   */
+  resample(block) {
+    // Sem conversão quando o hardware já roda na taxa alvo
+    if (this.ratio === 1) {
+      for (let i = 0; i < block.length; i++) {
+        this.pushSample(block[i]);
+      }
+      return;
+    }
+
+    // Anexa o bloco ao histórico
+    const merged = new Float32Array(this.history.length + block.length);
+    merged.set(this.history);
+    merged.set(block, this.history.length);
+    this.history = merged;
+
+    // Gera amostras de saída enquanto houver contexto suficiente à direita
+    while (this.position + this.halfTaps < this.history.length) {
+      this.pushSample(this.interpolate(this.position));
+      this.position += this.ratio;
+    }
+
+    // Descarta as amostras que não serão mais usadas
+    const discard = Math.max(0, Math.floor(this.position) - this.halfTaps);
+    if (discard > 0) {
+      this.history = this.history.slice(discard);
+      this.position -= discard;
+    }
+  }
+
+  /**
+   * Calcula uma amostra em posição fracionária via sinc janelado (Hann)
+   * @param {number} position - Posição em amostras de entrada
+   * @returns {number} Amostra interpolada
+   */
+  interpolate(position) {
+    const center = Math.floor(position);
+    let sum = 0;
+
+    for (let k = center - this.halfTaps + 1; k <= center + this.halfTaps; k++) {
+      if (k < 0 || k >= this.history.length) continue;
+
+      const x = position - k;
+      const hann = 0.5 + 0.5 * Math.cos((Math.PI * x) / this.halfTaps);
+      const arg = Math.PI * this.cutoff * x;
+      const sinc = arg === 0 ? 1 : Math.sin(arg) / arg;
+      sum += this.history[k] * this.cutoff * sinc * hann;
+    }
+
+    return sum;
+  }
+
+  /**
+   * Converte uma amostra para PCM16 e emite o frame quando estiver completo
+   * @param {number} sample - Amostra em Float32
+   */
+  pushSample(sample) {
+    const s = Math.max(-1, Math.min(1, sample));
+    this.frame[this.frameOffset++] = s < 0 ? s * 0x8000 : s * 0x7fff;
+
+    if (this.frameOffset === this.frameSize) {
+      this.emitFrame(this.frame);
+      this.frame = new Int16Array(this.frameSize);
+      this.frameOffset = 0;
+    }
+  }
+
+  /**
+   * Envia um frame para a thread principal (transferindo o buffer)
+   * @param {Int16Array} frame - Frame PCM16
+   */
+  emitFrame(frame) {
+    this.port.postMessage({ type: "frame", samples: frame.buffer }, [
+      frame.buffer,
+    ]);
+  }
+
+  /**
+   * Emite o frame parcial pendente e reinicia o estado
+   */
+  flush() {
+    if (this.frameOffset > 0) {
+      this.emitFrame(this.frame.slice(0, this.frameOffset));
+    }
+
+    this.frame = new Int16Array(this.frameSize);
+    this.frameOffset = 0;
+    this.history = new Float32Array(0);
+    this.position = 0;
+
+    this.port.postMessage({ type: "flushed" });
+  }
+}
+
+registerProcessor("pcm16-capture", Pcm16CaptureProcessor);
@@ -0,0 +1,286 @@
+/**
+ * ChatView - Renderiza o chat a partir do ConversationStore
+ *
+ * Cada item da conversa tem um elemento próprio (data-item-id), criado ou
+ * atualizado quando o item muda no modelo. Também exibe um rascunho
+ * temporário durante a gravação e avisos do sistema, que não são itens da
+ * conversa.
+ */
+class ChatView {
+  constructor(containerId, store) {
+    this.container = document.getElementById(containerId);
+    this.store = store;
+    this.draftElement = null;
+
+    if (!this.container) {
+      console.error("Elemento do chat não encontrado:", containerId);
+      return;
+    }
+
+    this.store.onItemChanged = (item) => this.renderItem(item);
+    this.store.onItemRemoved = (itemId) => this.removeItem(itemId);
+  }
+
+  /**
+   * Localiza o elemento de um item
+   * @param {string} itemId - ID do item
+   * @returns {HTMLElement|null} Elemento
+   */
+  getElement(itemId) {
+    return this.container.querySelector(
+      `.message[data-item-id="${CSS.escape(itemId)}"]`
+    );
+  }
+
+  /**
+   * Cria ou atualiza o elemento de um item
+   * @param {Object} item - Item do modelo
+   */
+  renderItem(item) {
+    if (!this.container) return;
+
+    // A saída de uma função é exibida junto com a chamada
+    if (item.type === "function_call_output") {
+      const call = this.store
+        .getItems()
+        .find(
+          (candidate) =>
+            candidate.type === "function_call" &&
+            candidate.callId === item.callId
+        );
+      if (call) this.renderItem(call);
+      return;
+    }
+
+    let element = this.getElement(item.id);
+    if (!element) {
+      element = document.createElement("div");
+      element.classList.add("message");
+      element.dataset.itemId = item.id;
+      this.insertElement(item.id, element);
+    }
+
+    if (item.type === "function_call") {
+      this.renderFunctionCall(element, item);
+    } else {
+      this.renderMessage(element, item);
+    }
+
+    this.scrollToBottom();
+  }
+
+  /**
+   * Insere o elemento na posição do item na conversa
+   * @param {string} itemId - ID do item
+   * @param {HTMLElement} element - Elemento a inserir
+   */
+  insertElement(itemId, element) {
+    const order = this.store.order;
+    const index = order.indexOf(itemId);
+
+    // Antes do próximo item que já tem elemento
+    for (let i = index + 1; i > 0 && i < order.length; i++) {
+      const next = this.getElement(order[i]);
+      if (next) {
+        this.container.insertBefore(element, next);
+        return;
+      }
+    }
+
+    // O rascunho da gravação fica sempre por último
+    if (this.draftElement) {
+      this.container.insertBefore(element, this.draftElement);
+    } else {
+      this.container.appendChild(element);
+    }
+  }
+
+  /**
+   * Renderiza uma mensagem (usuário, assistente ou sistema)
+   * @param {HTMLElement} element - Elemento do item
+   * @param {Object} item - Item do modelo
+   */
+  renderMessage(element, item) {
+    const roleClass =
+      item.role === "assistant"
+        ? "assistant-message"
+        : item.role === "system"
+          ? "system-message"
+          : "user-message";
+    element.classList.add(roleClass);
+
+    const failedPart = item.content.find((part) => part.transcriptionError);
+    const audioPart = item.content.find((part) => part.type === "input_audio");
+    const text = this.store.getItemText(item);
+
+    element.classList.toggle("transcript-error", Boolean(failedPart));
+    element.classList.toggle(
+      "interrupted-message",
+      item.role === "assistant" &&
+        (item.status === "incomplete" || Boolean(item.truncated))
+    );
+
+    if (failedPart) {
+      element.textContent = `Falha na transcrição: ${failedPart.transcriptionError}`;
+    } else if (text) {
+      element.textContent = text;
+    } else if (audioPart && audioPart.transcript === "") {
+      element.textContent = "(sem fala detectada)";
+    } else if (audioPart) {
+      element.textContent = "Transcrevendo...";
+    } else {
+      element.textContent = item.status === "in_progress" ? "..." : "";
+    }
+  }
+
+  /**
+   * Renderiza uma chamada de ferramenta com seu resultado
+   * @param {HTMLElement} element - Elemento do item
+   * @param {Object} item - Item function_call
+   */
+  renderFunctionCall(element, item) {
+    element.classList.add("tool-message");
+    element.innerHTML = "";
+
+    const callElement = document.createElement("div");
+    callElement.classList.add("tool-call");
+    callElement.textContent = `🔧 ${item.name}(${item.arguments || ""})`;
+
+    const resultElement = document.createElement("pre");
+    resultElement.classList.add("tool-result");
+
+    const output = this.store.findFunctionOutput(item.callId);
+    let isError = false;
+    if (output) {
+      try {
+        const parsed = JSON.parse(output.output);
+        isError = Boolean(parsed && parsed.error);
+        resultElement.textContent = JSON.stringify(parsed, null, 2);
+      } catch (error) {
+        resultElement.textContent = output.output;
+      }
+    } else {
+      resultElement.textContent = "Executando...";
+    }
+
+    element.classList.toggle("tool-error", isError);
+    element.appendChild(callElement);
+    element.appendChild(resultElement);
+  }
+
+  /**
+   * Remove o elemento de um item
+   * @param {string} itemId - ID do item
+   */
+  removeItem(itemId) {
+    const element = this.getElement(itemId);
+    if (element) {
+      this.container.removeChild(element);
+    }
+  }
+
+  /**
+   * Exibe (ou atualiza) o rascunho da fala em gravação
+   * @param {string} text - Texto do rascunho
+   */
+  showDraft(text) {
+    if (!this.draftElement) {
+      this.draftElement = document.createElement("div");
+      this.draftElement.classList.add(
+        "message",
+        "user-message",
+        "draft-message"
+      );
+      this.container.appendChild(this.draftElement);
+    }
+
+    this.draftElement.textContent = text;
+    this.scrollToBottom();
+  }
+
+  /**
+   * Remove o rascunho da gravação
+   */
+  clearDraft() {
+    if (this.draftElement) {
+      this.container.removeChild(this.draftElement);
+      this.draftElement = null;
+    }
+  }
+
+  /**
+   * Exibe um aviso do sistema no chat (ex.: queda de conexão)
+   * @param {string} text - Texto do aviso
+   */
+  addSystemMessage(text) {
+    const element = document.createElement("div");
+    element.classList.add("message", "system-message");
+    element.textContent = text;
+
+    if (this.draftElement) {
+      this.container.insertBefore(element, this.draftElement);
+    } else {
+      this.container.appendChild(element);
+    }
+
+    this.scrollToBottom();
+  }
+
+  /**
+   * Exibe uma mensagem à parte da conversa (ex.: resposta fora da conversa)
+   * @param {string} title - Título da mensagem
+   * @returns {HTMLElement} Elemento, para atualizações com updateAsideMessage
+   */
+  addAsideMessage(title) {
+    const element = document.createElement("div");
+    element.classList.add("message", "aside-message");
+
+    const titleElement = document.createElement("div");
+    titleElement.classList.add("aside-title");
+    titleElement.textContent = title;
+
+    const bodyElement = document.createElement("div");
+    bodyElement.classList.add("aside-body");
+    bodyElement.textContent = "...";
+
+    element.appendChild(titleElement);
+    element.appendChild(bodyElement);
+
+    if (this.draftElement) {
+      this.container.insertBefore(element, this.draftElement);
+    } else {
+      this.container.appendChild(element);
+    }
+
+    this.scrollToBottom();
+    return element;
+  }
+
+  /**
+   * Atualiza o texto de uma mensagem à parte
+   * @param {HTMLElement} element - Elemento criado por addAsideMessage
+   * @param {string} text - Texto atual
+   */
+  updateAsideMessage(element, text) {
+    element.querySelector(".aside-body").textContent = text;
+    this.scrollToBottom();
+  }
+
+  /**
+   * Remove todo o conteúdo do chat, inclusive avisos e rascunho
+   */
+  clear() {
+    this.container.innerHTML = "";
+    this.draftElement = null;
+  }
+
+  /**
+   * Rola para mostrar a mensagem mais recente
+   */
+  scrollToBottom() {
+    this.container.scrollTop = this.container.scrollHeight;
+  }
+}
+
+// Inicializa a instância global da visualização do chat
+const chatView = new ChatView("chatMessages", conversationStore);
@@ -0,0 +1,250 @@
+/**
+ * ConnectionMonitor - Monitora a saúde da conexão com o servidor Realtime
+ *
+ * Mede a latência entre o envio de um session.update (como a sonda enviada
+ * quando não há tráfego) e a confirmação do servidor, acompanha os eventos
+ * ainda não confirmados, detecta respostas travadas (sem deltas por um
+ * tempo) e sinaliza quando a conexão está degradada ou deve ser reaberta.
+ */
+class ConnectionMonitor {
+  constructor(options = {}) {
+    // Configurações (ms)
+    this.checkIntervalMs = options.checkIntervalMs || 1000;
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs || 15000; // Silêncio antes de sondar
+    this.ackTimeoutMs = options.ackTimeoutMs || 8000; // Confirmação atrasada => degradado
+    this.deadTimeoutMs = options.deadTimeoutMs || 30000; // Sem tráfego algum => reconectar
+    this.stallTimeoutMs = options.stallTimeoutMs || 8000; // Resposta sem deltas => degradado
+    this.stallReconnectMs = options.stallReconnectMs || 20000; // Resposta travada => reconectar
+
+    // Eventos enviados e o evento do servidor que os confirma
+    this.ackTypes = {
+      "session.update": "session.updated",
+      "input_audio_buffer.commit": "input_audio_buffer.committed",
+      "input_audio_buffer.clear": "input_audio_buffer.cleared",
+      "conversation.item.create": "conversation.item.created",
+      "conversation.item.truncate": "conversation.item.truncated",
+      "response.create": "response.created",
+    };
+
+    // Confirmações usadas na medição de latência. O servidor não devolve o
+    // event_id do cliente nas confirmações, e os demais tipos também são
+    // gerados por conta própria (response.created do VAD, um
+    // conversation.item.created por item de saída), o que mediria o tempo
+    // até o evento errado. session.updated só chega em resposta ao cliente.
+    this.latencyAckTypes = ["session.updated"];
+
+    // Eventos
+    this.onProbe = null; // Deve enviar um evento de sonda ao servidor
+    this.onLatency = null;
+    this.onDegraded = null;
+    this.onRecovered = null;
+    this.onDead = null;
+
+    this.timer = null;
+    this.reset();
+  }
+
+  /**
+   * Reinicia o estado das medições
+   */
+  reset() {
+    const now = Date.now();
+    this.pendingAcks = []; // { eventId, ackType, sentAt }
+    this.lastReceivedAt = now;
+    this.lastProbeAt = 0;
+    this.activeResponses = new Set(); // IDs das respostas em andamento
+    this.lastResponseEventAt = now;
+    this.latencies = [];
+    this.lastLatencyMs = null;
+    this.isDegraded = false;
+    this.degradedReason = null;
+  }
+
+  /**
+   * Inicia o monitoramento (ao abrir a conexão)
+   */
+  start() {
+    this.stop();
+    this.reset();
+    this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+  }
+
+  /**
+   * Para o monitoramento (ao fechar a conexão)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.pendingAcks = [];
+  }
+
+  /**
+   * Registra um evento enviado ao servidor
+   * @param {Object} message - Evento enviado
+   */
+  recordSent(message) {
+    const ackType = this.ackTypes[message.type];
+    if (!ackType) return;
+
+    this.pendingAcks.push({
+      eventId: message.event_id,
+      ackType,
+      sentAt: Date.now(),
+    });
+  }
+
+  /**
+   * Registra um evento recebido do servidor
+   * @param {Object} data - Evento recebido
+   */
+  recordReceived(data) {
+    const now = Date.now();
+    this.lastReceivedAt = now;
+
+    // Confirmação de um evento enviado (pelo tipo; só a sonda mede a latência)
+    const index = this.pendingAcks.findIndex(
+      (pending) => pending.ackType === data.type
+    );
+    if (index !== -1) {
+      const [pending] = this.pendingAcks.splice(index, 1);
+      if (this.latencyAckTypes.includes(pending.ackType)) {
+        this.recordLatency(now - pending.sentAt);
+      }
+    }
+
+    // Erros do servidor referenciam o evento que os causou
+    if (data.type === "error" && data.error && data.error.event_id) {
+      this.pendingAcks = this.pendingAcks.filter(
+        (pending) => pending.eventId !== data.error.event_id
+      );
+    }
+
+    // Acompanha o progresso das respostas ativas
+    if (data.type === "response.created") {
+      this.activeResponses.add(data.response.id);
+    } else if (data.type === "response.done") {
+      this.activeResponses.delete(data.response.id);
+    }
+    if (data.type.startsWith("response.")) {
+      this.lastResponseEventAt = now;
+    }
+
+    if (this.isDegraded && !this.getDegradedReason(now)) {
+      this.setDegraded(null);
+    }
+  }
+
+  /**
+   * Armazena uma medição de latência
+   * @param {number} latencyMs - Latência em ms
+   */
+  recordLatency(latencyMs) {
+    this.lastLatencyMs = latencyMs;
+    this.latencies.push(latencyMs);
+    if (this.latencies.length > 20) {
+      this.latencies.shift();
+    }
+
+    if (this.onLatency) {
+      this.onLatency(latencyMs, this.getAverageLatency());
+    }
+  }
+
+  /**
+   * Latência média das últimas medições
+   * @returns {number|null} Média em ms
+   */
+  getAverageLatency() {
+    if (this.latencies.length === 0) return null;
+    const total = this.latencies.reduce((sum, value) => sum + value, 0);
+    return Math.round(total / this.latencies.length);
+  }
+
+  /**
+   * Identifica o motivo de degradação atual, se houver
+   * @param {number} now - Instante atual (ms)
+   * @returns {string|null} Motivo
+   */
+  getDegradedReason(now) {
+    if (
+      this.activeResponses.size > 0 &&
+      now - this.lastResponseEventAt > this.stallTimeoutMs
+    ) {
+      return "resposta sem progresso";
+    }
+
+    const oldestAck = this.pendingAcks[0];
+    if (oldestAck && now - oldestAck.sentAt > this.ackTimeoutMs) {
+      return "servidor não confirmou eventos";
+    }
+
+    return null;
+  }
+
+  /**
+   * Atualiza o estado de degradação e notifica mudanças
+   * @param {string|null} reason - Motivo, ou null se recuperado
+   */
+  setDegraded(reason) {
+    if (reason === this.degradedReason) return;
+
+    const wasDegraded = this.isDegraded;
+    this.isDegraded = Boolean(reason);
+    this.degradedReason = reason;
+
+    if (reason && this.onDegraded) {
+      this.onDegraded(reason);
+    } else if (!reason && wasDegraded && this.onRecovered) {
+      this.onRecovered();
+    }
+  }
+
+  /**
+   * Verificação periódica da saúde da conexão
+   */
+  check() {
+    const now = Date.now();
+    const silenceMs = now - this.lastReceivedAt;
+
+    // Conexão meio-aberta: nenhum evento recebido por tempo demais
+    if (silenceMs > this.deadTimeoutMs) {
+      this.fail(`nenhum evento recebido em ${Math.round(silenceMs / 1000)} s`);
+      return;
+    }
+
+    // Resposta travada por tempo demais
+    if (
+      this.activeResponses.size > 0 &&
+      now - this.lastResponseEventAt > this.stallReconnectMs
+    ) {
+      this.fail("resposta travada");
+      return;
+    }
+
+    // Sem tráfego recente: envia uma sonda para medir a latência
+    if (
+      silenceMs > this.heartbeatIntervalMs &&
+      now - this.lastProbeAt > this.heartbeatIntervalMs
+    ) {
+      this.lastProbeAt = now;
+      if (this.onProbe) {
+        this.onProbe();
+      }
+    }
+
+    this.setDegraded(this.getDegradedReason(now));
+  }
+
+  /**
+   * Encerra o monitoramento e pede a reconexão
+   * @param {string} reason - Motivo da falha
+   */
+  fail(reason) {
+    this.stop();
+    if (this.onDead) {
+      this.onDead(reason);
+    }
+  }
+}
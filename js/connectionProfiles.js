@@ -0,0 +1,380 @@
+/**
+ * ConnectionProfiles - Perfis de conexão com o servidor Realtime
+ *
+ * Cada perfil define a URL do servidor, o modelo, o token de autenticação
+ * (enviado como parâmetro de query ou subprotocolo do WebSocket) e,
+ * opcionalmente, um endpoint para obter tokens efêmeros. Perfis podem ser
+ * escolhidos pela interface ou por parâmetros na URL da página
+ * (?profile=, ?url=, ?model=, ?token=, ?auth=, ?tokenUrl=).
+ *
+ * Os tokens ficam no sessionStorage (descartados ao fechar a aba); só vão
+ * para o localStorage com o perfil se o usuário marcar "lembrar o token".
+ */
+class ConnectionProfiles {
+  constructor(storageKey) {
+    this.storageKey = storageKey || "realtime-client-profiles";
+    this.tokenStorageKey = `${this.storageKey}-tokens`; // sessionStorage
+
+    // Perfis incluídos no cliente
+    this.builtInProfiles = {
+      local: {
+        name: "local",
+        url: "ws://localhost:8080/",
+        model: "",
+        authMethod: "none",
+        authToken: "",
+        rememberToken: false,
+        ephemeralTokenUrl: "",
+      },
+      mock: {
+        name: "mock",
+        url: "ws://localhost:8090/",
+        model: "",
+        authMethod: "none",
+        authToken: "",
+        rememberToken: false,
+        ephemeralTokenUrl: "",
+      },
+      openai: {
+        name: "openai",
+        url: "wss://api.openai.com/v1/realtime",
+        model: "gpt-4o-realtime-preview",
+        authMethod: "subprotocol",
+        authToken: "",
+        rememberToken: false,
+        ephemeralTokenUrl: "",
+      },
+    };
+
+    this.authMethods = ["none", "query", "subprotocol"];
+    this.tokenQueryParam = "token"; // Nome do parâmetro no modo 'query'
+
+    const stored = this.load();
+    this.customProfiles = stored.profiles;
+    this.activeName = stored.active;
+
+    // Tira do localStorage os tokens salvos sem a opção de lembrar
+    if (
+      Object.values(this.customProfiles).some(
+        (profile) => profile.authToken && !profile.rememberToken
+      )
+    ) {
+      this.save();
+    }
+
+    // Perfil temporário definido pela URL da página (não é persistido)
+    this.queryProfile = this.readQueryProfile();
+  }
+
+  /**
+   * Carrega os perfis personalizados (com os tokens da aba) e o perfil ativo
+   * @returns {Object} { profiles, active }
+   */
+  load() {
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(this.storageKey));
+      if (stored && typeof stored === "object") {
+        const profiles = stored.profiles || {};
+        const tokens =
+          JSON.parse(window.sessionStorage.getItem(this.tokenStorageKey)) || {};
+
+        Object.values(profiles).forEach((profile) => {
+          profile.rememberToken = Boolean(profile.rememberToken);
+          if (!profile.authToken && tokens[profile.name]) {
+            profile.authToken = tokens[profile.name];
+          }
+        });
+
+        return { profiles, active: stored.active || "local" };
+      }
+    } catch (error) {
+      logger.error(`Erro ao carregar perfis de conexão: ${error.message}`);
+    }
+    return { profiles: {}, active: "local" };
+  }
+
+  /**
+   * Persiste os perfis personalizados e o perfil ativo. O token só é
+   * persistido com o perfil se rememberToken estiver marcado; os demais
+   * ficam no sessionStorage.
+   */
+  save() {
+    const profiles = {};
+    const tokens = {};
+    Object.values(this.customProfiles).forEach((profile) => {
+      if (profile.rememberToken || !profile.authToken) {
+        profiles[profile.name] = profile;
+        return;
+      }
+      profiles[profile.name] = { ...profile, authToken: "" };
+      tokens[profile.name] = profile.authToken;
+    });
+
+    try {
+      window.localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({ profiles, active: this.activeName })
+      );
+      window.sessionStorage.setItem(
+        this.tokenStorageKey,
+        JSON.stringify(tokens)
+      );
+    } catch (error) {
+      logger.error(`Erro ao salvar perfis de conexão: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lê um perfil a partir dos parâmetros da URL da página
+   * @returns {Object|null} Perfil temporário, ou null se não houver parâmetros
+   */
+  readQueryProfile() {
+    const params = new URLSearchParams(window.location.search);
+    const keys = ["profile", "url", "model", "token", "auth", "tokenUrl"];
+    if (!keys.some((key) => params.has(key))) return null;
+
+    const base =
+      this.getProfile(params.get("profile")) ||
+      this.getProfile(this.activeName) ||
+      this.builtInProfiles.local;
+    const profile = {
+      ...base,
+      name: params.has("url") ? "url" : base.name,
+    };
+
+    if (params.has("url")) profile.url = params.get("url");
+    if (params.has("model")) profile.model = params.get("model");
+    if (params.has("token")) profile.authToken = params.get("token");
+    if (params.has("auth")) profile.authMethod = params.get("auth");
+    if (params.has("tokenUrl"))
+      profile.ephemeralTokenUrl = params.get("tokenUrl");
+
+    // Um token passado só com ?token= usa o método de query por padrão
+    if (
+      params.has("token") &&
+      !params.has("auth") &&
+      profile.authMethod === "none"
+    ) {
+      profile.authMethod = "query";
+    }
+
+    // Remove o token da barra de endereços
+    if (params.has("token")) {
+      params.delete("token");
+      const query = params.toString();
+      window.history.replaceState(
+        null,
+        "",
+        `${window.location.pathname}${query ? `?${query}` : ""}`
+      );
+    }
+
+    const errors = this.validate(profile);
+    if (errors.length > 0) {
+      logger.error(`Perfil da URL inválido: ${errors.join("; ")}`);
+      return null;
+    }
+
+    logger.info(`Usando perfil de conexão da URL: ${profile.name}`);
+    return profile;
+  }
+
+  /**
+   * Retorna um perfil pelo nome (personalizados sobrepõem os incluídos)
+   * @param {string} name - Nome do perfil
+   * @returns {Object|null} Perfil
+   */
+  getProfile(name) {
+    if (!name) return null;
+    return this.customProfiles[name] || this.builtInProfiles[name] || null;
+  }
+
+  /**
+   * Lista os nomes de todos os perfis disponíveis
+   * @returns {Array<string>} Nomes dos perfis
+   */
+  getProfileNames() {
+    return Array.from(
+      new Set([
+        ...Object.keys(this.builtInProfiles),
+        ...Object.keys(this.customProfiles),
+      ])
+    );
+  }
+
+  /**
+   * Retorna o perfil ativo (o da URL tem prioridade)
+   * @returns {Object} Perfil ativo
+   */
+  getActiveProfile() {
+    return (
+      this.queryProfile ||
+      this.getProfile(this.activeName) ||
+      this.builtInProfiles.local
+    );
+  }
+
+  /**
+   * Seleciona o perfil ativo
+   * @param {string} name - Nome do perfil
+   */
+  setActiveProfile(name) {
+    if (!this.getProfile(name)) {
+      logger.error(`Perfil de conexão desconhecido: ${name}`);
+      return;
+    }
+
+    this.activeName = name;
+    this.queryProfile = null;
+    this.save();
+    logger.info(`Perfil de conexão selecionado: ${name}`);
+  }
+
+  /**
+   * Valida um perfil
+   * @param {Object} profile - Perfil a validar
+   * @returns {Array<string>} Lista de erros
+   */
+  validate(profile) {
+    const errors = [];
+
+    if (!profile.name || !String(profile.name).trim()) {
+      errors.push("Nome do perfil é obrigatório");
+    }
+
+    try {
+      const url = new URL(profile.url);
+      if (url.protocol !== "ws:" && url.protocol !== "wss:") {
+        errors.push("A URL deve usar ws:// ou wss://");
+      }
+    } catch (error) {
+      errors.push(`URL inválida: ${profile.url}`);
+    }
+
+    if (!this.authMethods.includes(profile.authMethod)) {
+      errors.push(`Método de autenticação inválido: ${profile.authMethod}`);
+    }
+
+    if (profile.ephemeralTokenUrl) {
+      try {
+        new URL(profile.ephemeralTokenUrl, window.location.href);
+      } catch (error) {
+        errors.push(`Endpoint de token inválido: ${profile.ephemeralTokenUrl}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Salva (ou substitui) um perfil personalizado
+   * @param {Object} profile - Perfil
+   * @returns {Array<string>} Lista de erros (vazia se salvo)
+   */
+  saveProfile(profile) {
+    const normalized = {
+      name: String(profile.name || "").trim(),
+      url: String(profile.url || "").trim(),
+      model: String(profile.model || "").trim(),
+      authMethod: profile.authMethod || "none",
+      authToken: String(profile.authToken || "").trim(),
+      rememberToken: Boolean(profile.rememberToken),
+      ephemeralTokenUrl: String(profile.ephemeralTokenUrl || "").trim(),
+    };
+
+    const errors = this.validate(normalized);
+    if (errors.length > 0) return errors;
+
+    this.customProfiles[normalized.name] = normalized;
+    this.activeName = normalized.name;
+    this.queryProfile = null;
+    this.save();
+    logger.success(`Perfil de conexão salvo: ${normalized.name}`);
+    return [];
+  }
+
+  /**
+   * Remove um perfil personalizado
+   * @param {string} name - Nome do perfil
+   */
+  deleteProfile(name) {
+    if (!this.customProfiles[name]) {
+      logger.warning(`Perfis incluídos não podem ser removidos: ${name}`);
+      return;
+    }
+
+    delete this.customProfiles[name];
+    if (this.activeName === name && !this.builtInProfiles[name]) {
+      this.activeName = "local";
+    }
+    this.save();
+    logger.info(`Perfil de conexão removido: ${name}`);
+  }
+
+  /**
+   * Obtém um token efêmero do endpoint configurado no perfil
+   * @param {Object} profile - Perfil
+   * @returns {Promise<string>} Token
+   */
+  async fetchEphemeralToken(profile) {
+    logger.info(`Obtendo token efêmero: ${profile.ephemeralTokenUrl}`);
+
+    const response = await fetch(profile.ephemeralTokenUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(profile.model ? { model: profile.model } : {}),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Endpoint de token respondeu ${response.status}`);
+    }
+
+    const data = await response.json();
+    const token =
+      (data.client_secret && data.client_secret.value) ||
+      data.token ||
+      data.value;
+
+    if (!token) {
+      throw new Error("Resposta do endpoint de token sem token");
+    }
+
+    return token;
+  }
+
+  /**
+   * Monta a URL e os subprotocolos do WebSocket para um perfil
+   * @param {Object} profile - Perfil
+   * @returns {Promise<Object>} { url, protocols, displayUrl }
+   */
+  async resolveConnection(profile) {
+    let token = profile.authToken;
+    if (profile.ephemeralTokenUrl) {
+      token = await this.fetchEphemeralToken(profile);
+    }
+
+    const url = new URL(profile.url);
+    if (profile.model) {
+      url.searchParams.set("model", profile.model);
+    }
+
+    // Versão da URL sem credenciais, para os logs
+    const displayUrl = url.toString();
+
+    let protocols;
+    if (token && profile.authMethod === "query") {
+      url.searchParams.set(this.tokenQueryParam, token);
+    } else if (token && profile.authMethod === "subprotocol") {
+      protocols = [
+        "realtime",
+        `openai-insecure-api-key.${token}`,
+        "openai-beta.realtime-v1",
+      ];
+    }
+
+    return { url: url.toString(), protocols, displayUrl };
+  }
+}
+
+// Inicializa a instância global dos perfis de conexão
+const connectionProfiles = new ConnectionProfiles();
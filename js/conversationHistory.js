@@ -0,0 +1,375 @@
+/**
+ * ConversationHistory - Histórico persistente de conversas (IndexedDB)
+ *
+ * Salva automaticamente a conversa atual do ConversationStore (transcrição,
+ * configurações da sessão e, opcionalmente, o áudio gravado). Conversas
+ * salvas podem ser listadas, buscadas, renomeadas, removidas e reabertas,
+ * somente para leitura ou para continuar em uma nova sessão.
+ */
+class ConversationHistory {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.dbName = options.dbName || "realtime-client-history";
+    this.dbVersion = 1;
+    this.db = null;
+
+    this.saveDelayMs = 1000; // Agrupa alterações próximas em um único salvamento
+    this.saveTimer = null;
+    this.isLoading = false; // Ignora alterações durante o carregamento
+
+    this.currentId = null; // Conversa sendo gravada
+    this.currentMeta = null; // { createdAt, title, customTitle, hasAudio }
+    this.viewingId = null; // Conversa aberta somente para leitura
+
+    // Eventos
+    this.onListChanged = null; // Lista de conversas mudou
+
+    this.store.onChange = () => this.scheduleSave();
+  }
+
+  /**
+   * Abre (ou cria) o banco de dados
+   * @returns {Promise<IDBDatabase>} Banco aberto
+   */
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+
+    return new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains("conversations")) {
+          db.createObjectStore("conversations", { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains("audio")) {
+          db.createObjectStore("audio", { keyPath: "conversationId" });
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Executa uma operação em um object store
+   * @param {string} storeName - 'conversations' ou 'audio'
+   * @param {string} mode - 'readonly' ou 'readwrite'
+   * @param {Function} operation - Recebe o object store e retorna um IDBRequest
+   * @returns {Promise<*>} Resultado da requisição
+   */
+  async run(storeName, mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Lista as conversas salvas, das mais recentes para as mais antigas
+   * @param {string} [query] - Texto a buscar no título e na transcrição
+   * @returns {Promise<Array<Object>>} Resumos das conversas
+   */
+  async list(query = "") {
+    try {
+      const records = await this.run("conversations", "readonly", (store) =>
+        store.getAll()
+      );
+      const terms = query.trim().toLowerCase();
+
+      return records
+        .filter(
+          (record) =>
+            !terms ||
+            record.title.toLowerCase().includes(terms) ||
+            record.searchText.includes(terms)
+        )
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .map((record) => ({
+          id: record.id,
+          title: record.title,
+          createdAt: record.createdAt,
+          updatedAt: record.updatedAt,
+          itemCount: record.items.length,
+          hasAudio: Boolean(record.hasAudio),
+        }));
+    } catch (error) {
+      logger.error(`Erro ao listar o histórico: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Carrega uma conversa salva
+   * @param {string} id - ID da conversa
+   * @returns {Promise<Object|null>} Registro completo
+   */
+  async get(id) {
+    try {
+      return (
+        (await this.run("conversations", "readonly", (store) =>
+          store.get(id)
+        )) || null
+      );
+    } catch (error) {
+      logger.error(`Erro ao carregar conversa ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Agenda o salvamento da conversa atual (capturas reproduzidas não são salvas)
+   */
+  scheduleSave() {
+    if (this.isLoading || this.viewingId || webSocketManager.isReplaying) {
+      return;
+    }
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelayMs);
+  }
+
+  /**
+   * Gera um título a partir da primeira mensagem do usuário
+   * @returns {string} Título
+   */
+  buildTitle() {
+    const firstUserItem = this.store
+      .getItems()
+      .find(
+        (item) => item.role === "user" && this.store.getItemText(item) !== ""
+      );
+    if (firstUserItem) {
+      const text = this.store.getItemText(firstUserItem);
+      return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    }
+    return `Conversa de ${new Date(this.currentMeta.createdAt).toLocaleString()}`;
+  }
+
+  /**
+   * Salva a conversa atual (cria um registro na primeira vez)
+   * @returns {Promise<boolean>} Se a conversa foi salva
+   */
+  async save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (this.viewingId || webSocketManager.isReplaying) return false;
+    if (this.store.order.length === 0) return false;
+
+    if (!this.currentId) {
+      this.currentId = `conv_${Date.now().toString(36)}`;
+      this.currentMeta = {
+        createdAt: Date.now(),
+        title: null,
+        customTitle: false,
+        hasAudio: false,
+      };
+    }
+
+    const items = JSON.parse(JSON.stringify(this.store.getItems()));
+    const record = {
+      id: this.currentId,
+      ...this.currentMeta,
+      title: this.currentMeta.customTitle
+        ? this.currentMeta.title
+        : this.buildTitle(),
+      updatedAt: Date.now(),
+      sessionId:
+        webSocketManager.sessionId || webSocketManager.previousSessionId,
+      settings: { ...settingsManager.settings },
+      conversationMode: webSocketManager.conversationMode,
+      items,
+      audioTimings: Array.from(this.store.audioTimings.entries()),
+      searchText: items
+        .map((item) => this.store.getItemText(item))
+        .join("\n")
+        .toLowerCase(),
+    };
+
+    try {
+      await this.run("conversations", "readwrite", (store) =>
+        store.put(record)
+      );
+      this.currentMeta.title = record.title;
+      this.notifyListChanged();
+      return true;
+    } catch (error) {
+      logger.error(`Erro ao salvar a conversa: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Renomeia uma conversa
+   * @param {string} id - ID da conversa
+   * @param {string} title - Novo título
+   */
+  async rename(id, title) {
+    const trimmed = String(title || "").trim();
+    if (!trimmed) return;
+
+    const record = await this.get(id);
+    if (!record) return;
+
+    record.title = trimmed;
+    record.customTitle = true;
+    if (id === this.currentId) {
+      this.currentMeta.title = trimmed;
+      this.currentMeta.customTitle = true;
+    }
+
+    try {
+      await this.run("conversations", "readwrite", (store) =>
+        store.put(record)
+      );
+      this.notifyListChanged();
+    } catch (error) {
+      logger.error(`Erro ao renomear a conversa: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove uma conversa e o áudio associado
+   * @param {string} id - ID da conversa
+   */
+  async remove(id) {
+    try {
+      await this.run("conversations", "readwrite", (store) => store.delete(id));
+      await this.run("audio", "readwrite", (store) => store.delete(id));
+    } catch (error) {
+      logger.error(`Erro ao remover a conversa: ${error.message}`);
+      return;
+    }
+
+    // A conversa atual volta a ser gravada como um novo registro
+    if (id === this.currentId) {
+      this.currentId = null;
+      this.currentMeta = null;
+    }
+    logger.info(`Conversa removida do histórico: ${id}`);
+    this.notifyListChanged();
+  }
+
+  /**
+   * Salva o áudio gravado da conversa atual
+   * @param {Blob} blob - Arquivo WAV
+   */
+  async saveAudio(blob) {
+    if (!blob || this.viewingId) return;
+    if (!this.currentId && !(await this.save())) return;
+
+    try {
+      await this.run("audio", "readwrite", (store) =>
+        store.put({ conversationId: this.currentId, blob, savedAt: Date.now() })
+      );
+      this.currentMeta.hasAudio = true;
+      await this.save();
+      logger.success("Áudio da conversa salvo no histórico");
+    } catch (error) {
+      logger.error(`Erro ao salvar o áudio da conversa: ${error.message}`);
+    }
+  }
+
+  /**
+   * Carrega o áudio salvo de uma conversa
+   * @param {string} id - ID da conversa
+   * @returns {Promise<Blob|null>} Arquivo WAV
+   */
+  async getAudio(id) {
+    try {
+      const entry = await this.run("audio", "readonly", (store) =>
+        store.get(id)
+      );
+      return entry ? entry.blob : null;
+    } catch (error) {
+      logger.error(`Erro ao carregar o áudio da conversa: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Reabre uma conversa salva no ConversationStore
+   * @param {string} id - ID da conversa
+   * @param {boolean} continueConversation - Continua gravando na conversa
+   *   (caso contrário, abre somente para leitura)
+   * @returns {Promise<Object|null>} Registro aberto
+   */
+  async openConversation(id, continueConversation) {
+    await this.flush();
+
+    const record = await this.get(id);
+    if (!record) {
+      logger.error(`Conversa não encontrada: ${id}`);
+      return null;
+    }
+
+    this.isLoading = true;
+    this.store.load(record.items, record.audioTimings);
+    this.store.markInProgressIncomplete();
+    this.isLoading = false;
+
+    if (continueConversation) {
+      this.viewingId = null;
+      this.currentId = record.id;
+      this.currentMeta = {
+        createdAt: record.createdAt,
+        title: record.title,
+        customTitle: Boolean(record.customTitle),
+        hasAudio: Boolean(record.hasAudio),
+      };
+    } else {
+      this.viewingId = record.id;
+      this.currentId = null;
+      this.currentMeta = null;
+    }
+
+    const mode = continueConversation ? "para continuar" : "somente leitura";
+    logger.info(`Conversa aberta (${mode}): ${record.title}`);
+    this.notifyListChanged();
+    return record;
+  }
+
+  /**
+   * Começa uma nova conversa (a atual permanece salva)
+   */
+  async startNew() {
+    await this.flush();
+    this.currentId = null;
+    this.currentMeta = null;
+    this.viewingId = null;
+
+    this.isLoading = true;
+    this.store.clear();
+    this.isLoading = false;
+    this.notifyListChanged();
+  }
+
+  /**
+   * Conclui um salvamento pendente
+   */
+  async flush() {
+    if (this.saveTimer) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Notifica a mudança da lista de conversas
+   */
+  notifyListChanged() {
+    if (this.onListChanged) {
+      this.onListChanged();
+    }
+  }
+}
+
+// Inicializa a instância global do histórico de conversas
+const conversationHistory = new ConversationHistory(conversationStore);
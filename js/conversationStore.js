@@ -0,0 +1,539 @@
+/**
+ * ConversationStore - Modelo local da conversa, espelhando o servidor
+ *
+ * Mantém os itens da conversa indexados por item_id (papel, partes de
+ * conteúdo, status e referências de áudio), atualizados a partir dos eventos
+ * do servidor. A interface do chat é renderizada a partir deste modelo.
+ */
+class ConversationStore {
+  constructor() {
+    this.items = new Map(); // item_id -> item
+    this.order = []; // item_ids na ordem da conversa
+    this.audioTimings = new Map(); // item_id -> { startMs, endMs } (relógio local)
+    this.localItemCounter = 0;
+
+    // Eventos
+    this.onItemChanged = null; // (item) => void
+    this.onItemRemoved = null; // (itemId) => void
+    this.onChange = null; // () => void, após qualquer alteração
+  }
+
+  /**
+   * Gera um ID para itens criados pelo cliente (aceito pela API em item.id)
+   * @returns {string} ID do item
+   */
+  generateItemId() {
+    return `item_c${Date.now().toString(36)}${++this.localItemCounter}`;
+  }
+
+  /**
+   * Retorna os itens na ordem da conversa
+   * @returns {Array<Object>} Itens
+   */
+  getItems() {
+    return this.order.map((id) => this.items.get(id));
+  }
+
+  /**
+   * Retorna um item pelo ID
+   * @param {string} itemId - ID do item
+   * @returns {Object|undefined} Item
+   */
+  getItem(itemId) {
+    return this.items.get(itemId);
+  }
+
+  /**
+   * Localiza a saída de uma chamada de função
+   * @param {string} callId - ID da chamada
+   * @returns {Object|undefined} Item function_call_output
+   */
+  findFunctionOutput(callId) {
+    return this.getItems().find(
+      (item) => item.type === "function_call_output" && item.callId === callId
+    );
+  }
+
+  /**
+   * Remove todos os itens
+   */
+  clear() {
+    const ids = this.order.slice();
+    this.items.clear();
+    this.order = [];
+    this.audioTimings.clear();
+    ids.forEach((id) => this.notifyRemoved(id));
+  }
+
+  /**
+   * Substitui a conversa por itens salvos anteriormente
+   * @param {Array<Object>} items - Itens locais (formato de getItems)
+   * @param {Array<Array>} [audioTimings] - Pares [item_id, { startMs, endMs }]
+   */
+  load(items, audioTimings = []) {
+    this.clear();
+
+    items.forEach((item) => {
+      this.items.set(item.id, item);
+      this.order.push(item.id);
+    });
+    audioTimings.forEach(([itemId, timing]) => {
+      this.audioTimings.set(itemId, timing);
+    });
+
+    items.forEach((item) => this.notifyChanged(item));
+  }
+
+  /**
+   * Retorna o intervalo em que o áudio de um item foi falado ou reproduzido
+   * @param {string} itemId - ID do item
+   * @returns {Object|undefined} { startMs, endMs } em ms desde a época
+   */
+  getAudioTiming(itemId) {
+    return this.audioTimings.get(itemId);
+  }
+
+  /**
+   * Atualiza o intervalo de áudio de um item (o item pode ainda não existir)
+   * @param {string} itemId - ID do item
+   * @param {Object} timing - Campos a atualizar ({ startMs, endMs })
+   */
+  setAudioTiming(itemId, timing) {
+    if (!itemId) return;
+    this.audioTimings.set(itemId, {
+      ...this.audioTimings.get(itemId),
+      ...timing,
+    });
+  }
+
+  /**
+   * Cria ou atualiza um item a partir da representação da API
+   * @param {Object} apiItem - Item no formato da API
+   * @param {string} [previousItemId] - Item anterior na conversa
+   * @param {Object} [extra] - Campos adicionais (ex.: responseId)
+   * @returns {Object} Item local
+   */
+  upsertItem(apiItem, previousItemId, extra = {}) {
+    let item = this.items.get(apiItem.id);
+
+    if (!item) {
+      item = {
+        id: apiItem.id,
+        type: apiItem.type || "message",
+        role: apiItem.role || null,
+        status: apiItem.status || "in_progress",
+        content: [],
+        createdAt: Date.now(),
+        responseId: null,
+        truncated: null,
+      };
+      this.items.set(item.id, item);
+      this.insertInOrder(item.id, previousItemId);
+    }
+
+    Object.assign(item, extra);
+    if (apiItem.role) item.role = apiItem.role;
+    if (apiItem.status) item.status = apiItem.status;
+
+    // Campos das chamadas de função
+    if (apiItem.call_id) item.callId = apiItem.call_id;
+    if (apiItem.name) item.name = apiItem.name;
+    if (apiItem.arguments !== undefined) item.arguments = apiItem.arguments;
+    if (apiItem.output !== undefined) item.output = apiItem.output;
+
+    // Mescla as partes de conteúdo, preservando texto já acumulado
+    if (Array.isArray(apiItem.content)) {
+      apiItem.content.forEach((part, index) => {
+        this.mergePart(item, index, part);
+      });
+    }
+
+    this.notifyChanged(item);
+    return item;
+  }
+
+  /**
+   * Insere um ID na ordem, logo após o item anterior (se conhecido)
+   * @param {string} itemId - ID do item
+   * @param {string} [previousItemId] - Item anterior
+   */
+  insertInOrder(itemId, previousItemId) {
+    const index = previousItemId ? this.order.indexOf(previousItemId) : -1;
+    if (index === -1) {
+      this.order.push(itemId);
+    } else {
+      this.order.splice(index + 1, 0, itemId);
+    }
+  }
+
+  /**
+   * Mescla uma parte de conteúdo no item
+   * @param {Object} item - Item local
+   * @param {number} index - Índice da parte
+   * @param {Object} part - Parte no formato da API
+   */
+  mergePart(item, index, part) {
+    const current = item.content[index] || {
+      type: part.type,
+      text: null,
+      transcript: null,
+      audio: null,
+      transcriptionError: null,
+    };
+
+    current.type = part.type || current.type;
+    if (part.text !== undefined && part.text !== null) current.text = part.text;
+    if (part.transcript !== undefined && part.transcript !== null) {
+      current.transcript = part.transcript;
+    }
+
+    item.content[index] = current;
+    return current;
+  }
+
+  /**
+   * Retorna (criando se necessário) uma parte de conteúdo de um item
+   * @param {string} itemId - ID do item
+   * @param {number} index - Índice da parte
+   * @param {string} type - Tipo da parte, caso precise ser criada
+   * @returns {Object|null} { item, part }
+   */
+  getPart(itemId, index, type) {
+    const item = this.items.get(itemId);
+    if (!item) return null;
+
+    const part =
+      item.content[index || 0] || this.mergePart(item, index || 0, { type });
+    return { item, part };
+  }
+
+  /**
+   * Atualiza o modelo a partir de um evento do servidor
+   * @param {Object} data - Evento recebido
+   */
+  handleEvent(data) {
+    switch (data.type) {
+      case "conversation.item.created":
+        this.upsertItem(data.item, data.previous_item_id);
+        break;
+
+      case "input_audio_buffer.speech_started":
+        this.setAudioTiming(data.item_id, { startMs: Date.now() });
+        break;
+
+      case "input_audio_buffer.speech_stopped":
+        this.setAudioTiming(data.item_id, { endMs: Date.now() });
+        break;
+
+      case "input_audio_buffer.committed":
+        // O item do usuário existe a partir daqui; o conteúdo chega depois
+        this.upsertItem(
+          {
+            id: data.item_id,
+            type: "message",
+            role: "user",
+            content: [{ type: "input_audio" }],
+          },
+          data.previous_item_id
+        );
+        break;
+
+      case "response.output_item.added":
+      case "response.output_item.done":
+        this.upsertItem(data.item, null, { responseId: data.response_id });
+        break;
+
+      case "response.content_part.added":
+      case "response.content_part.done": {
+        const item = this.items.get(data.item_id);
+        if (item) {
+          this.mergePart(item, data.content_index, data.part);
+          this.notifyChanged(item);
+        }
+        break;
+      }
+
+      case "response.text.delta":
+        this.appendToPart(data, "text", data.delta, "text");
+        break;
+
+      case "response.text.done":
+        this.setPartField(data, "text", data.text, "text");
+        break;
+
+      case "response.audio_transcript.delta":
+        this.appendToPart(data, "transcript", data.delta, "audio");
+        break;
+
+      case "response.audio_transcript.done":
+        this.setPartField(data, "transcript", data.transcript, "audio");
+        break;
+
+      case "response.audio.delta":
+        this.addAudioReference(data);
+        break;
+
+      case "conversation.item.input_audio_transcription.delta":
+        this.appendToPart(data, "transcript", data.delta, "input_audio");
+        break;
+
+      case "conversation.item.input_audio_transcription.completed":
+        this.setPartField(
+          data,
+          "transcript",
+          (data.transcript || "").trim(),
+          "input_audio"
+        );
+        break;
+
+      case "conversation.item.input_audio_transcription.failed":
+        this.setPartField(
+          data,
+          "transcriptionError",
+          (data.error && data.error.message) || "erro desconhecido",
+          "input_audio"
+        );
+        break;
+
+      case "response.function_call_arguments.delta": {
+        const item = this.items.get(data.item_id);
+        if (item) {
+          item.arguments = (item.arguments || "") + (data.delta || "");
+          this.notifyChanged(item);
+        }
+        break;
+      }
+
+      case "response.function_call_arguments.done": {
+        const item = this.items.get(data.item_id);
+        if (item) {
+          item.arguments = data.arguments;
+          this.notifyChanged(item);
+        }
+        break;
+      }
+
+      case "conversation.item.truncated": {
+        const item = this.items.get(data.item_id);
+        if (item) {
+          item.truncated = {
+            contentIndex: data.content_index,
+            audioEndMs: data.audio_end_ms,
+          };
+          const part = item.content[data.content_index];
+          if (part && part.audio) {
+            part.audio.durationMs = Math.min(
+              part.audio.durationMs,
+              data.audio_end_ms
+            );
+          }
+          const timing = this.audioTimings.get(data.item_id);
+          if (timing && timing.startMs) {
+            timing.endMs = Math.min(
+              timing.endMs,
+              timing.startMs + data.audio_end_ms
+            );
+          }
+          this.notifyChanged(item);
+        }
+        break;
+      }
+
+      case "conversation.item.deleted":
+        this.removeItem(data.item_id);
+        break;
+
+      case "response.done":
+        // Itens de respostas canceladas ou com falha ficam incompletos
+        if (data.response && Array.isArray(data.response.output)) {
+          data.response.output.forEach((apiItem) => {
+            if (this.items.has(apiItem.id)) {
+              this.upsertItem(apiItem);
+            }
+          });
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Acrescenta um delta a um campo de uma parte de conteúdo
+   * @param {Object} data - Evento com item_id e content_index
+   * @param {string} field - Campo da parte ('text' ou 'transcript')
+   * @param {string} delta - Texto a acrescentar
+   * @param {string} type - Tipo da parte, caso precise ser criada
+   */
+  appendToPart(data, field, delta, type) {
+    const entry = this.getPart(data.item_id, data.content_index, type);
+    if (!entry || !delta) return;
+
+    entry.part[field] = (entry.part[field] || "") + delta;
+    this.notifyChanged(entry.item);
+  }
+
+  /**
+   * Define o valor final de um campo de uma parte de conteúdo
+   * @param {Object} data - Evento com item_id e content_index
+   * @param {string} field - Campo da parte
+   * @param {*} value - Valor final
+   * @param {string} type - Tipo da parte, caso precise ser criada
+   */
+  setPartField(data, field, value, type) {
+    const entry = this.getPart(data.item_id, data.content_index, type);
+    if (!entry) return;
+
+    entry.part[field] = value;
+    this.notifyChanged(entry.item);
+  }
+
+  /**
+   * Registra a referência ao áudio recebido de um item (bytes e duração)
+   * @param {Object} data - Evento response.audio.delta
+   */
+  addAudioReference(data) {
+    const entry = this.getPart(data.item_id, data.content_index, "audio");
+    if (!entry || !data.delta) return;
+
+    // PCM16 mono a 24kHz: 2 bytes por amostra
+    const bytes = Math.floor((data.delta.length * 3) / 4);
+    const audio = entry.part.audio || { bytes: 0, durationMs: 0, chunks: 0 };
+    audio.bytes += bytes;
+    audio.chunks++;
+    audio.durationMs = (audio.bytes / 2 / 24000) * 1000;
+    entry.part.audio = audio;
+
+    // A reprodução começa com o primeiro trecho e segue sem lacunas
+    const timing = this.audioTimings.get(data.item_id) || {
+      startMs: Date.now(),
+    };
+    timing.endMs = timing.startMs + audio.durationMs;
+    this.audioTimings.set(data.item_id, timing);
+  }
+
+  /**
+   * Adiciona um item criado localmente (ex.: mensagem digitada), antes da
+   * confirmação do servidor
+   * @param {Object} apiItem - Item no formato da API (com id)
+   * @returns {Object} Item local
+   */
+  addLocalItem(apiItem) {
+    return this.upsertItem({ status: "in_progress", ...apiItem });
+  }
+
+  /**
+   * Remove um item
+   * @param {string} itemId - ID do item
+   */
+  removeItem(itemId) {
+    if (!this.items.delete(itemId)) return;
+    this.audioTimings.delete(itemId);
+    this.order = this.order.filter((id) => id !== itemId);
+    this.notifyRemoved(itemId);
+  }
+
+  /**
+   * Marca os itens ainda em andamento como incompletos (ex.: queda da conexão)
+   */
+  markInProgressIncomplete() {
+    this.items.forEach((item) => {
+      if (item.status === "in_progress") {
+        item.status = "incomplete";
+        this.notifyChanged(item);
+      }
+    });
+  }
+
+  /**
+   * Retorna o texto exibível de um item
+   * @param {Object} item - Item local
+   * @returns {string} Texto (ou transcrição) concatenado
+   */
+  getItemText(item) {
+    return item.content
+      .map((part) => part.text || part.transcript || "")
+      .join("")
+      .trim();
+  }
+
+  /**
+   * Monta os itens que podem ser reenviados para uma nova sessão
+   * @param {number} limit - Número máximo de itens
+   * @returns {Array<Object>} Itens no formato de conversation.item.create
+   */
+  getRestorableItems(limit) {
+    const apiItems = [];
+
+    this.getItems().forEach((item) => {
+      if (item.type === "function_call") {
+        apiItems.push({
+          id: item.id,
+          type: "function_call",
+          call_id: item.callId,
+          name: item.name,
+          arguments: item.arguments || "{}",
+        });
+      } else if (item.type === "function_call_output") {
+        apiItems.push({
+          id: item.id,
+          type: "function_call_output",
+          call_id: item.callId,
+          output: item.output,
+        });
+      } else if (item.type === "message") {
+        const text = this.getItemText(item);
+        if (!text || item.role === "system") return;
+
+        apiItems.push({
+          id: item.id,
+          type: "message",
+          role: item.role,
+          content: [
+            {
+              type: item.role === "assistant" ? "text" : "input_text",
+              text,
+            },
+          ],
+        });
+      }
+    });
+
+    // Uma saída de função sem a chamada correspondente é rejeitada pela API
+    const sliced = apiItems.slice(-limit);
+    if (sliced.length > 0 && sliced[0].type === "function_call_output") {
+      sliced.shift();
+    }
+    return sliced;
+  }
+
+  /**
+   * Notifica a alteração de um item
+   * @param {Object} item - Item alterado
+   */
+  notifyChanged(item) {
+    if (this.onItemChanged) {
+      this.onItemChanged(item);
+    }
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  /**
+   * Notifica a remoção de um item
+   * @param {string} itemId - ID do item
+   */
+  notifyRemoved(itemId) {
+    if (this.onItemRemoved) {
+      this.onItemRemoved(itemId);
+    }
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+}
+
+// Inicializa a instância global do modelo da conversa
+const conversationStore = new ConversationStore();
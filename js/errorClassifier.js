@@ -0,0 +1,114 @@
+/**
+ * ErrorClassifier - Classifica os erros do cliente Realtime
+ *
+ * Separa os erros em três categorias: transporte (a conexão WebSocket),
+ * protocolo (mensagens do servidor que o cliente não consegue interpretar) e
+ * servidor (eventos "error", classificados por error.type e error.code). Cada
+ * erro recebe uma política de recuperação, aplicada pelo WebSocketManager:
+ *
+ * - retry: reenviar o evento (ou reconectar, no transporte)
+ * - reset-buffer: descartar o buffer de áudio de entrada
+ * - recreate-session: abrir uma nova sessão e restaurar a conversa
+ * - surface: apenas informar o usuário
+ * - ignore: apenas registrar no log
+ */
+class ErrorClassifier {
+  constructor() {
+    // Políticas por código do erro (têm prioridade sobre o tipo)
+    this.codePolicies = {
+      input_audio_buffer_commit_empty: "reset-buffer",
+      conversation_already_has_active_response: "retry",
+      rate_limit_exceeded: "retry",
+      session_expired: "recreate-session",
+      response_cancel_not_active: "ignore",
+    };
+
+    // Políticas por tipo do erro
+    this.typePolicies = {
+      server_error: "retry",
+      rate_limit_error: "retry",
+      invalid_request_error: "surface",
+      authentication_error: "surface",
+      permission_error: "surface",
+    };
+
+    // Mensagens para o usuário por código conhecido
+    this.codeMessages = {
+      input_audio_buffer_commit_empty:
+        "Nenhum áudio foi recebido pelo servidor neste turno",
+      conversation_already_has_active_response:
+        "Já havia uma resposta em andamento; o pedido será repetido ao fim dela",
+      rate_limit_exceeded: "Limite de uso excedido",
+      session_expired: "A sessão expirou",
+      invalid_api_key: "Chave de API inválida",
+    };
+  }
+
+  /**
+   * Classifica um erro de transporte
+   * @param {string} kind - Origem ('socket', 'connect', 'send', 'reconnect')
+   * @param {string} message - Descrição
+   * @param {string} policy - Política (padrão: retry)
+   * @returns {Object} Erro classificado
+   */
+  transport(kind, message, policy = "retry") {
+    return { category: "transport", kind, policy, message };
+  }
+
+  /**
+   * Classifica um erro de protocolo
+   * @param {string} kind - Origem ('invalid-json', 'handler')
+   * @param {string} message - Descrição
+   * @param {string} eventType - Tipo do evento recebido, se conhecido
+   * @returns {Object} Erro classificado
+   */
+  protocol(kind, message, eventType = null) {
+    // A mensagem é descartada; o processamento continua com as próximas
+    return {
+      category: "protocol",
+      kind,
+      policy: "surface",
+      message,
+      eventType,
+    };
+  }
+
+  /**
+   * Classifica um evento de erro do servidor
+   * @param {Object} error - Objeto error do evento
+   * @returns {Object} Erro classificado
+   */
+  server(error = {}) {
+    const type = error.type || "server_error";
+    const code = error.code || null;
+    const policy =
+      this.codePolicies[code] || this.typePolicies[type] || "surface";
+
+    return {
+      category: "server",
+      kind: type,
+      code,
+      policy,
+      message: this.codeMessages[code] || error.message || "Erro desconhecido",
+      detail: error.message || null,
+      eventId: error.event_id || null,
+      param: error.param || null,
+      retryAfterMs: this.parseRetryAfter(error.message),
+    };
+  }
+
+  /**
+   * Extrai a espera sugerida pelo servidor ("Please try again in 1.5s")
+   * @param {string} message - Mensagem do servidor
+   * @returns {number|null} Espera em ms, se informada
+   */
+  parseRetryAfter(message) {
+    const match = /try again in (\d+(?:\.\d+)?)\s*(ms|s)\b/i.exec(
+      message || ""
+    );
+    if (!match) return null;
+
+    const value = Number(match[1]);
+    return Math.ceil(match[2].toLowerCase() === "ms" ? value : value * 1000);
+  }
+}
@@ -0,0 +1,414 @@
+/**
+ * EventReplayer - Reprodução offline de capturas de eventos do servidor
+ *
+ * Carrega arquivos JSONL (o formato exportado pelo inspetor de protocolo ou
+ * um evento por linha) e entrega os eventos recebidos ao
+ * WebSocketManager.handleMessage com o ritmo original ou acelerado, sem
+ * conexão, para reproduzir de forma determinística problemas de renderização
+ * e de reprodução de áudio. Também captura sessões ao vivo no mesmo formato.
+ */
+class EventReplayer {
+  constructor(webSocketManager, inspector) {
+    this.webSocketManager = webSocketManager;
+    this.inspector = inspector;
+
+    this.events = []; // { offsetMs, data }
+    this.fileName = null;
+    this.position = 0; // Quantidade de eventos já entregues
+    this.speed = 1; // Multiplicador do ritmo (0: sem espera)
+    this.defaultGapMs = 20; // Intervalo para eventos sem horário
+
+    this.isActive = false; // Uma captura está carregada
+    this.isPlaying = false;
+    this.isSeeking = false; // Avanço instantâneo durante a busca
+    this.timer = null;
+    this.anchor = null; // { wallMs, offsetMs } do início da reprodução
+
+    // Captura de sessões ao vivo
+    this.isCapturing = false;
+    this.captured = [];
+
+    // Eventos
+    this.onReset = null; // Estado do cliente descartado antes de reproduzir
+    this.onStateChanged = null; // ({ isActive, isPlaying }) => void
+    this.onPositionChanged = null; // (position, total, offsetMs) => void
+    this.onCaptureChanged = null; // (count) => void
+
+    this.inspector.onRecord = (event) => this.captureEvent(event);
+  }
+
+  /**
+   * Interpreta o conteúdo de uma captura JSONL
+   * @param {string} text - Conteúdo do arquivo
+   * @returns {Array<Object>} Eventos recebidos { offsetMs, data }
+   */
+  parse(text) {
+    const entries = [];
+    let skipped = 0;
+    let abbreviatedAudio = 0;
+
+    text.split(/\r?\n/).forEach((line) => {
+      if (!line.trim()) return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        skipped++;
+        return;
+      }
+
+      // Formato do inspetor: { seq, timestamp, direction, event }
+      if (entry && entry.event && typeof entry.event === "object") {
+        if (entry.direction && entry.direction !== "received") return;
+
+        // Exportado sem guardar o áudio: o resumo no lugar do base64 é
+        // descartado e o evento entregue sem áudio
+        const data = entry.event;
+        if (
+          data.type === "response.audio.delta" &&
+          String(data.delta).startsWith("<")
+        ) {
+          abbreviatedAudio++;
+          entries.push({
+            timestamp: entry.timestamp,
+            data: { ...data, delta: "" },
+          });
+          return;
+        }
+
+        entries.push({ timestamp: entry.timestamp, data });
+      } else if (entry && entry.type) {
+        entries.push({ timestamp: undefined, data: entry });
+      } else {
+        skipped++;
+      }
+    });
+
+    if (skipped > 0) {
+      logger.warning(`${skipped} linhas inválidas ignoradas na captura`);
+    }
+    if (abbreviatedAudio > 0) {
+      logger.warning(
+        `${abbreviatedAudio} trechos de áudio abreviados na captura não serão reproduzidos`
+      );
+    }
+
+    // Posições relativas ao primeiro evento (sem horário: intervalo padrão)
+    let origin = null;
+    let previousOffset = -this.defaultGapMs;
+    return entries.map((entry) => {
+      let offsetMs = previousOffset + this.defaultGapMs;
+      if (typeof entry.timestamp === "number") {
+        if (origin === null) origin = entry.timestamp;
+        offsetMs = Math.max(previousOffset, entry.timestamp - origin);
+      }
+      previousOffset = offsetMs;
+      return { offsetMs, data: entry.data };
+    });
+  }
+
+  /**
+   * Carrega uma captura para reprodução (o cliente precisa estar desconectado)
+   * @param {string} text - Conteúdo JSONL
+   * @param {string} [fileName] - Nome exibido nos logs
+   * @returns {boolean} Se a captura foi carregada
+   */
+  load(text, fileName = "captura") {
+    if (
+      this.webSocketManager.isConnected ||
+      this.webSocketManager.isConnecting
+    ) {
+      logger.warning("Desconecte-se antes de reproduzir uma captura");
+      return false;
+    }
+
+    const events = this.parse(text);
+    if (events.length === 0) {
+      logger.warning(`Nenhum evento recebido encontrado em ${fileName}`);
+      return false;
+    }
+
+    this.pause();
+    this.events = events;
+    this.fileName = fileName;
+    this.isActive = true;
+    this.webSocketManager.isReplaying = true;
+    this.webSocketManager.updateConnectionStatus("replaying");
+    this.resetClient();
+
+    const seconds = (this.getDurationMs() / 1000).toFixed(1);
+    logger.success(
+      `Captura carregada: ${fileName} (${events.length} eventos, ${seconds} s)`
+    );
+    this.notifyState();
+    return true;
+  }
+
+  /**
+   * Lê e carrega um arquivo de captura
+   * @param {File} file - Arquivo JSONL
+   * @returns {Promise<boolean>} Se a captura foi carregada
+   */
+  async loadFile(file) {
+    try {
+      return this.load(await file.text(), file.name);
+    } catch (error) {
+      logger.error(`Erro ao ler a captura ${file.name}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Encerra a reprodução e sai do modo offline
+   */
+  close() {
+    if (!this.isActive) return;
+
+    this.pause();
+    this.events = [];
+    this.position = 0;
+    this.isActive = false;
+    this.webSocketManager.isReplaying = false;
+    this.webSocketManager.resetInFlightState();
+    this.webSocketManager.updateConnectionStatus("offline");
+
+    logger.info(`Reprodução encerrada: ${this.fileName}`);
+    this.notifyState();
+  }
+
+  /**
+   * Descarta o estado do cliente para reproduzir desde o início
+   */
+  resetClient() {
+    this.position = 0;
+    this.webSocketManager.resetInFlightState();
+    this.webSocketManager.sessionId = null;
+    this.webSocketManager.conversationId = null;
+    conversationStore.clear();
+
+    if (this.onReset) {
+      this.onReset();
+    }
+    this.notifyPosition();
+  }
+
+  /**
+   * Duração total da captura
+   * @returns {number} ms entre o primeiro e o último evento
+   */
+  getDurationMs() {
+    return this.events.length
+      ? this.events[this.events.length - 1].offsetMs
+      : 0;
+  }
+
+  /**
+   * Instante da captura correspondente à posição atual
+   * @returns {number} ms desde o primeiro evento
+   */
+  getCurrentOffsetMs() {
+    return this.position > 0 ? this.events[this.position - 1].offsetMs : 0;
+  }
+
+  /**
+   * Inicia ou retoma a reprodução (recomeça se já tiver terminado)
+   */
+  play() {
+    if (!this.isActive || this.isPlaying) return;
+    if (this.position >= this.events.length) {
+      this.resetClient();
+    }
+
+    this.isPlaying = true;
+    this.anchor = { wallMs: Date.now(), offsetMs: this.getCurrentOffsetMs() };
+    this.notifyState();
+    this.scheduleNext();
+  }
+
+  /**
+   * Pausa a reprodução
+   */
+  pause() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.isPlaying) return;
+
+    this.isPlaying = false;
+    this.notifyState();
+  }
+
+  /**
+   * Entrega somente o próximo evento
+   */
+  step() {
+    if (!this.isActive) return;
+
+    this.pause();
+    if (this.position < this.events.length) {
+      this.dispatchNext();
+    }
+  }
+
+  /**
+   * Vai para uma posição da captura, entregando os eventos sem espera
+   * (voltar reinicia o cliente e reaplica os eventos desde o início)
+   * @param {number} position - Quantidade de eventos entregues
+   */
+  seek(position) {
+    if (!this.isActive) return;
+
+    const target = Math.max(0, Math.min(position, this.events.length));
+    const wasPlaying = this.isPlaying;
+    this.pause();
+
+    if (target < this.position) {
+      this.resetClient();
+    }
+
+    this.isSeeking = true;
+    try {
+      while (this.position < target) {
+        this.dispatchNext();
+      }
+    } finally {
+      this.isSeeking = false;
+    }
+
+    if (wasPlaying) {
+      this.play();
+    }
+  }
+
+  /**
+   * Altera o ritmo da reprodução
+   * @param {number} speed - Multiplicador (0: sem espera entre eventos)
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(0, Number(speed) || 0);
+
+    if (this.isPlaying) {
+      clearTimeout(this.timer);
+      this.anchor = { wallMs: Date.now(), offsetMs: this.getCurrentOffsetMs() };
+      this.scheduleNext();
+    }
+  }
+
+  /**
+   * Agenda a entrega do próximo evento no instante relativo da captura
+   */
+  scheduleNext() {
+    if (!this.isPlaying) return;
+
+    if (this.position >= this.events.length) {
+      this.isPlaying = false;
+      logger.success(`Reprodução concluída: ${this.fileName}`);
+      this.notifyState();
+      return;
+    }
+
+    const { offsetMs } = this.events[this.position];
+    const delay =
+      this.speed === 0
+        ? 0
+        : this.anchor.wallMs +
+          (offsetMs - this.anchor.offsetMs) / this.speed -
+          Date.now();
+
+    this.timer = setTimeout(
+      () => {
+        this.timer = null;
+        this.dispatchNext();
+        this.scheduleNext();
+      },
+      Math.max(0, delay)
+    );
+  }
+
+  /**
+   * Entrega o próximo evento ao WebSocketManager como se viesse do servidor
+   */
+  dispatchNext() {
+    const event = this.events[this.position++];
+    this.webSocketManager.handleMessage({ data: JSON.stringify(event.data) });
+    this.notifyPosition();
+  }
+
+  /**
+   * Inicia a captura dos eventos da sessão ao vivo (descarta a anterior)
+   */
+  startCapture() {
+    this.captured = [];
+    this.isCapturing = true;
+    logger.info("Captura de eventos iniciada");
+    this.notifyCapture();
+  }
+
+  /**
+   * Encerra a captura, mantendo os eventos para download
+   */
+  stopCapture() {
+    if (!this.isCapturing) return;
+
+    this.isCapturing = false;
+    logger.info(
+      `Captura de eventos encerrada (${this.captured.length} eventos)`
+    );
+  }
+
+  /**
+   * Guarda um evento registrado pelo inspetor (exceto os reproduzidos)
+   * @param {Object} event - Evento registrado pelo inspetor
+   */
+  captureEvent(event) {
+    if (!this.isCapturing || this.webSocketManager.isReplaying) return;
+
+    this.captured.push(event);
+    this.notifyCapture();
+  }
+
+  /**
+   * Baixa a captura em JSONL, no mesmo formato aceito pela reprodução
+   * @returns {boolean} Se o arquivo foi gerado
+   */
+  downloadCapture() {
+    return this.inspector.exportJSONL(this.captured, "captura");
+  }
+
+  /**
+   * Notifica o estado da reprodução
+   */
+  notifyState() {
+    if (this.onStateChanged) {
+      this.onStateChanged({
+        isActive: this.isActive,
+        isPlaying: this.isPlaying,
+      });
+    }
+  }
+
+  /**
+   * Notifica a posição da reprodução
+   */
+  notifyPosition() {
+    if (this.onPositionChanged) {
+      this.onPositionChanged(
+        this.position,
+        this.events.length,
+        this.getCurrentOffsetMs()
+      );
+    }
+  }
+
+  /**
+   * Notifica a quantidade de eventos capturados
+   */
+  notifyCapture() {
+    if (this.onCaptureChanged) {
+      this.onCaptureChanged(this.captured.length);
+    }
+  }
+}
+
+// Inicializa a instância global do reprodutor de capturas
+const eventReplayer = new EventReplayer(webSocketManager, protocolInspector);
@@ -0,0 +1,34 @@
+/**
+ * FileDownloader - Download de arquivos gerados no cliente
+ *
+ * Usado pelas exportações (eventos, transcrições, gravações e métricas):
+ * inicia o download de um Blob por um link temporário e monta o carimbo de
+ * data e hora usado nos nomes dos arquivos.
+ */
+class FileDownloader {
+  /**
+   * Carimbo de data e hora para nomes de arquivo (ex.: 2024-05-01T10-00-00)
+   * @param {Date|number} [date] - Instante (padrão: agora)
+   * @returns {string} Carimbo sem caracteres inválidos em nomes de arquivo
+   */
+  timestamp(date = new Date()) {
+    return new Date(date).toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  }
+
+  /**
+   * Inicia o download de um arquivo
+   * @param {Blob} blob - Conteúdo
+   * @param {string} filename - Nome do arquivo
+   */
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
+
+// Inicializa a instância global do download de arquivos
+const fileDownloader = new FileDownloader();
@@ -0,0 +1,141 @@
+/**
+ * NotificationCenter - Notificações para o usuário
+ *
+ * Exibe avisos empilhados no canto da tela, com nível (info, success,
+ * warning, error), ações opcionais e fechamento automático. Avisos com a
+ * mesma chave são agrupados em um só, com um contador de repetições.
+ */
+class NotificationCenter {
+  constructor(containerId) {
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      console.error("Elemento das notificações não encontrado:", containerId);
+    }
+
+    this.notifications = new Map(); // chave -> { key, element, count, timer }
+    this.nextId = 0;
+    this.timeoutMs = 6000; // Fechamento automático (erros ficam até fechar)
+    this.maxVisible = 5;
+  }
+
+  /**
+   * Exibe uma notificação
+   * @param {Object} options - { level, title, message, key, timeoutMs, actions }
+   * @returns {string|null} Chave da notificação
+   */
+  show({
+    level = "info",
+    title = "",
+    message = "",
+    key = null,
+    timeoutMs = level === "error" ? 0 : this.timeoutMs,
+    actions = [],
+  } = {}) {
+    if (!this.container) return null;
+
+    const notificationKey = key || `notificacao_${++this.nextId}`;
+    const existing = this.notifications.get(notificationKey);
+    if (existing) {
+      existing.count++;
+      this.fill(existing, { level, title, message, actions });
+      this.scheduleDismiss(notificationKey, timeoutMs);
+      return notificationKey;
+    }
+
+    const element = document.createElement("div");
+    element.setAttribute("role", level === "error" ? "alert" : "status");
+    element.innerHTML = `
+      <div class="notification-body">
+        <strong class="notification-title"></strong>
+        <span class="notification-message"></span>
+        <div class="notification-actions"></div>
+      </div>
+      <button type="button" class="notification-close" title="Fechar">&times;</button>
+    `;
+    element
+      .querySelector(".notification-close")
+      .addEventListener("click", () => this.dismiss(notificationKey));
+
+    const notification = {
+      key: notificationKey,
+      element,
+      count: 1,
+      timer: null,
+    };
+    this.notifications.set(notificationKey, notification);
+    this.fill(notification, { level, title, message, actions });
+    this.container.appendChild(element);
+    this.scheduleDismiss(notificationKey, timeoutMs);
+
+    // Descarta as mais antigas se houver notificações demais
+    const keys = Array.from(this.notifications.keys());
+    keys
+      .slice(0, Math.max(0, keys.length - this.maxVisible))
+      .forEach((oldKey) => this.dismiss(oldKey));
+
+    return notificationKey;
+  }
+
+  /**
+   * Preenche (ou atualiza) o conteúdo de uma notificação
+   * @param {Object} notification - Notificação
+   * @param {Object} content - { level, title, message, actions }
+   */
+  fill(notification, { level, title, message, actions }) {
+    const { key, element, count } = notification;
+    element.className = `notification notification-${level}`;
+    element.querySelector(".notification-title").textContent =
+      count > 1 ? `${title} (${count}x)` : title;
+    element.querySelector(".notification-message").textContent = message;
+
+    const actionsElement = element.querySelector(".notification-actions");
+    actionsElement.innerHTML = "";
+    actions.forEach(({ label, onClick }) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "btn mini";
+      button.textContent = label;
+      button.addEventListener("click", () => {
+        this.dismiss(key);
+        onClick();
+      });
+      actionsElement.appendChild(button);
+    });
+  }
+
+  /**
+   * Agenda o fechamento automático
+   * @param {string} key - Chave da notificação
+   * @param {number} timeoutMs - Tempo até fechar (0: não fecha sozinha)
+   */
+  scheduleDismiss(key, timeoutMs) {
+    const notification = this.notifications.get(key);
+    clearTimeout(notification.timer);
+    notification.timer = timeoutMs
+      ? setTimeout(() => this.dismiss(key), timeoutMs)
+      : null;
+  }
+
+  /**
+   * Fecha uma notificação
+   * @param {string} key - Chave da notificação
+   */
+  dismiss(key) {
+    const notification = this.notifications.get(key);
+    if (!notification) return;
+
+    clearTimeout(notification.timer);
+    notification.element.remove();
+    this.notifications.delete(key);
+  }
+
+  /**
+   * Fecha todas as notificações
+   */
+  clear() {
+    Array.from(this.notifications.keys()).forEach((key) => this.dismiss(key));
+  }
+}
+
+// Inicializa a instância global das notificações
+const notificationCenter = new NotificationCenter("notifications");
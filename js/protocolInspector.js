@@ -0,0 +1,403 @@
+/**
+ * ProtocolInspector - Inspetor dos eventos do protocolo Realtime
+ *
+ * Guarda todos os eventos enviados e recebidos com o payload completo (ao
+ * contrário do Logger, que resume e descarta entradas antigas) e os exibe
+ * como JSON recolhível, com filtros por tipo, direção e texto, pausa da
+ * exibição, agrupamento por response_id e exportação em JSONL. Os payloads
+ * de áudio são guardados abreviados, a menos que a opção de guardar o áudio
+ * esteja ligada, e também são abreviados na exibição por padrão.
+ */
+class ProtocolInspector {
+  constructor(containerId) {
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      console.error("Elemento do inspetor não encontrado:", containerId);
+    }
+
+    this.events = []; // { seq, direction, timestamp, type, responseId, data }
+    this.types = new Set(); // Tipos já vistos (para o filtro)
+    this.seq = 0;
+
+    // Filtros e modos de exibição
+    this.filters = {
+      type: "", // Vazio: todos os tipos
+      directions: { sent: true, received: true },
+      search: "",
+    };
+    this.groupByResponse = false;
+    this.abbreviateAudio = true;
+    this.isPaused = false;
+    this.pendingCount = 0; // Eventos recebidos durante a pausa
+    this.displayLimit = 500; // Eventos exibidos (todos continuam guardados)
+    this.keepAudio = false; // Guarda o áudio em base64 completo
+
+    this.groupElements = new Map(); // response_id -> elemento do grupo
+    this.displayedCount = 0;
+
+    // Eventos
+    this.onTypesChanged = null; // (types) => void
+    this.onCountChanged = null; // (total, pending) => void
+    this.onRecord = null; // (event) => void, para cada evento registrado
+  }
+
+  /**
+   * Registra um evento do protocolo
+   * @param {string} direction - 'sent' ou 'received'
+   * @param {Object} data - Evento completo
+   */
+  record(direction, data) {
+    const event = {
+      seq: ++this.seq,
+      direction,
+      timestamp: Date.now(),
+      type: data.type || "desconhecido",
+      responseId: data.response_id || (data.response && data.response.id),
+      data,
+    };
+    // A captura de eventos recebe sempre o payload completo
+    if (this.onRecord) {
+      this.onRecord(event);
+    }
+
+    // O áudio em base64 é a maior parte do tráfego de uma sessão de voz
+    this.events.push(
+      this.keepAudio
+        ? event
+        : { ...event, data: this.abbreviateAudioPayload(data) }
+    );
+
+    if (!this.types.has(event.type)) {
+      this.types.add(event.type);
+      if (this.onTypesChanged) {
+        this.onTypesChanged(Array.from(this.types).sort());
+      }
+    }
+
+    if (this.isPaused) {
+      this.pendingCount++;
+    } else if (this.matches(event)) {
+      this.appendEvent(event);
+      this.trimDisplayed();
+    }
+
+    this.notifyCount();
+  }
+
+  /**
+   * Verifica se um evento passa pelos filtros atuais
+   * @param {Object} event - Evento registrado
+   * @returns {boolean} Se deve ser exibido
+   */
+  matches(event) {
+    if (!this.filters.directions[event.direction]) return false;
+    if (this.filters.type && event.type !== this.filters.type) return false;
+
+    if (this.filters.search) {
+      const text = JSON.stringify(event.data).toLowerCase();
+      if (!text.includes(this.filters.search)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Atualiza os filtros e redesenha a lista
+   * @param {Object} filters - { type, directions, search }
+   */
+  setFilters(filters) {
+    this.filters = {
+      ...this.filters,
+      ...filters,
+      search: String(
+        filters.search !== undefined ? filters.search : this.filters.search
+      )
+        .trim()
+        .toLowerCase(),
+    };
+    this.render();
+  }
+
+  /**
+   * Liga ou desliga o agrupamento por response_id
+   * @param {boolean} enabled - Agrupar
+   */
+  setGroupByResponse(enabled) {
+    this.groupByResponse = Boolean(enabled);
+    this.render();
+  }
+
+  /**
+   * Liga ou desliga a abreviação dos payloads de áudio
+   * @param {boolean} enabled - Abreviar
+   */
+  setAbbreviateAudio(enabled) {
+    this.abbreviateAudio = Boolean(enabled);
+    this.render();
+  }
+
+  /**
+   * Liga ou desliga a retenção do áudio completo nos próximos eventos
+   * @param {boolean} enabled - Guardar o áudio
+   */
+  setKeepAudio(enabled) {
+    this.keepAudio = Boolean(enabled);
+  }
+
+  /**
+   * Pausa ou retoma a exibição (os eventos continuam sendo guardados)
+   * @param {boolean} paused - Pausar
+   */
+  setPaused(paused) {
+    this.isPaused = Boolean(paused);
+    if (!this.isPaused) {
+      this.pendingCount = 0;
+      this.render();
+    }
+    this.notifyCount();
+  }
+
+  /**
+   * Descarta todos os eventos guardados
+   */
+  clear() {
+    this.events = [];
+    this.types.clear();
+    this.pendingCount = 0;
+    if (this.onTypesChanged) {
+      this.onTypesChanged([]);
+    }
+    this.render();
+    this.notifyCount();
+  }
+
+  /**
+   * Redesenha a lista a partir dos eventos guardados
+   */
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = "";
+    this.groupElements.clear();
+    this.displayedCount = 0;
+
+    const visible = this.events.filter((event) => this.matches(event));
+    visible
+      .slice(-this.displayLimit)
+      .forEach((event) => this.appendEvent(event));
+  }
+
+  /**
+   * Adiciona um evento à lista exibida
+   * @param {Object} event - Evento registrado
+   */
+  appendEvent(event) {
+    if (!this.container) return;
+
+    const element = this.createEventElement(event);
+    this.displayedCount++;
+
+    if (this.groupByResponse && event.responseId) {
+      this.getGroupElement(event.responseId).appendChild(element);
+    } else {
+      this.container.appendChild(element);
+    }
+
+    this.container.scrollTop = this.container.scrollHeight;
+  }
+
+  /**
+   * Retorna (criando se necessário) o grupo de uma resposta
+   * @param {string} responseId - ID da resposta
+   * @returns {HTMLElement} Elemento que recebe os eventos do grupo
+   */
+  getGroupElement(responseId) {
+    let group = this.groupElements.get(responseId);
+    if (!group) {
+      group = document.createElement("details");
+      group.classList.add("inspector-group");
+      group.open = true;
+
+      const summary = document.createElement("summary");
+      group.appendChild(summary);
+      this.container.appendChild(group);
+      this.groupElements.set(responseId, group);
+    }
+
+    const count = group.querySelectorAll(".inspector-event").length + 1;
+    group.querySelector("summary").textContent =
+      `Resposta ${responseId} (${count} eventos)`;
+    return group;
+  }
+
+  /**
+   * Remove os eventos exibidos mais antigos além do limite
+   */
+  trimDisplayed() {
+    if (!this.container || this.displayedCount <= this.displayLimit) return;
+
+    const oldest = this.container.querySelector(".inspector-event");
+    if (!oldest) return;
+
+    const group = oldest.parentElement;
+    oldest.remove();
+    if (group !== this.container && !group.querySelector(".inspector-event")) {
+      group.remove();
+      this.groupElements.forEach((element, responseId) => {
+        if (element === group) this.groupElements.delete(responseId);
+      });
+    }
+    this.displayedCount--;
+  }
+
+  /**
+   * Cria o elemento recolhível de um evento (o JSON é montado ao abrir)
+   * @param {Object} event - Evento registrado
+   * @returns {HTMLElement} Elemento
+   */
+  createEventElement(event) {
+    const element = document.createElement("details");
+    element.classList.add("inspector-event", `inspector-${event.direction}`);
+    if (event.type === "error") {
+      element.classList.add("inspector-error");
+    }
+
+    const summary = document.createElement("summary");
+    const time = new Date(event.timestamp).toTimeString().split(" ")[0];
+    const arrow = event.direction === "sent" ? "→" : "←";
+    summary.textContent = `#${event.seq} ${time} ${arrow} ${event.type}`;
+    element.appendChild(summary);
+
+    element.addEventListener("toggle", () => {
+      if (element.open && element.childElementCount === 1) {
+        element.appendChild(
+          this.renderJson(this.getDisplayData(event.data), 0)
+        );
+      }
+    });
+
+    return element;
+  }
+
+  /**
+   * Prepara o payload para exibição, abreviando o áudio em base64
+   * @param {Object} data - Evento completo
+   * @returns {Object} Cópia para exibição
+   */
+  getDisplayData(data) {
+    return this.abbreviateAudio ? this.abbreviateAudioPayload(data) : data;
+  }
+
+  /**
+   * Copia um evento trocando o áudio em base64 por um resumo do tamanho
+   * @param {Object} data - Evento completo
+   * @returns {Object} Cópia com o áudio abreviado
+   */
+  abbreviateAudioPayload(data) {
+    return JSON.parse(JSON.stringify(data), (key, value) => {
+      const isAudioField =
+        key === "audio" ||
+        (key === "delta" && data.type === "response.audio.delta");
+      if (isAudioField && typeof value === "string" && value.length > 64) {
+        const bytes = Math.floor((value.length * 3) / 4);
+        return `<áudio base64: ${bytes} bytes>`;
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Monta a árvore recolhível de um valor JSON
+   * @param {*} value - Valor
+   * @param {number} depth - Profundidade (níveis rasos começam abertos)
+   * @returns {HTMLElement} Elemento
+   */
+  renderJson(value, depth) {
+    if (value === null || typeof value !== "object") {
+      const leaf = document.createElement("span");
+      leaf.classList.add(
+        "json-value",
+        `json-${value === null ? "null" : typeof value}`
+      );
+      leaf.textContent = JSON.stringify(value);
+      return leaf;
+    }
+
+    const keys = Object.keys(value);
+    const isArray = Array.isArray(value);
+    const node = document.createElement("details");
+    node.classList.add("json-node");
+    node.open = depth < 2;
+
+    const summary = document.createElement("summary");
+    summary.textContent = isArray ? `[${keys.length}]` : `{${keys.length}}`;
+    node.appendChild(summary);
+
+    keys.forEach((key) => {
+      const row = document.createElement("div");
+      row.classList.add("json-row");
+
+      const label = document.createElement("span");
+      label.classList.add("json-key");
+      label.textContent = isArray ? `${key}: ` : `"${key}": `;
+
+      row.appendChild(label);
+      row.appendChild(this.renderJson(value[key], depth + 1));
+      node.appendChild(row);
+    });
+
+    return node;
+  }
+
+  /**
+   * Gera o conteúdo JSONL dos eventos (payload completo)
+   * @param {Array<Object>} [events] - Eventos registrados (padrão: todos)
+   * @returns {string} Uma linha JSON por evento
+   */
+  toJSONL(events = this.events) {
+    return events
+      .map((event) =>
+        JSON.stringify({
+          seq: event.seq,
+          timestamp: event.timestamp,
+          direction: event.direction,
+          event: event.data,
+        })
+      )
+      .join("\n");
+  }
+
+  /**
+   * Exporta os eventos em JSONL e inicia o download
+   * @param {Array<Object>} [events] - Eventos registrados (padrão: todos)
+   * @param {string} [prefix] - Prefixo do nome do arquivo
+   * @returns {boolean} Se o arquivo foi gerado
+   */
+  exportJSONL(events = this.events, prefix = "eventos") {
+    if (events.length === 0) {
+      logger.warning("Nenhum evento para exportar");
+      return false;
+    }
+
+    const filename = `${prefix}-${fileDownloader.timestamp()}.jsonl`;
+    const blob = new Blob([`${this.toJSONL(events)}\n`], {
+      type: "application/x-ndjson",
+    });
+    fileDownloader.download(blob, filename);
+
+    logger.success(`Eventos exportados: ${filename}`);
+    return true;
+  }
+
+  /**
+   * Notifica a contagem de eventos
+   */
+  notifyCount() {
+    if (this.onCountChanged) {
+      this.onCountChanged(this.events.length, this.pendingCount);
+    }
+  }
+}
+
+// Inicializa a instância global do inspetor de protocolo
+const protocolInspector = new ProtocolInspector("inspectorEvents");
@@ -0,0 +1,88 @@
+/**
+ * RateLimitTracker - Acompanha os limites de uso informados pelo servidor
+ *
+ * Guarda o último rate_limits.updated (requisições e tokens restantes e o
+ * instante de renovação de cada limite) e indica quando algum deles está
+ * perto de se esgotar, para que o cliente segure os pedidos de resposta
+ * até a renovação.
+ */
+class RateLimitTracker {
+  constructor(options = {}) {
+    // Fração do limite mantida como reserva (abaixo dela o cliente pausa)
+    this.reserveRatio = options.reserveRatio || 0.05;
+    this.reset();
+  }
+
+  /**
+   * Descarta os limites conhecidos
+   */
+  reset() {
+    this.limits = new Map(); // name -> { name, limit, remaining, resetAt }
+    this.updatedAt = null;
+  }
+
+  /**
+   * Atualiza os limites a partir do evento do servidor
+   * @param {Array<Object>} rateLimits - { name, limit, remaining, reset_seconds }
+   */
+  update(rateLimits = []) {
+    const now = Date.now();
+    rateLimits.forEach(({ name, limit, remaining, reset_seconds }) => {
+      this.limits.set(name, {
+        name,
+        limit,
+        remaining,
+        resetAt: now + (reset_seconds || 0) * 1000,
+      });
+    });
+    this.updatedAt = now;
+  }
+
+  /**
+   * Lista os limites conhecidos
+   * @returns {Array<Object>} { name, limit, remaining, resetAt }
+   */
+  getLimits() {
+    return Array.from(this.limits.values());
+  }
+
+  /**
+   * Verifica se um limite está perto de se esgotar (e ainda não renovou)
+   * @param {Object} limit - Limite
+   * @param {number} now - Instante atual (ms)
+   * @returns {boolean} Perto do esgotamento
+   */
+  isLow(limit, now = Date.now()) {
+    if (limit.resetAt <= now) return false;
+
+    const reserve = Math.max(1, Math.ceil(limit.limit * this.reserveRatio));
+    return limit.remaining <= reserve;
+  }
+
+  /**
+   * Limites perto do esgotamento
+   * @param {number} now - Instante atual (ms)
+   * @returns {Array<Object>} Limites
+   */
+  getLowLimits(now = Date.now()) {
+    return this.getLimits().filter((limit) => this.isLow(limit, now));
+  }
+
+  /**
+   * Indica se os pedidos de resposta devem esperar a renovação
+   * @returns {boolean} Pausar
+   */
+  isThrottled() {
+    return this.getLowLimits().length > 0;
+  }
+
+  /**
+   * Tempo até todos os limites esgotados se renovarem
+   * @returns {number} Espera em ms (0 se nenhum limite está baixo)
+   */
+  getWaitMs() {
+    const now = Date.now();
+    const resets = this.getLowLimits(now).map((limit) => limit.resetAt - now);
+    return resets.length ? Math.max(...resets) : 0;
+  }
+}
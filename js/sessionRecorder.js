@@ -0,0 +1,349 @@
+/**
+ * SessionRecorder - Gravação do áudio completo da sessão
+ *
+ * Registra o PCM16 enviado ao servidor (microfone) e o recebido nas respostas
+ * em uma linha do tempo comum, a 24kHz. O resultado pode ser exportado como
+ * WAV estéreo (usuário à esquerda, assistente à direita) ou mixado em mono,
+ * além de clipes WAV de cada turno.
+ */
+class SessionRecorder {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.sampleRate = options.sampleRate || 24000;
+    this.channelMode = "stereo"; // 'stereo' ou 'mix'
+    this.gapToleranceMs = 100; // Atrasos menores que isso não abrem lacuna
+
+    this.isRecording = false;
+    this.reset();
+  }
+
+  /**
+   * Descarta o áudio gravado
+   */
+  reset() {
+    this.startedAt = null;
+    this.stoppedAt = null;
+    this.tracks = { input: [], output: [] }; // { offset, samples, itemId }
+    this.cursors = { input: 0, output: 0 }; // Próxima amostra livre de cada trilha
+    this.truncatedItemIds = new Set(); // Itens interrompidos (ignora áudio tardio)
+  }
+
+  /**
+   * Inicia uma nova gravação (descarta a anterior)
+   */
+  start() {
+    this.reset();
+    this.startedAt = Date.now();
+    this.isRecording = true;
+    logger.info("Gravação da sessão iniciada");
+  }
+
+  /**
+   * Encerra a gravação, mantendo o áudio para download
+   */
+  stop() {
+    if (!this.isRecording) return;
+
+    this.isRecording = false;
+    this.stoppedAt = Date.now();
+
+    const seconds = this.getLengthSamples() / this.sampleRate;
+    logger.info(`Gravação da sessão encerrada (${seconds.toFixed(1)} s)`);
+  }
+
+  /**
+   * Indica se há áudio gravado
+   * @returns {boolean} Se alguma trilha tem amostras
+   */
+  hasData() {
+    return this.tracks.input.length > 0 || this.tracks.output.length > 0;
+  }
+
+  /**
+   * Converte um instante do relógio local em posição na linha do tempo
+   * @param {number} timestamp - ms desde a época
+   * @returns {number} Posição em amostras
+   */
+  toPosition(timestamp) {
+    return Math.max(
+      0,
+      Math.round(((timestamp - this.startedAt) / 1000) * this.sampleRate)
+    );
+  }
+
+  /**
+   * Grava um trecho de áudio enviado ao servidor
+   * @param {Int16Array} pcmData - Amostras PCM16 (24kHz mono)
+   */
+  recordInput(pcmData) {
+    if (!this.isRecording || !pcmData || pcmData.length === 0) return;
+
+    // O trecho chega logo após ser capturado: termina no instante atual
+    const capturedAt = this.toPosition(Date.now()) - pcmData.length;
+    const tolerance = (this.gapToleranceMs / 1000) * this.sampleRate;
+    const offset =
+      capturedAt - this.cursors.input > tolerance
+        ? capturedAt
+        : this.cursors.input;
+
+    this.addSegment("input", offset, Int16Array.from(pcmData), null);
+  }
+
+  /**
+   * Grava um trecho de áudio recebido do servidor
+   * @param {Uint8Array} audioBytes - Bytes PCM16 (little-endian)
+   * @param {string} itemId - Item do assistente
+   */
+  recordOutput(audioBytes, itemId) {
+    if (!this.isRecording || !audioBytes || audioBytes.length < 2) return;
+    if (this.truncatedItemIds.has(itemId)) return;
+
+    const byteLength = audioBytes.byteLength - (audioBytes.byteLength % 2);
+    const samples = new Int16Array(
+      audioBytes.buffer.slice(
+        audioBytes.byteOffset,
+        audioBytes.byteOffset + byteLength
+      )
+    );
+
+    // O áudio chega adiantado e é reproduzido em sequência, sem lacunas
+    const offset = Math.max(this.cursors.output, this.toPosition(Date.now()));
+    this.addSegment("output", offset, samples, itemId);
+  }
+
+  /**
+   * Adiciona um trecho a uma trilha
+   * @param {string} track - 'input' ou 'output'
+   * @param {number} offset - Posição inicial (amostras)
+   * @param {Int16Array} samples - Amostras
+   * @param {string|null} itemId - Item de origem
+   */
+  addSegment(track, offset, samples, itemId) {
+    this.tracks[track].push({ offset, samples, itemId });
+    this.cursors[track] = offset + samples.length;
+  }
+
+  /**
+   * Corta o áudio de um item do assistente no ponto em que foi interrompido
+   * @param {string} itemId - Item do assistente
+   * @param {number} audioEndMs - Duração efetivamente reproduzida (ms)
+   */
+  truncate(itemId, audioEndMs) {
+    if (!itemId) return;
+    this.truncatedItemIds.add(itemId);
+
+    const segments = this.tracks.output.filter(
+      (segment) => segment.itemId === itemId
+    );
+    if (segments.length === 0) return;
+
+    const limit =
+      segments[0].offset + Math.round((audioEndMs / 1000) * this.sampleRate);
+
+    this.tracks.output = this.tracks.output
+      .map((segment) => {
+        if (segment.itemId !== itemId) return segment;
+        if (segment.offset >= limit) return null;
+        const length = Math.min(segment.samples.length, limit - segment.offset);
+        return { ...segment, samples: segment.samples.subarray(0, length) };
+      })
+      .filter(Boolean);
+
+    this.cursors.output = this.tracks.output.reduce(
+      (end, segment) => Math.max(end, segment.offset + segment.samples.length),
+      0
+    );
+  }
+
+  /**
+   * Duração total da gravação
+   * @returns {number} Número de amostras por canal
+   */
+  getLengthSamples() {
+    const elapsed =
+      this.startedAt !== null
+        ? this.toPosition(this.stoppedAt || Date.now())
+        : 0;
+    return Math.max(elapsed, this.cursors.input, this.cursors.output);
+  }
+
+  /**
+   * Monta uma trilha contínua (silêncio onde não há áudio)
+   * @param {string} track - 'input' ou 'output'
+   * @param {number} start - Primeira amostra
+   * @param {number} end - Amostra final (exclusiva)
+   * @param {string} [itemId] - Restringe aos trechos de um item
+   * @returns {Int16Array} Amostras
+   */
+  renderTrack(track, start, end, itemId) {
+    const output = new Int16Array(Math.max(0, end - start));
+
+    this.tracks[track].forEach((segment) => {
+      if (itemId && segment.itemId !== itemId) return;
+
+      const from = Math.max(segment.offset, start);
+      const to = Math.min(segment.offset + segment.samples.length, end);
+      if (to <= from) return;
+
+      output.set(
+        segment.samples.subarray(from - segment.offset, to - segment.offset),
+        from - start
+      );
+    });
+
+    return output;
+  }
+
+  /**
+   * Gera o WAV da sessão inteira
+   * @param {string} [channelMode] - 'stereo' ou 'mix' (padrão: this.channelMode)
+   * @returns {Blob|null} Arquivo WAV
+   */
+  toWav(channelMode = this.channelMode) {
+    if (!this.hasData()) return null;
+
+    const length = this.getLengthSamples();
+    const user = this.renderTrack("input", 0, length);
+    const assistant = this.renderTrack("output", 0, length);
+
+    if (channelMode === "mix") {
+      const mixed = new Int16Array(length);
+      for (let i = 0; i < length; i++) {
+        mixed[i] = Math.max(-32768, Math.min(32767, user[i] + assistant[i]));
+      }
+      return this.encodeWav(mixed, 1);
+    }
+
+    // Estéreo: usuário no canal esquerdo, assistente no direito
+    const interleaved = new Int16Array(length * 2);
+    for (let i = 0; i < length; i++) {
+      interleaved[i * 2] = user[i];
+      interleaved[i * 2 + 1] = assistant[i];
+    }
+    return this.encodeWav(interleaved, 2);
+  }
+
+  /**
+   * Lista os turnos com áudio gravado
+   * @returns {Array<Object>} { itemId, role, track, start, end }
+   */
+  getTurns() {
+    const turns = [];
+
+    this.store.getItems().forEach((item) => {
+      if (item.type !== "message") return;
+
+      if (item.role === "assistant") {
+        const segments = this.tracks.output.filter(
+          (segment) => segment.itemId === item.id
+        );
+        if (segments.length === 0) return;
+
+        const last = segments[segments.length - 1];
+        turns.push({
+          itemId: item.id,
+          role: item.role,
+          track: "output",
+          start: segments[0].offset,
+          end: last.offset + last.samples.length,
+        });
+      } else if (item.role === "user") {
+        // A fala do usuário é localizada pelo intervalo registrado no modelo
+        const timing = this.store.getAudioTiming(item.id);
+        if (!timing || !timing.startMs || !timing.endMs) return;
+
+        const start = this.toPosition(timing.startMs);
+        const end = Math.min(this.toPosition(timing.endMs), this.cursors.input);
+        if (end <= start) return;
+
+        turns.push({
+          itemId: item.id,
+          role: item.role,
+          track: "input",
+          start,
+          end,
+        });
+      }
+    });
+
+    return turns;
+  }
+
+  /**
+   * Gera o WAV (mono) de um turno
+   * @param {Object} turn - Turno retornado por getTurns
+   * @returns {Blob} Arquivo WAV
+   */
+  getTurnWav(turn) {
+    const itemId = turn.track === "output" ? turn.itemId : undefined;
+    return this.encodeWav(
+      this.renderTrack(turn.track, turn.start, turn.end, itemId),
+      1
+    );
+  }
+
+  /**
+   * Codifica amostras PCM16 em um arquivo WAV
+   * @param {Int16Array} samples - Amostras (intercaladas, se estéreo)
+   * @param {number} channels - Número de canais
+   * @returns {Blob} Arquivo WAV
+   */
+  encodeWav(samples, channels) {
+    const dataLength = samples.length * 2;
+    const buffer = new ArrayBuffer(44 + dataLength);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+      }
+    };
+
+    writeString(0, "RIFF");
+    view.setUint32(4, 36 + dataLength, true);
+    writeString(8, "WAVE");
+    writeString(12, "fmt ");
+    view.setUint32(16, 16, true); // Tamanho do bloco fmt
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, this.sampleRate, true);
+    view.setUint32(28, this.sampleRate * channels * 2, true); // Bytes por segundo
+    view.setUint16(32, channels * 2, true); // Bytes por quadro
+    view.setUint16(34, 16, true); // Bits por amostra
+    writeString(36, "data");
+    view.setUint32(40, dataLength, true);
+
+    new Int16Array(buffer, 44).set(samples);
+    return new Blob([buffer], { type: "audio/wav" });
+  }
+
+  /**
+   * Baixa o WAV da sessão inteira
+   * @returns {boolean} Se o arquivo foi gerado
+   */
+  downloadSession() {
+    const wav = this.toWav();
+    if (!wav) {
+      logger.warning("Nenhum áudio gravado");
+      return false;
+    }
+
+    const stamp = fileDownloader.timestamp(this.startedAt);
+    fileDownloader.download(wav, `sessao-${stamp}-${this.channelMode}.wav`);
+    logger.success("Gravação da sessão exportada");
+    return true;
+  }
+
+  /**
+   * Baixa o clipe de um turno
+   * @param {Object} turn - Turno retornado por getTurns
+   */
+  downloadTurn(turn) {
+    fileDownloader.download(
+      this.getTurnWav(turn),
+      `turno-${turn.role}-${turn.itemId}.wav`
+    );
+  }
+}
+
+// Inicializa a instância global do gravador da sessão
+const sessionRecorder = new SessionRecorder(conversationStore);
@@ -0,0 +1,231 @@
+/**
+ * SettingsManager - Configurações da sessão OpenAI Realtime
+ *
+ * Mantém as configurações editáveis da sessão (voz, instruções, temperatura,
+ * modalidades e detecção de turno), valida os valores antes do envio e
+ * persiste tudo no localStorage.
+ */
+class SettingsManager {
+  constructor(storageKey) {
+    this.storageKey = storageKey || "realtime-client-settings";
+
+    // Valores aceitos pela API
+    this.voices = [
+      "alloy",
+      "ash",
+      "ballad",
+      "coral",
+      "echo",
+      "sage",
+      "shimmer",
+      "verse",
+    ];
+    this.modalityOptions = {
+      "audio+text": ["audio", "text"],
+      text: ["text"],
+    };
+
+    this.defaults = {
+      voice: "alloy",
+      instructions: "",
+      temperature: 0.8,
+      maxOutputTokens: "inf",
+      modalities: "audio+text",
+      vadThreshold: 0.5,
+      vadPrefixPaddingMs: 300,
+      vadSilenceDurationMs: 700,
+    };
+
+    this.settings = this.load();
+
+    // Callbacks
+    this.onChange = null;
+  }
+
+  /**
+   * Carrega as configurações salvas (ou os valores padrão)
+   * @returns {Object} Configurações
+   */
+  load() {
+    try {
+      const stored = window.localStorage.getItem(this.storageKey);
+      if (!stored) return { ...this.defaults };
+
+      const { settings, errors } = this.validate({
+        ...this.defaults,
+        ...JSON.parse(stored),
+      });
+      if (errors.length > 0) {
+        logger.warning("Configurações salvas inválidas, usando valores padrão");
+        return { ...this.defaults };
+      }
+      return settings;
+    } catch (error) {
+      logger.error(`Erro ao carregar configurações: ${error.message}`);
+      return { ...this.defaults };
+    }
+  }
+
+  /**
+   * Persiste as configurações atuais
+   */
+  save() {
+    try {
+      window.localStorage.setItem(
+        this.storageKey,
+        JSON.stringify(this.settings)
+      );
+    } catch (error) {
+      logger.error(`Erro ao salvar configurações: ${error.message}`);
+    }
+  }
+
+  /**
+   * Valida e normaliza um conjunto de configurações
+   * @param {Object} values - Valores (podem vir do formulário como string)
+   * @returns {Object} { settings, errors }
+   */
+  validate(values) {
+    const errors = [];
+    const settings = {};
+
+    if (this.voices.includes(values.voice)) {
+      settings.voice = values.voice;
+    } else {
+      errors.push(`Voz inválida: ${values.voice}`);
+    }
+
+    settings.instructions = String(values.instructions || "").trim();
+
+    const temperature = Number(values.temperature);
+    if (
+      Number.isFinite(temperature) &&
+      temperature >= 0.6 &&
+      temperature <= 1.2
+    ) {
+      settings.temperature = temperature;
+    } else {
+      errors.push("Temperatura deve estar entre 0.6 e 1.2");
+    }
+
+    const maxOutputTokens = String(values.maxOutputTokens).trim();
+    if (maxOutputTokens === "" || maxOutputTokens === "inf") {
+      settings.maxOutputTokens = "inf";
+    } else {
+      const tokens = Number(maxOutputTokens);
+      if (Number.isInteger(tokens) && tokens >= 1 && tokens <= 4096) {
+        settings.maxOutputTokens = tokens;
+      } else {
+        errors.push(
+          'Máximo de tokens deve ser um inteiro entre 1 e 4096, ou "inf"'
+        );
+      }
+    }
+
+    if (this.modalityOptions[values.modalities]) {
+      settings.modalities = values.modalities;
+    } else {
+      errors.push(`Modalidades inválidas: ${values.modalities}`);
+    }
+
+    const threshold = Number(values.vadThreshold);
+    if (Number.isFinite(threshold) && threshold >= 0 && threshold <= 1) {
+      settings.vadThreshold = threshold;
+    } else {
+      errors.push("Limiar do VAD deve estar entre 0 e 1");
+    }
+
+    const prefixPadding = Number(values.vadPrefixPaddingMs);
+    if (
+      Number.isInteger(prefixPadding) &&
+      prefixPadding >= 0 &&
+      prefixPadding <= 2000
+    ) {
+      settings.vadPrefixPaddingMs = prefixPadding;
+    } else {
+      errors.push("Padding do VAD deve ser um inteiro entre 0 e 2000 ms");
+    }
+
+    const silenceDuration = Number(values.vadSilenceDurationMs);
+    if (
+      Number.isInteger(silenceDuration) &&
+      silenceDuration >= 100 &&
+      silenceDuration <= 5000
+    ) {
+      settings.vadSilenceDurationMs = silenceDuration;
+    } else {
+      errors.push("Silêncio do VAD deve ser um inteiro entre 100 e 5000 ms");
+    }
+
+    return { settings, errors };
+  }
+
+  /**
+   * Valida e aplica novas configurações
+   * @param {Object} values - Novos valores
+   * @returns {Array<string>} Lista de erros (vazia se aplicado com sucesso)
+   */
+  update(values) {
+    const { settings, errors } = this.validate({ ...this.settings, ...values });
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    this.settings = settings;
+    this.save();
+    logger.success("Configurações salvas");
+
+    if (this.onChange) {
+      this.onChange(this.settings);
+    }
+
+    return [];
+  }
+
+  /**
+   * Restaura os valores padrão
+   */
+  reset() {
+    this.update({ ...this.defaults });
+  }
+
+  /**
+   * Retorna as modalidades no formato da API
+   * @returns {Array<string>} Modalidades
+   */
+  getModalities() {
+    return this.modalityOptions[this.settings.modalities];
+  }
+
+  /**
+   * Retorna os parâmetros do VAD do servidor no formato da API
+   * @returns {Object} Configuração de turn_detection
+   */
+  getServerVadConfig() {
+    return {
+      type: "server_vad",
+      threshold: this.settings.vadThreshold,
+      prefix_padding_ms: this.settings.vadPrefixPaddingMs,
+      silence_duration_ms: this.settings.vadSilenceDurationMs,
+    };
+  }
+
+  /**
+   * Monta a configuração da sessão a partir das configurações atuais
+   * (sem turn_detection, que depende do modo de conversa)
+   * @returns {Object} Campos para session.update
+   */
+  getSessionConfig() {
+    return {
+      modalities: this.getModalities(),
+      voice: this.settings.voice,
+      temperature: this.settings.temperature,
+      max_response_output_tokens: this.settings.maxOutputTokens,
+      // Sempre enviado: a string vazia remove instruções aplicadas antes
+      instructions: this.settings.instructions,
+    };
+  }
+}
+
+// Inicializa a instância global do gerenciador de configurações
+const settingsManager = new SettingsManager();
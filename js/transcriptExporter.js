@@ -0,0 +1,254 @@
+/**
+ * TranscriptExporter - Exporta a transcrição da conversa
+ *
+ * Gera arquivos a partir do ConversationStore: JSON e Markdown com papéis,
+ * horários e IDs dos itens, e legendas SRT/WebVTT montadas a partir dos
+ * intervalos dos turnos de áudio (fala do usuário e áudio reproduzido do
+ * assistente).
+ */
+class TranscriptExporter {
+  constructor(store) {
+    this.store = store;
+
+    this.formats = {
+      json: { extension: "json", mimeType: "application/json" },
+      markdown: { extension: "md", mimeType: "text/markdown" },
+      srt: { extension: "srt", mimeType: "application/x-subrip" },
+      vtt: { extension: "vtt", mimeType: "text/vtt" },
+    };
+
+    this.roleLabels = {
+      user: "Usuário",
+      assistant: "Assistente",
+      system: "Sistema",
+    };
+  }
+
+  /**
+   * Instante de referência das legendas (início da conversa)
+   * @returns {number|null} ms desde a época
+   */
+  getOrigin() {
+    const instants = [];
+    this.store.getItems().forEach((item) => {
+      instants.push(item.createdAt);
+      const timing = this.store.getAudioTiming(item.id);
+      if (timing && timing.startMs) instants.push(timing.startMs);
+    });
+    return instants.length > 0 ? Math.min(...instants) : null;
+  }
+
+  /**
+   * Monta as entradas da transcrição, na ordem da conversa
+   * @returns {Array<Object>} Entradas
+   */
+  buildEntries() {
+    const origin = this.getOrigin();
+
+    return this.store.getItems().map((item) => {
+      const entry = {
+        id: item.id,
+        type: item.type,
+        role: item.role,
+        status: item.status,
+        createdAt: new Date(item.createdAt).toISOString(),
+        responseId: item.responseId || null,
+      };
+
+      if (item.type === "message") {
+        entry.text = this.store.getItemText(item);
+        const failedPart = item.content.find((part) => part.transcriptionError);
+        if (failedPart) {
+          entry.transcriptionError = failedPart.transcriptionError;
+        }
+      } else if (item.type === "function_call") {
+        entry.callId = item.callId;
+        entry.name = item.name;
+        entry.arguments = item.arguments || "";
+      } else if (item.type === "function_call_output") {
+        entry.callId = item.callId;
+        entry.output = item.output;
+      }
+
+      const timing = this.store.getAudioTiming(item.id);
+      if (timing && timing.startMs && timing.endMs) {
+        entry.audio = {
+          startMs: Math.round(timing.startMs - origin),
+          endMs: Math.round(timing.endMs - origin),
+        };
+      }
+      if (item.truncated) entry.truncated = item.truncated;
+
+      return entry;
+    });
+  }
+
+  /**
+   * Gera a transcrição em JSON
+   * @param {Object} metadata - Dados da sessão (ex.: sessionId)
+   * @returns {string} Conteúdo do arquivo
+   */
+  toJSON(metadata = {}) {
+    const origin = this.getOrigin();
+    return JSON.stringify(
+      {
+        exportedAt: new Date().toISOString(),
+        startedAt: origin !== null ? new Date(origin).toISOString() : null,
+        ...metadata,
+        items: this.buildEntries(),
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Gera a transcrição em Markdown
+   * @param {Object} metadata - Dados da sessão (ex.: sessionId)
+   * @returns {string} Conteúdo do arquivo
+   */
+  toMarkdown(metadata = {}) {
+    const lines = ["# Transcrição da conversa", ""];
+    lines.push(`- Exportada em: ${new Date().toLocaleString()}`);
+    Object.keys(metadata).forEach((key) => {
+      if (metadata[key]) lines.push(`- ${key}: \`${metadata[key]}\``);
+    });
+    lines.push("");
+
+    this.buildEntries().forEach((entry) => {
+      const time = new Date(entry.createdAt).toLocaleTimeString();
+
+      if (entry.type === "function_call") {
+        lines.push(`### 🔧 ${entry.name} · ${time} · \`${entry.id}\``, "");
+        lines.push("```json", entry.arguments || "{}", "```", "");
+      } else if (entry.type === "function_call_output") {
+        lines.push(`### Resultado · ${time} · \`${entry.id}\``, "");
+        lines.push("```json", entry.output || "", "```", "");
+      } else {
+        const label = this.roleLabels[entry.role] || entry.role;
+        lines.push(`### ${label} · ${time} · \`${entry.id}\``, "");
+        if (entry.transcriptionError) {
+          lines.push(`_Falha na transcrição: ${entry.transcriptionError}_`);
+        } else {
+          lines.push(entry.text || "_(sem texto)_");
+        }
+        if (entry.status === "incomplete" || entry.truncated) {
+          lines.push("", "_(interrompida)_");
+        }
+        lines.push("");
+      }
+    });
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Monta as legendas dos turnos de áudio com texto
+   * @returns {Array<Object>} { startMs, endMs, speaker, text }
+   */
+  buildCues() {
+    return this.buildEntries()
+      .filter(
+        (entry) =>
+          entry.audio && entry.text && entry.audio.endMs > entry.audio.startMs
+      )
+      .map((entry) => ({
+        startMs: entry.audio.startMs,
+        endMs: entry.audio.endMs,
+        speaker: this.roleLabels[entry.role] || entry.role,
+        text: entry.text,
+      }))
+      .sort((a, b) => a.startMs - b.startMs);
+  }
+
+  /**
+   * Formata um instante de legenda (HH:MM:SS,mmm ou HH:MM:SS.mmm)
+   * @param {number} ms - Instante em ms
+   * @param {string} separator - Separador dos milissegundos
+   * @returns {string} Instante formatado
+   */
+  formatCueTime(ms, separator) {
+    const pad = (value, size) => String(value).padStart(size, "0");
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const millis = ms % 1000;
+    return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)}${separator}${pad(millis, 3)}`;
+  }
+
+  /**
+   * Gera legendas SRT
+   * @returns {string} Conteúdo do arquivo
+   */
+  toSRT() {
+    return this.buildCues()
+      .map((cue, index) => {
+        const start = this.formatCueTime(cue.startMs, ",");
+        const end = this.formatCueTime(cue.endMs, ",");
+        return `${index + 1}\n${start} --> ${end}\n${cue.speaker}: ${cue.text}\n`;
+      })
+      .join("\n");
+  }
+
+  /**
+   * Gera legendas WebVTT (com o papel como voz)
+   * @returns {string} Conteúdo do arquivo
+   */
+  toWebVTT() {
+    const cues = this.buildCues().map((cue) => {
+      const start = this.formatCueTime(cue.startMs, ".");
+      const end = this.formatCueTime(cue.endMs, ".");
+      return `${start} --> ${end}\n<v ${cue.speaker}>${cue.text}\n`;
+    });
+    return ["WEBVTT\n", ...cues].join("\n");
+  }
+
+  /**
+   * Gera o conteúdo de um formato
+   * @param {string} format - 'json', 'markdown', 'srt' ou 'vtt'
+   * @param {Object} metadata - Dados da sessão
+   * @returns {string|null} Conteúdo, ou null se o formato for desconhecido
+   */
+  build(format, metadata = {}) {
+    switch (format) {
+      case "json":
+        return this.toJSON(metadata);
+      case "markdown":
+        return this.toMarkdown(metadata);
+      case "srt":
+        return this.toSRT();
+      case "vtt":
+        return this.toWebVTT();
+      default:
+        logger.error(`Formato de exportação desconhecido: ${format}`);
+        return null;
+    }
+  }
+
+  /**
+   * Exporta a transcrição e inicia o download do arquivo
+   * @param {string} format - 'json', 'markdown', 'srt' ou 'vtt'
+   * @param {Object} metadata - Dados da sessão
+   * @returns {boolean} Se o arquivo foi gerado
+   */
+  download(format, metadata = {}) {
+    if (this.store.order.length === 0) {
+      logger.warning("Nenhuma mensagem para exportar");
+      return false;
+    }
+
+    const content = this.build(format, metadata);
+    if (content === null) return false;
+
+    const { extension, mimeType } = this.formats[format];
+    const filename = `conversa-${fileDownloader.timestamp()}.${extension}`;
+    fileDownloader.download(new Blob([content], { type: mimeType }), filename);
+
+    logger.success(`Transcrição exportada: ${filename}`);
+    return true;
+  }
+}
+
+// Inicializa a instância global do exportador de transcrições
+const transcriptExporter = new TranscriptExporter(conversationStore);
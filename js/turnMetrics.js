@@ -0,0 +1,415 @@
+/**
+ * TurnMetrics - Métricas de latência e de uso por turno
+ *
+ * Mede, para cada resposta da conversa, o tempo entre o fim da fala (ou a
+ * confirmação do buffer, ou o pedido de resposta) e o response.created, o
+ * primeiro delta de texto, a primeira amostra de áudio audível e o
+ * response.done, e lê o uso de tokens informado no response.done. Exibe os
+ * turnos e os agregados da sessão (p50/p95) e exporta tudo em CSV.
+ */
+class TurnMetrics {
+  constructor(containerId) {
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      console.error("Elemento das métricas não encontrado:", containerId);
+    }
+
+    this.turns = []; // Turnos na ordem em que as respostas foram criadas
+    this.turnsByResponse = new Map(); // response_id -> turno
+    this.turnsByItem = new Map(); // item_id do áudio -> turno
+    this.pendingStart = null; // { at, trigger } do turno ainda sem resposta
+
+    // Colunas de latência (ms desde o início do turno)
+    this.latencyFields = [
+      { key: "createdMs", label: "response.created" },
+      { key: "firstTextMs", label: "1º texto" },
+      { key: "firstAudioMs", label: "1º áudio audível" },
+      { key: "totalMs", label: "Turno completo" },
+    ];
+
+    // Eventos
+    this.onChanged = null; // (turns, summary) => void
+
+    this.render();
+  }
+
+  /**
+   * Registra um evento enviado ao servidor
+   * @param {Object} message - Evento enviado
+   */
+  recordSent(message) {
+    if (message.type === "input_audio_buffer.commit") {
+      this.markTurnStart("commit");
+    } else if (message.type === "response.create") {
+      // Respostas fora da conversa não são turnos
+      const response = message.response || {};
+      if (response.conversation !== "none") {
+        this.markTurnStart("pedido");
+      }
+    }
+  }
+
+  /**
+   * Registra um evento recebido do servidor (exceto respostas fora da conversa)
+   * @param {Object} data - Evento recebido
+   */
+  recordReceived(data) {
+    switch (data.type) {
+      case "input_audio_buffer.speech_stopped":
+        // O fim da fala sempre inicia um novo turno
+        this.pendingStart = { at: Date.now(), trigger: "fim da fala" };
+        break;
+
+      case "response.created":
+        this.startTurn(data.response.id);
+        break;
+
+      case "response.text.delta":
+      case "response.audio_transcript.delta":
+        this.updateTurn(data.response_id, "firstTextMs");
+        break;
+
+      case "response.audio.delta": {
+        const turn = this.turnsByResponse.get(data.response_id);
+        if (turn && data.item_id) this.turnsByItem.set(data.item_id, turn);
+        break;
+      }
+
+      case "response.done":
+        this.finishTurn(data.response);
+        break;
+    }
+  }
+
+  /**
+   * Registra o instante em que o áudio de um item começa a ser ouvido
+   * @param {string} itemId - ID do item de áudio
+   * @param {number} audibleAt - Instante (ms, relógio do sistema)
+   */
+  recordAudible(itemId, audibleAt) {
+    const turn = this.turnsByItem.get(itemId);
+    if (turn) this.updateTurn(turn.responseId, "firstAudioMs", audibleAt);
+  }
+
+  /**
+   * Marca o início de um turno, se ainda não houver um pendente
+   * @param {string} trigger - O que iniciou o turno
+   */
+  markTurnStart(trigger) {
+    if (!this.pendingStart) {
+      this.pendingStart = { at: Date.now(), trigger };
+    }
+  }
+
+  /**
+   * Cria o turno de uma resposta recém-criada
+   * @param {string} responseId - ID da resposta
+   */
+  startTurn(responseId) {
+    const now = Date.now();
+    const start = this.pendingStart || { at: now, trigger: "servidor" };
+    this.pendingStart = null;
+
+    const turn = {
+      index: this.turns.length + 1,
+      responseId,
+      trigger: start.trigger,
+      startedAt: start.at,
+      createdMs: now - start.at,
+      firstTextMs: null,
+      firstAudioMs: null,
+      totalMs: null,
+      status: "em andamento",
+      usage: null,
+    };
+    this.turns.push(turn);
+    this.turnsByResponse.set(responseId, turn);
+    this.notify();
+  }
+
+  /**
+   * Registra a primeira ocorrência de uma medição do turno
+   * @param {string} responseId - ID da resposta
+   * @param {string} key - Campo da medição
+   * @param {number} at - Instante da ocorrência (ms)
+   */
+  updateTurn(responseId, key, at = Date.now()) {
+    const turn = this.turnsByResponse.get(responseId);
+    if (!turn || turn[key] !== null) return;
+
+    turn[key] = Math.max(0, at - turn.startedAt);
+    this.notify();
+  }
+
+  /**
+   * Conclui o turno com o status e o uso de tokens da resposta
+   * @param {Object} response - Resposta do response.done
+   */
+  finishTurn(response) {
+    const turn = this.turnsByResponse.get(response.id);
+    if (!turn) return;
+
+    turn.totalMs = Date.now() - turn.startedAt;
+    turn.status = response.status || "completed";
+    turn.usage = this.readUsage(response.usage);
+    this.notify();
+  }
+
+  /**
+   * Extrai os campos de uso de tokens relevantes
+   * @param {Object} usage - Uso informado pelo servidor
+   * @returns {Object|null} Uso simplificado
+   */
+  readUsage(usage) {
+    if (!usage) return null;
+
+    const input = usage.input_token_details || {};
+    const output = usage.output_token_details || {};
+    return {
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      totalTokens: usage.total_tokens || 0,
+      cachedTokens: input.cached_tokens || 0,
+      inputAudioTokens: input.audio_tokens || 0,
+      outputAudioTokens: output.audio_tokens || 0,
+    };
+  }
+
+  /**
+   * Percentil pelo método do posto mais próximo
+   * @param {Array<number>} values - Valores
+   * @param {number} percent - Percentil (0-100)
+   * @returns {number|null} Valor do percentil
+   */
+  percentile(values, percent) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((percent / 100) * sorted.length);
+    return sorted[Math.max(0, rank - 1)];
+  }
+
+  /**
+   * Agregados da sessão
+   * @returns {Object} { turns, latencies: { key: { p50, p95, count } }, usage }
+   */
+  getSummary() {
+    const latencies = {};
+    this.latencyFields.forEach(({ key }) => {
+      const values = this.turns
+        .map((turn) => turn[key])
+        .filter((value) => value !== null);
+      latencies[key] = {
+        p50: this.percentile(values, 50),
+        p95: this.percentile(values, 95),
+        count: values.length,
+      };
+    });
+
+    const usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+    this.turns.forEach((turn) => {
+      if (!turn.usage) return;
+      usage.inputTokens += turn.usage.inputTokens;
+      usage.outputTokens += turn.usage.outputTokens;
+      usage.totalTokens += turn.usage.totalTokens;
+    });
+
+    return { turns: this.turns.length, latencies, usage };
+  }
+
+  /**
+   * Descarta todas as medições
+   */
+  clear() {
+    this.turns = [];
+    this.turnsByResponse.clear();
+    this.turnsByItem.clear();
+    this.pendingStart = null;
+    this.notify();
+  }
+
+  /**
+   * Gera o CSV com uma linha por turno
+   * @returns {string} Conteúdo CSV
+   */
+  toCSV() {
+    const header = [
+      "turno",
+      "response_id",
+      "inicio",
+      "gatilho",
+      "response_created_ms",
+      "primeiro_texto_ms",
+      "primeiro_audio_ms",
+      "turno_completo_ms",
+      "status",
+      "tokens_entrada",
+      "tokens_saida",
+      "tokens_total",
+      "tokens_entrada_cache",
+      "tokens_entrada_audio",
+      "tokens_saida_audio",
+    ];
+
+    const rows = this.turns.map((turn) => {
+      const usage = turn.usage || {};
+      return [
+        turn.index,
+        turn.responseId,
+        new Date(turn.startedAt).toISOString(),
+        turn.trigger,
+        turn.createdMs,
+        turn.firstTextMs,
+        turn.firstAudioMs,
+        turn.totalMs,
+        turn.status,
+        usage.inputTokens,
+        usage.outputTokens,
+        usage.totalTokens,
+        usage.cachedTokens,
+        usage.inputAudioTokens,
+        usage.outputAudioTokens,
+      ];
+    });
+
+    return [header, ...rows]
+      .map((row) => row.map((value) => this.escapeCSV(value)).join(","))
+      .join("\n");
+  }
+
+  /**
+   * Escapa um valor para uma célula CSV
+   * @param {*} value - Valor
+   * @returns {string} Célula
+   */
+  escapeCSV(value) {
+    if (value === null || value === undefined) return "";
+
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Baixa as métricas como arquivo CSV
+   * @returns {boolean} Se havia turnos para exportar
+   */
+  exportCSV() {
+    if (this.turns.length === 0) {
+      logger.warning("Nenhuma métrica para exportar");
+      return false;
+    }
+
+    const filename = `metricas-${fileDownloader.timestamp()}.csv`;
+    const blob = new Blob([`${this.toCSV()}\n`], { type: "text/csv" });
+    fileDownloader.download(blob, filename);
+
+    logger.success(`Métricas exportadas: ${filename}`);
+    return true;
+  }
+
+  /**
+   * Notifica a mudança e redesenha o painel
+   */
+  notify() {
+    this.render();
+    if (this.onChanged) {
+      this.onChanged(this.turns, this.getSummary());
+    }
+  }
+
+  /**
+   * Redesenha os agregados e a tabela de turnos
+   */
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = "";
+    if (this.turns.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "metrics-empty";
+      empty.textContent = "Nenhum turno medido ainda";
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const summary = this.getSummary();
+    this.container.appendChild(
+      this.createTable(
+        ["Sessão", "p50", "p95", "Turnos"],
+        this.latencyFields.map(({ key, label }) => {
+          const { p50, p95, count } = summary.latencies[key];
+          return [label, this.formatMs(p50), this.formatMs(p95), count];
+        })
+      )
+    );
+
+    const { inputTokens, outputTokens, totalTokens } = summary.usage;
+    const usage = document.createElement("p");
+    usage.className = "metrics-usage";
+    usage.textContent = `Tokens da sessão: ${totalTokens} (entrada ${inputTokens}, saída ${outputTokens})`;
+    this.container.appendChild(usage);
+
+    // Turnos mais recentes primeiro
+    const latencyLabels = this.latencyFields.map(({ label }) => label);
+    const header = [
+      "#",
+      "Gatilho",
+      ...latencyLabels,
+      "Tokens (ent./saída)",
+      "Status",
+    ];
+    const rows = this.turns
+      .slice()
+      .reverse()
+      .map((turn) => [
+        turn.index,
+        turn.trigger,
+        ...this.latencyFields.map(({ key }) => this.formatMs(turn[key])),
+        turn.usage
+          ? `${turn.usage.inputTokens}/${turn.usage.outputTokens}`
+          : "—",
+        turn.status,
+      ]);
+    this.container.appendChild(this.createTable(header, rows));
+  }
+
+  /**
+   * Cria uma tabela simples
+   * @param {Array<string>} header - Cabeçalho
+   * @param {Array<Array>} rows - Linhas
+   * @returns {HTMLTableElement} Tabela
+   */
+  createTable(header, rows) {
+    const table = document.createElement("table");
+    table.className = "metrics-table";
+
+    const headRow = table.createTHead().insertRow();
+    header.forEach((label) => {
+      const cell = document.createElement("th");
+      cell.textContent = label;
+      headRow.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    rows.forEach((values) => {
+      const row = body.insertRow();
+      values.forEach((value) => {
+        row.insertCell().textContent = value;
+      });
+    });
+
+    return table;
+  }
+
+  /**
+   * Formata uma duração em ms
+   * @param {number|null} ms - Duração
+   * @returns {string} Texto
+   */
+  formatMs(ms) {
+    return ms === null ? "—" : `${Math.round(ms)} ms`;
+  }
+}
+
+// Inicializa a instância global das métricas
+const turnMetrics = new TurnMetrics("metricsContent");
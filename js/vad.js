@@ -0,0 +1,170 @@
+/**
+ * VoiceActivityDetector - Detecção de atividade de voz no cliente
+ *
+ * Classifica frames PCM16 como fala ou silêncio a partir da energia do sinal,
+ * acompanhando o nível de ruído de fundo. Mantém alguns frames anteriores ao
+ * início da fala (pre-roll) e um tempo de espera após o fim (hangover) para não
+ * cortar o começo das palavras nem as consoantes finais.
+ */
+class VoiceActivityDetector {
+  constructor(options = {}) {
+    // Configurações
+    this.sampleRate = options.sampleRate || 24000;
+    this.sensitivity = 0.5; // 0 (menos sensível) a 1 (mais sensível)
+    this.hangoverMs = options.hangoverMs || 400; // Espera após o fim da fala
+    this.preRollMs = options.preRollMs || 200; // Áudio mantido antes do início
+    this.onsetMs = options.onsetMs || 60; // Energia contínua para iniciar a fala
+    this.minThresholdDb = -65; // Limiar mínimo absoluto (dBFS)
+
+    // Eventos
+    this.onSpeechStart = null;
+    this.onSpeechEnd = null;
+
+    this.setSensitivity(
+      options.sensitivity !== undefined ? options.sensitivity : 0.5
+    );
+    this.reset();
+  }
+
+  /**
+   * Reinicia o estado do detector (ex.: no início de uma gravação)
+   */
+  reset() {
+    this.isSpeaking = false;
+    this.noiseFloorDb = -70; // Estimativa inicial do ruído de fundo
+    this.aboveMs = 0; // Tempo contínuo acima do limiar
+    this.silenceMs = 0; // Tempo contínuo abaixo do limiar durante a fala
+    this.preRoll = []; // Frames recentes ainda não enviados
+    this.preRollDurationMs = 0;
+    this.lastLevelDb = -100;
+  }
+
+  /**
+   * Ajusta a sensibilidade do detector
+   * @param {number} sensitivity - Valor entre 0 e 1
+   */
+  setSensitivity(sensitivity) {
+    const value = Number(sensitivity);
+    if (Number.isNaN(value)) return;
+
+    this.sensitivity = Math.max(0, Math.min(1, value));
+    // Margem acima do ruído de fundo: 20 dB (pouco sensível) a 6 dB (muito)
+    this.marginDb = 20 - this.sensitivity * 14;
+  }
+
+  /**
+   * Calcula o nível RMS de um frame em dBFS
+   * @param {Int16Array} frame - Frame PCM16
+   * @returns {number} Nível em dBFS
+   */
+  getLevelDb(frame) {
+    if (frame.length === 0) return -100;
+
+    let sum = 0;
+    for (let i = 0; i < frame.length; i++) {
+      const s = frame[i] / 0x8000;
+      sum += s * s;
+    }
+    const rms = Math.sqrt(sum / frame.length);
+    return 20 * Math.log10(rms + 1e-10);
+  }
+
+  /**
+   * Processa um frame e decide o que deve ser enviado
+   * @param {Int16Array} frame - Frame PCM16
+   * @returns {Object} { isSpeech, frames } - frames a enviar no modo VAD
+   */
+  process(frame) {
+    const durationMs = (frame.length / this.sampleRate) * 1000;
+    const levelDb = this.getLevelDb(frame);
+    const thresholdDb = Math.max(
+      this.noiseFloorDb + this.marginDb,
+      this.minThresholdDb
+    );
+    const isLoud = levelDb > thresholdDb;
+    this.lastLevelDb = levelDb;
+
+    // O ruído de fundo só é atualizado fora da fala: desce rápido, sobe devagar
+    if (!this.isSpeaking) {
+      const rate = levelDb < this.noiseFloorDb ? 0.3 : 0.02;
+      this.noiseFloorDb += (levelDb - this.noiseFloorDb) * rate;
+    }
+
+    if (this.isSpeaking) {
+      this.silenceMs = isLoud ? 0 : this.silenceMs + durationMs;
+
+      if (this.silenceMs >= this.hangoverMs) {
+        // Fim da fala: este frame ainda é enviado (cauda do hangover)
+        this.isSpeaking = false;
+        this.aboveMs = 0;
+        if (this.onSpeechEnd) {
+          this.onSpeechEnd({ levelDb });
+        }
+      }
+
+      return { isSpeech: true, frames: [frame] };
+    }
+
+    this.aboveMs = isLoud ? this.aboveMs + durationMs : 0;
+    this.pushPreRoll(frame, durationMs);
+
+    if (this.aboveMs >= this.onsetMs) {
+      // Início da fala: envia também o áudio anterior (pre-roll)
+      this.isSpeaking = true;
+      this.silenceMs = 0;
+
+      const frames = this.preRoll;
+      this.preRoll = [];
+      this.preRollDurationMs = 0;
+
+      if (this.onSpeechStart) {
+        this.onSpeechStart({ levelDb, noiseFloorDb: this.noiseFloorDb });
+      }
+
+      return { isSpeech: true, frames };
+    }
+
+    return { isSpeech: false, frames: [] };
+  }
+
+  /**
+   * Mantém os frames mais recentes dentro da janela de pre-roll
+   * @param {Int16Array} frame - Frame PCM16
+   * @param {number} durationMs - Duração do frame em ms
+   */
+  pushPreRoll(frame, durationMs) {
+    this.preRoll.push(frame);
+    this.preRollDurationMs += durationMs;
+
+    while (
+      this.preRoll.length > 1 &&
+      this.preRollDurationMs - this.getFrameMs(this.preRoll[0]) >=
+        this.preRollMs
+    ) {
+      this.preRollDurationMs -= this.getFrameMs(this.preRoll.shift());
+    }
+  }
+
+  /**
+   * Encerra a fala em andamento (ex.: ao parar a gravação)
+   */
+  flush() {
+    if (this.isSpeaking) {
+      this.isSpeaking = false;
+      if (this.onSpeechEnd) {
+        this.onSpeechEnd({ levelDb: this.lastLevelDb });
+      }
+    }
+    this.preRoll = [];
+    this.preRollDurationMs = 0;
+  }
+
+  /**
+   * Duração de um frame em ms
+   * @param {Int16Array} frame - Frame PCM16
+   * @returns {number} Duração em ms
+   */
+  getFrameMs(frame) {
+    return (frame.length / this.sampleRate) * 1000;
+  }
+}
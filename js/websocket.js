@@ -8,9 +8,11 @@ class WebSocketManager {
   constructor(serverUrl) {
     // Estado da conexão
     this.socket = null;
-    this.serverUrl = serverUrl || "ws://localhost:8080/";
+    this.serverUrl = serverUrl || null; // Sobrepõe a URL do perfil, se definida
+    this.profile = null; // Perfil usado na conexão atual
     this.isConnected = false;
     this.isConnecting = false;
+    this.isReplaying = false; // Eventos vêm de uma captura, sem conexão
     this.eventId = 0;
 
     // Para tratamento de reconexão
@@ -21,44 +23,150 @@ class WebSocketManager {
     // Estado da conversa
     this.sessionId = null;
     this.conversationId = null;
-    this.currentResponseId = null;
+    this.currentResponseId = null; // Resposta mais recente da conversa
+
+    // Respostas em andamento (várias podem coexistir)
+    this.responses = new Map(); // response_id -> { id, outOfBand, ... }
+    this.responseRequests = new Map(); // client_request_id -> pedido fora da conversa
+    this.responseRequestId = 0;
 
     // Estado do buffer de áudio
     this.pendingAudioBuffers = 0;
+    this.inputAudioStartedAt = null; // Primeiro envio desde a última confirmação
+
+    // Restauração da conversa após reconexão (itens vêm do ConversationStore)
+    this.maxRestoredItems = 50;
+    this.previousSessionId = null;
+
+    // Modo de conversa: 'hands-free' (VAD do servidor) ou 'push-to-talk'
+    this.conversationMode = "hands-free";
+
+    // Registro de ferramentas (function calling)
+    this.tools = new Map(); // nome -> { definition, handler }
+    this.pendingToolCalls = new Map(); // call_id -> chamada em montagem
+    this.toolCallPromises = new Map(); // response_id -> execuções
+
+    // Limites de uso e pedidos de resposta retidos até a renovação
+    this.rateLimits = new RateLimitTracker();
+    this.isThrottled = false;
+    this.queuedResponses = []; // Opções de response.create, na ordem
+    this.rateLimitTimer = null;
+
+    // Classificação dos erros e reenvio de eventos que falharam
+    this.errors = new ErrorClassifier();
+    this.retryableTypes = [
+      "session.update",
+      "conversation.item.create",
+      "response.create",
+    ];
+    this.sentEvents = new Map(); // event_id -> { message, attempts }
+    this.maxSentEvents = 20;
+    this.maxEventRetries = 3;
+    this.retryDelayMs = 1000; // Dobra a cada nova tentativa
+    this.lastProbeEventId = null; // Sonda de liveness (nunca reenviada)
 
     // Referência para os elementos da UI
     this.statusElement = document.querySelector(".connection-status");
 
+    // Monitoramento de saúde da conexão (latência, sondas e travamentos)
+    this.monitor = new ConnectionMonitor();
+    this.monitor.onProbe = () => this.sendProbe();
+    this.monitor.onLatency = (latencyMs, averageMs) => {
+      if (!this.monitor.isDegraded) {
+        this.updateConnectionStatus("online", `${averageMs} ms`);
+      }
+    };
+    this.monitor.onDegraded = (reason) => {
+      logger.warning(`Conexão degradada: ${reason}`);
+      this.updateConnectionStatus("degraded", reason);
+    };
+    this.monitor.onRecovered = () => {
+      logger.success("Conexão normalizada");
+      const averageMs = this.monitor.getAverageLatency();
+      this.updateConnectionStatus(
+        "online",
+        averageMs !== null ? `${averageMs} ms` : ""
+      );
+    };
+    this.monitor.onDead = (reason) => {
+      this.reportError(
+        this.errors.transport(
+          "unresponsive",
+          `Conexão sem resposta (${reason})`
+        )
+      );
+      this.forceReconnect(reason);
+    };
+
     // Callbacks
     this.onConnect = null;
     this.onDisconnect = null;
     this.onTextResponse = null;
     this.onAudioResponse = null;
+    this.onOutputItemAdded = null; // (item) item de mensagem iniciado na resposta
+    this.onToolCall = null;
+    this.onToolResult = null;
+    this.onAudioCommitted = null;
+    this.onAudioTranscript = null;
+    this.onInputTranscript = null;
+    this.onInputTranscriptFailed = null;
+    this.onSpeechStarted = null;
+    this.onSpeechStopped = null;
+    this.onConnectionLost = null;
+    this.onSessionRestored = null;
+    this.onRateLimitsChanged = null; // (limits, { isThrottled, queued, resumeAt })
+    this.onError = null; // (erro classificado pelo ErrorClassifier) => void
   }
 
   /**
-   * Conecta ao servidor WebSocket
+   * Conecta ao servidor WebSocket usando o perfil de conexão ativo
    */
-  connect() {
+  async connect() {
     if (this.isConnected || this.isConnecting) {
       logger.warning("Já está conectado ou conectando");
       return;
     }
+    if (this.isReplaying) {
+      logger.warning("Encerre a reprodução da captura antes de conectar");
+      return;
+    }
 
     this.isConnecting = true;
     this.updateConnectionStatus("connecting");
-    logger.info(`Conectando ao servidor: ${this.serverUrl}`);
 
     try {
-      this.socket = new WebSocket(this.serverUrl);
+      this.profile = connectionProfiles.getActiveProfile();
+      const profile = this.serverUrl
+        ? { ...this.profile, url: this.serverUrl }
+        : this.profile;
+
+      // Resolve URL, modelo e credenciais (pode buscar um token efêmero)
+      const { url, protocols, displayUrl } =
+        await connectionProfiles.resolveConnection(profile);
+
+      // A conexão pode ter sido cancelada durante a busca do token
+      if (!this.isConnecting) return;
+
+      logger.info(
+        `Conectando ao servidor: ${displayUrl} (perfil: ${profile.name})`
+      );
+      this.socket = protocols
+        ? new WebSocket(url, protocols)
+        : new WebSocket(url);
 
       // Define handlers para eventos WebSocket
       this.socket.onopen = this.handleOpen.bind(this);
       this.socket.onclose = this.handleClose.bind(this);
-      this.socket.onerror = this.handleError.bind(this);
+      this.socket.onerror = this.handleSocketError.bind(this);
       this.socket.onmessage = this.handleMessage.bind(this);
     } catch (error) {
-      logger.error(`Erro ao criar WebSocket: ${error.message}`);
+      this.reportError(
+        this.errors.transport(
+          "connect",
+          `Erro ao criar WebSocket: ${error.message}`,
+          "surface"
+        )
+      );
       this.isConnecting = false;
       this.updateConnectionStatus("offline");
     }
@@ -68,7 +176,7 @@ class WebSocketManager {
    * Desconecta do servidor WebSocket
    */
   disconnect() {
-    if (!this.isConnected && !this.socket) {
+    if (!this.isConnected && !this.socket && !this.isConnecting) {
       logger.warning("Não está conectado");
       return;
     }
@@ -89,13 +197,15 @@ class WebSocketManager {
 
     this.isConnected = false;
     this.isConnecting = false;
+    this.monitor.stop();
     this.updateConnectionStatus("offline");
 
-    // Limpar o estado da conversa
+    // Limpar o estado da conversa (o modelo local da conversa é mantido
+    // para restaurar o contexto na próxima sessão)
+    this.previousSessionId = this.sessionId || this.previousSessionId;
     this.sessionId = null;
     this.conversationId = null;
-    this.currentResponseId = null;
-    this.pendingAudioBuffers = 0;
+    this.resetInFlightState();
 
     // Chamar o callback de desconexão
     if (this.onDisconnect) {
@@ -112,6 +222,7 @@ class WebSocketManager {
     this.isConnecting = false;
     this.reconnectAttempts = 0;
     this.updateConnectionStatus("online");
+    this.monitor.start();
 
     // Chamar o callback de conexão
     if (this.onConnect) {
@@ -124,6 +235,7 @@ class WebSocketManager {
    * @param {Event} event - Evento de fechamento
    */
   handleClose(event) {
+    const wasConnected = this.isConnected;
     if (this.isConnected) {
       logger.warning(
         `Conexão WebSocket fechada: ${event.code} - ${event.reason}`
@@ -132,15 +244,37 @@ class WebSocketManager {
     }
 
     this.isConnecting = false;
+    this.monitor.stop();
     this.updateConnectionStatus("offline");
 
+    // A sessão do servidor se perdeu junto com a conexão
+    if (this.sessionId) {
+      this.previousSessionId = this.sessionId;
+      this.sessionId = null;
+      this.conversationId = null;
+    }
+    this.resetInFlightState();
+
     // Tenta reconectar automaticamente se não for um fechamento intencional
     if (
       event.code !== 1000 &&
       this.reconnectAttempts < this.maxReconnectAttempts
     ) {
+      if (wasConnected && this.onConnectionLost) {
+        this.onConnectionLost(event);
+      }
       this.attemptReconnect();
     } else {
+      if (event.code !== 1000) {
+        this.reportError(
+          this.errors.transport(
+            "reconnect",
+            `Não foi possível reconectar após ${this.reconnectAttempts} tentativas`,
+            "surface"
+          )
+        );
+      }
+
       // Chamar o callback de desconexão
       if (this.onDisconnect) {
         this.onDisconnect();
@@ -149,12 +283,86 @@ class WebSocketManager {
   }
 
   /**
-   * Handler para erros na conexão WebSocket
-   * @param {Event} error - Evento de erro
+   * Handler para erros de transporte do WebSocket (o navegador não informa
+   * detalhes; o fechamento, com a reconexão, vem em seguida)
    */
-  handleError(error) {
-    logger.error("Erro na conexão WebSocket");
+  handleSocketError() {
     this.updateConnectionStatus("offline");
+    this.reportError(
+      this.errors.transport("socket", "Erro na conexão WebSocket")
+    );
+  }
+
+  /**
+   * Envia uma sonda de liveness (session.update vazio, confirmado com session.updated)
+   */
+  sendProbe() {
+    if (!this.isConnected) return;
+
+    this.lastProbeEventId = this.generateEventId();
+    this.sendMessage({
+      event_id: this.lastProbeEventId,
+      type: "session.update",
+      session: {},
+    });
+  }
+
+  /**
+   * Abandona uma conexão que parou de responder e reconecta
+   * @param {string} reason - Motivo da reconexão
+   */
+  forceReconnect(reason) {
+    if (!this.socket) return;
+
+    logger.info(`Reabrindo a conexão (${reason})...`);
+
+    // Uma conexão meio-aberta pode demorar a disparar onclose: fecha e
+    // trata o fechamento imediatamente
+    const socket = this.socket;
+    socket.onopen = null;
+    socket.onclose = null;
+    socket.onerror = null;
+    socket.onmessage = null;
+    try {
+      socket.close(4000, reason);
+    } catch (error) {
+      // O socket pode já estar fechado
+    }
+    this.socket = null;
+
+    this.handleClose({ code: 4000, reason });
+  }
+
+  /**
+   * Descarta respostas, chamadas de ferramenta e buffers em andamento
+   */
+  resetInFlightState() {
+    this.currentResponseId = null;
+    this.pendingAudioBuffers = 0;
+    this.pendingToolCalls.clear();
+    this.toolCallPromises.clear();
+
+    // Pedidos fora da conversa não terão resposta nesta conexão
+    const error = new Error("Conexão encerrada");
+    this.responseRequests.forEach((request) => request.reject(error));
+    this.responses.forEach((response) => {
+      if (response.outOfBand) response.reject(error);
+    });
+    this.responseRequests.clear();
+    this.responses.clear();
+    this.sentEvents.clear();
+
+    // Respostas retidas pelos limites de uso pertenciam à sessão perdida
+    if (this.queuedResponses.length > 0) {
+      logger.warning(
+        `${this.queuedResponses.length} pedido(s) de resposta na fila descartado(s)`
+      );
+      this.queuedResponses = [];
+      this.notifyRateLimits();
+    }
+
+    // Respostas interrompidas não serão concluídas pelo servidor
+    conversationStore.markInProgressIncomplete();
   }
 
   /**
@@ -180,13 +388,20 @@ class WebSocketManager {
 
   /**
    * Atualiza o indicador visual de status de conexão
-   * @param {string} status - Status da conexão ('offline', 'connecting', 'online')
+   * @param {string} status - Status da conexão ('offline', 'connecting', 'online', 'degraded', 'replaying')
+   * @param {string} [detail] - Detalhe exibido junto ao status (ex.: latência)
    */
-  updateConnectionStatus(status) {
+  updateConnectionStatus(status, detail = "") {
     if (!this.statusElement) return;
 
     // Remove classes antigas
-    this.statusElement.classList.remove("offline", "connecting", "online");
+    this.statusElement.classList.remove(
+      "offline",
+      "connecting",
+      "online",
+      "degraded",
+      "replaying"
+    );
 
     // Adiciona a nova classe
     this.statusElement.classList.add(status);
@@ -204,6 +419,16 @@ class WebSocketManager {
         case "online":
           statusTextElement.textContent = "Conectado";
           break;
+        case "degraded":
+          statusTextElement.textContent = "Instável";
+          break;
+        case "replaying":
+          statusTextElement.textContent = "Reproduzindo captura";
+          break;
+      }
+
+      if (detail) {
+        statusTextElement.textContent += ` (${detail})`;
       }
     }
   }
@@ -213,11 +438,24 @@ class WebSocketManager {
    * @param {MessageEvent} event - Evento de mensagem
    */
   handleMessage(event) {
+    let data = null;
     try {
-      const data = JSON.parse(event.data);
+      data = JSON.parse(event.data);
 
       // Loga a mensagem recebida
       logger.logObject(data, `Recebido: ${data.type}`);
+      protocolInspector.record("received", data);
+      this.monitor.recordReceived(data);
+
+      // Respostas fora da conversa não entram no chat nem no fluxo principal
+      const outOfBandResponse = this.matchOutOfBandResponse(data);
+      if (outOfBandResponse) {
+        this.handleOutOfBandEvent(outOfBandResponse, data);
+        return;
+      }
+
+      conversationStore.handleEvent(data);
+      if (!this.isReplaying) turnMetrics.recordReceived(data);
 
       // Processa a mensagem de acordo com o tipo
       switch (data.type) {
@@ -229,26 +467,105 @@ class WebSocketManager {
           this.handleConversationCreated(data);
           break;
 
+        case "input_audio_buffer.speech_started":
+          logger.info(`Fala detectada (${data.audio_start_ms} ms)`);
+          if (this.onSpeechStarted) {
+            this.onSpeechStarted(data);
+          }
+          break;
+
+        case "input_audio_buffer.speech_stopped":
+          logger.info(`Fim da fala detectado (${data.audio_end_ms} ms)`);
+          if (this.onSpeechStopped) {
+            this.onSpeechStopped(data);
+          }
+          break;
+
         case "input_audio_buffer.committed":
           logger.info(`Buffer de áudio confirmado, item_id: ${data.item_id}`);
+          this.pendingAudioBuffers = 0;
+
+          // Sem VAD do servidor, o turno vai do primeiro envio até a confirmação
+          if (!conversationStore.getAudioTiming(data.item_id)) {
+            conversationStore.setAudioTiming(data.item_id, {
+              startMs: this.inputAudioStartedAt || Date.now(),
+              endMs: Date.now(),
+            });
+          }
+          this.inputAudioStartedAt = null;
+
+          // Na pausa pelos limites de uso o VAD do servidor não cria a resposta
+          if (this.isThrottled && this.getTurnDetectionConfig()) {
+            this.queueResponse();
+          }
+
+          if (this.onAudioCommitted) {
+            this.onAudioCommitted(data.item_id);
+          }
+          break;
+
+        case "conversation.item.input_audio_transcription.delta":
+          // Transcrição parcial da fala do usuário
+          if (this.onInputTranscript) {
+            this.onInputTranscript(data.item_id, data.delta, false);
+          }
+          break;
+
+        case "conversation.item.input_audio_transcription.completed":
+          // Transcrição final da fala do usuário
+          if (this.onInputTranscript) {
+            this.onInputTranscript(data.item_id, data.transcript, true);
+          }
+          break;
+
+        case "conversation.item.input_audio_transcription.failed":
+          logger.error(
+            `Falha na transcrição do item ${data.item_id}: ${
+              (data.error && data.error.message) || "erro desconhecido"
+            }`
+          );
+          if (this.onInputTranscriptFailed) {
+            this.onInputTranscriptFailed(data.item_id, data.error);
+          }
           break;
 
         case "response.created":
-          this.currentResponseId = data.response.id;
-          logger.info(`Nova resposta criada: ${this.currentResponseId}`);
+          this.handleResponseCreated(data);
           break;
 
         case "response.text.delta":
           // Processa o delta de texto
           if (this.onTextResponse) {
-            this.onTextResponse(data.delta, false);
+            this.onTextResponse(data.delta, false, this.getDeltaSource(data));
           }
           break;
 
         case "response.text.done":
           // Processa o fim do texto
           if (this.onTextResponse) {
-            this.onTextResponse(data.text, true);
+            this.onTextResponse(data.text, true, this.getDeltaSource(data));
+          }
+          break;
+
+        case "response.audio_transcript.delta":
+          // Transcrição parcial do áudio do assistente
+          if (this.onAudioTranscript) {
+            this.onAudioTranscript(
+              data.delta,
+              false,
+              this.getDeltaSource(data)
+            );
+          }
+          break;
+
+        case "response.audio_transcript.done":
+          // Transcrição completa do áudio do assistente
+          if (this.onAudioTranscript) {
+            this.onAudioTranscript(
+              data.transcript,
+              true,
+              this.getDeltaSource(data)
+            );
           }
           break;
 
@@ -257,19 +574,43 @@ class WebSocketManager {
           if (this.onAudioResponse && data.delta) {
             // Decodifica o base64 para um array de bytes
             const audioBytes = this.base64ToUint8Array(data.delta);
-            this.onAudioResponse(audioBytes, false);
+            this.onAudioResponse(audioBytes, false, data.item_id);
           }
           break;
 
         case "response.audio.done":
           // Sinaliza que o streaming de áudio terminou
           if (this.onAudioResponse) {
-            this.onAudioResponse(null, true);
+            this.onAudioResponse(null, true, data.item_id);
+          }
+          break;
+
+        case "response.output_item.added":
+          if (data.item && data.item.type === "function_call") {
+            this.handleFunctionCallAdded(data);
+          } else if (data.item && this.onOutputItemAdded) {
+            this.onOutputItemAdded(data.item);
           }
           break;
 
+        case "response.function_call_arguments.delta":
+          this.handleFunctionCallArgumentsDelta(data);
+          break;
+
+        case "response.function_call_arguments.done":
+          this.handleFunctionCallArgumentsDone(data);
+          break;
+
+        case "response.done":
+          this.handleResponseDone(data);
+          break;
+
+        case "rate_limits.updated":
+          this.handleRateLimitsUpdated(data);
+          break;
+
         case "error":
-          this.handleError(data.error);
+          this.handleServerError(data.error);
           break;
 
         default:
@@ -277,7 +618,18 @@ class WebSocketManager {
           break;
       }
     } catch (error) {
-      logger.error(`Erro ao processar mensagem: ${error.message}`);
+      // A mensagem é descartada e o processamento das próximas continua
+      const protocolError = data
+        ? this.errors.protocol(
+            "handler",
+            `Erro ao processar mensagem ${data.type}: ${error.message}`,
+            data.type
+          )
+        : this.errors.protocol(
+            "invalid-json",
+            `Erro ao processar mensagem: JSON inválido (${error.message})`
+          );
+      this.reportError(protocolError);
     }
   }
 
@@ -288,20 +640,433 @@ class WebSocketManager {
   handleSessionCreated(data) {
     this.sessionId = data.session.id;
     logger.success(`Sessão criada: ${this.sessionId}`);
+    const isRestoring = conversationStore.order.length > 0;
 
-    // Configura as modalidades para áudio e texto
+    // Aplica as configurações salvas e o modo de conversa atual
     this.updateSession({
-      modalities: ["audio", "text"],
-      voice: "alloy",
+      ...settingsManager.getSessionConfig(),
       input_audio_format: "pcm16",
       output_audio_format: "pcm16",
-      turn_detection: {
-        type: "server_vad",
-        threshold: 0.5,
-        prefix_padding_ms: 300,
-        silence_duration_ms: 700,
+      input_audio_transcription: {
+        model: "whisper-1",
       },
+      turn_detection: this.getTurnDetectionConfig(),
+      tools: this.getToolDefinitions(),
+      tool_choice: "auto",
+    });
+
+    // Reenvia o contexto da conversa anterior
+    if (isRestoring) {
+      this.restoreConversation();
+    }
+  }
+
+  /**
+   * Reenvia os itens da conversa anterior para a nova sessão
+   */
+  restoreConversation() {
+    // Os itens mantêm seus IDs, então a confirmação do servidor atualiza
+    // os itens existentes no modelo em vez de duplicá-los
+    const items = conversationStore.getRestorableItems(this.maxRestoredItems);
+
+    logger.info(
+      `Restaurando ${items.length} itens da sessão anterior (${
+        this.previousSessionId || "desconhecida"
+      })`
+    );
+
+    let previousItemId = null;
+    items.forEach((item) => {
+      this.sendMessage({
+        type: "conversation.item.create",
+        previous_item_id: previousItemId,
+        item,
+      });
+      previousItemId = item.id;
+    });
+
+    if (this.onSessionRestored) {
+      this.onSessionRestored({
+        previousSessionId: this.previousSessionId,
+        itemCount: items.length,
+      });
+    }
+  }
+
+  /**
+   * Envia as configurações atuais para a sessão ativa
+   */
+  applySettings() {
+    if (!this.sessionId) return null;
+
+    return this.updateSession({
+      ...settingsManager.getSessionConfig(),
+      turn_detection: this.getTurnDetectionConfig(),
+    });
+  }
+
+  /**
+   * Retorna a configuração de detecção de turno para o modo de conversa atual
+   * @returns {Object|null} Configuração do VAD do servidor, ou null no push-to-talk
+   */
+  getTurnDetectionConfig() {
+    if (this.conversationMode === "push-to-talk") {
+      return null;
+    }
+
+    // Na pausa pelos limites de uso, as respostas ficam a cargo do cliente
+    const config = settingsManager.getServerVadConfig();
+    return this.isThrottled ? { ...config, create_response: false } : config;
+  }
+
+  /**
+   * Altera o modo de conversa e atualiza a sessão ativa
+   * @param {string} mode - 'hands-free' ou 'push-to-talk'
+   */
+  setConversationMode(mode) {
+    if (mode !== "hands-free" && mode !== "push-to-talk") {
+      logger.error(`Modo de conversa inválido: ${mode}`);
+      return;
+    }
+
+    this.conversationMode = mode;
+    logger.info(`Modo de conversa: ${mode}`);
+
+    if (this.sessionId) {
+      this.updateSession({ turn_detection: this.getTurnDetectionConfig() });
+    }
+  }
+
+  /**
+   * Registra uma ferramenta que pode ser chamada pelo modelo
+   * @param {string} name - Nome da ferramenta
+   * @param {Object} options - Descrição e JSON schema dos parâmetros
+   * @param {Function} handler - Função (async) que recebe os argumentos e retorna o resultado
+   */
+  registerTool(name, { description = "", parameters } = {}, handler) {
+    if (typeof handler !== "function") {
+      logger.error(`Handler inválido para a ferramenta: ${name}`);
+      return;
+    }
+
+    this.tools.set(name, {
+      definition: {
+        type: "function",
+        name,
+        description,
+        parameters: parameters || { type: "object", properties: {} },
+      },
+      handler,
+    });
+
+    logger.info(`Ferramenta registrada: ${name}`);
+
+    // Se a sessão já existe, anuncia a nova lista de ferramentas
+    if (this.sessionId) {
+      this.updateSession({ tools: this.getToolDefinitions() });
+    }
+  }
+
+  /**
+   * Remove uma ferramenta registrada
+   * @param {string} name - Nome da ferramenta
+   */
+  unregisterTool(name) {
+    if (!this.tools.delete(name)) return;
+
+    if (this.sessionId) {
+      this.updateSession({ tools: this.getToolDefinitions() });
+    }
+  }
+
+  /**
+   * Retorna as definições das ferramentas no formato esperado pela sessão
+   * @returns {Array<Object>} Lista de definições
+   */
+  getToolDefinitions() {
+    return Array.from(this.tools.values()).map((tool) => tool.definition);
+  }
+
+  /**
+   * Processa o início de uma chamada de função na saída da resposta
+   * @param {Object} data - Dados do evento
+   */
+  handleFunctionCallAdded(data) {
+    const item = data.item;
+    this.pendingToolCalls.set(item.call_id, {
+      callId: item.call_id,
+      itemId: item.id,
+      responseId: data.response_id,
+      name: item.name,
+      arguments: item.arguments || "",
+    });
+  }
+
+  /**
+   * Acumula os argumentos transmitidos de uma chamada de função
+   * @param {Object} data - Dados do evento
+   */
+  handleFunctionCallArgumentsDelta(data) {
+    let call = this.pendingToolCalls.get(data.call_id);
+    if (!call) {
+      call = {
+        callId: data.call_id,
+        itemId: data.item_id,
+        responseId: data.response_id,
+        name: data.name,
+        arguments: "",
+      };
+      this.pendingToolCalls.set(data.call_id, call);
+    }
+
+    call.arguments += data.delta || "";
+  }
+
+  /**
+   * Finaliza os argumentos de uma chamada de função e a executa
+   * @param {Object} data - Dados do evento
+   */
+  handleFunctionCallArgumentsDone(data) {
+    const call = this.pendingToolCalls.get(data.call_id) || {
+      callId: data.call_id,
+      itemId: data.item_id,
+      responseId: data.response_id,
+    };
+    this.pendingToolCalls.delete(data.call_id);
+
+    // Na reprodução, o resultado original já está na captura
+    if (this.isReplaying) {
+      logger.info(`Chamada de ferramenta não executada: ${call.name}`);
+      return;
+    }
+
+    // O evento final traz os argumentos completos
+    if (data.arguments !== undefined) call.arguments = data.arguments;
+    if (data.name) call.name = data.name;
+
+    const promises = this.toolCallPromises.get(call.responseId) || [];
+    promises.push(this.executeToolCall(call));
+    this.toolCallPromises.set(call.responseId, promises);
+  }
+
+  /**
+   * Executa uma chamada de ferramenta e envia o resultado para o servidor
+   * @param {Object} call - Chamada montada (callId, name, arguments)
+   */
+  async executeToolCall(call) {
+    logger.info(`Chamada de ferramenta: ${call.name} (${call.callId})`);
+
+    if (this.onToolCall) {
+      this.onToolCall(call);
+    }
+
+    let result;
+    let isError = false;
+
+    try {
+      const tool = this.tools.get(call.name);
+      if (!tool) {
+        throw new Error(`Ferramenta desconhecida: ${call.name}`);
+      }
+
+      const args = call.arguments ? JSON.parse(call.arguments) : {};
+      result = await tool.handler(args);
+    } catch (error) {
+      isError = true;
+      result = { error: error.message };
+      logger.error(
+        `Erro ao executar ferramenta ${call.name}: ${error.message}`
+      );
+    }
+
+    // JSON.stringify(undefined) não gera texto; o servidor exige o output
+    const output =
+      typeof result === "string"
+        ? result
+        : JSON.stringify(result === undefined ? null : result);
+
+    const item = {
+      id: conversationStore.generateItemId(),
+      type: "function_call_output",
+      call_id: call.callId,
+      output,
+    };
+    conversationStore.addLocalItem(item);
+
+    this.sendMessage({
+      type: "conversation.item.create",
+      item,
+    });
+
+    if (this.onToolResult) {
+      this.onToolResult(call, result, isError);
+    }
+  }
+
+  /**
+   * Processa o fim de uma resposta
+   * @param {Object} data - Dados do evento
+   */
+  handleResponseDone(data) {
+    const responseId = data.response && data.response.id;
+    this.responses.delete(responseId);
+
+    if (responseId === this.currentResponseId) {
+      // Volta para a resposta da conversa mais recente ainda em andamento
+      const active = Array.from(this.responses.values()).filter(
+        (response) => !response.outOfBand
+      );
+      this.currentResponseId = active.length
+        ? active[active.length - 1].id
+        : null;
+    }
+
+    this.sendQueuedResponse();
+
+    const promises = this.toolCallPromises.get(responseId);
+    if (!promises) return;
+
+    // Aguarda todas as ferramentas da resposta e pede a continuação ao modelo
+    this.toolCallPromises.delete(responseId);
+
+    // Resposta cancelada (ex.: interrompida pelo usuário) ou com falha: os
+    // resultados ainda são enviados, mas o modelo não é chamado a continuar
+    const status = data.response.status;
+    if (status !== "completed") {
+      logger.info(
+        `Resposta ${responseId} terminou como ${status}; continuação após as ferramentas descartada`
+      );
+      return;
+    }
+
+    Promise.all(promises).then(() => {
+      if (this.isConnected) {
+        this.createResponse();
+      }
+    });
+  }
+
+  /**
+   * Registra uma resposta da conversa criada pelo servidor
+   * @param {Object} data - Dados do evento
+   */
+  handleResponseCreated(data) {
+    const responseId = data.response.id;
+    this.responses.set(responseId, {
+      id: responseId,
+      outOfBand: false,
+      createdAt: Date.now(),
     });
+    this.currentResponseId = responseId;
+    logger.info(
+      `Nova resposta criada: ${responseId} (${this.responses.size} em andamento)`
+    );
+  }
+
+  /**
+   * Identifica a resposta e o item de origem de um delta
+   * @param {Object} data - Dados do evento
+   * @returns {Object} { responseId, itemId }
+   */
+  getDeltaSource(data) {
+    return { responseId: data.response_id, itemId: data.item_id };
+  }
+
+  /**
+   * Localiza a resposta fora da conversa à qual um evento pertence. Em
+   * response.created, associa a resposta ao pedido pelo client_request_id
+   * devolvido nos metadados.
+   * @param {Object} data - Dados do evento
+   * @returns {Object|null} Resposta fora da conversa, ou null
+   */
+  matchOutOfBandResponse(data) {
+    if (data.type === "response.created") {
+      const metadata = data.response.metadata || {};
+      const request = this.responseRequests.get(metadata.client_request_id);
+      if (!request) return null;
+
+      this.responseRequests.delete(metadata.client_request_id);
+      const response = {
+        ...request,
+        id: data.response.id,
+        outOfBand: true,
+        metadata,
+        text: "",
+        createdAt: Date.now(),
+      };
+      this.responses.set(response.id, response);
+      return response;
+    }
+
+    const responseId = data.response_id || (data.response && data.response.id);
+    const response = responseId && this.responses.get(responseId);
+    return response && response.outOfBand ? response : null;
+  }
+
+  /**
+   * Processa um evento de uma resposta fora da conversa
+   * @param {Object} response - Resposta registrada
+   * @param {Object} data - Dados do evento
+   */
+  handleOutOfBandEvent(response, data) {
+    switch (data.type) {
+      case "response.created":
+        logger.info(
+          `Resposta fora da conversa criada: ${response.id} (${response.requestId})`
+        );
+        break;
+
+      case "response.text.delta":
+      case "response.audio_transcript.delta":
+        response.text += data.delta || "";
+        if (response.onDelta) {
+          response.onDelta(data.delta || "", response.text);
+        }
+        break;
+
+      case "response.text.done":
+        response.text = data.text;
+        break;
+
+      case "response.done": {
+        this.responses.delete(response.id);
+        const result = data.response || {};
+        logger.info(
+          `Resposta fora da conversa concluída: ${response.id} (${result.status})`
+        );
+        response.resolve({
+          responseId: response.id,
+          status: result.status,
+          text: response.text,
+          output: result.output || [],
+          metadata: response.metadata,
+          usage: result.usage || null,
+        });
+        break;
+      }
+
+      default:
+        // Áudio e demais eventos não são repassados
+        break;
+    }
+  }
+
+  /**
+   * Rejeita o pedido de resposta fora da conversa que causou um erro
+   * @param {Object} error - Objeto de erro do servidor
+   * @returns {boolean} Se o erro era de um pedido fora da conversa
+   */
+  rejectResponseRequest(error) {
+    if (!error || !error.event_id) return false;
+
+    let rejected = false;
+    this.responseRequests.forEach((request, requestId) => {
+      if (request.eventId !== error.event_id) return;
+      this.responseRequests.delete(requestId);
+      request.reject(new Error(error.message || "Erro do servidor"));
+      rejected = true;
+    });
+    return rejected;
   }
 
   /**
@@ -314,11 +1079,145 @@ class WebSocketManager {
   }
 
   /**
-   * Processa erros do servidor
-   * @param {Object} error - Objeto de erro
+   * Processa os eventos de erro do servidor, aplicando a política de
+   * recuperação da classificação
+   * @param {Object} error - Objeto de erro do evento
    */
-  handleError(error) {
-    logger.error(`Erro do servidor: ${error.message || JSON.stringify(error)}`);
+  handleServerError(error) {
+    const serverError = this.errors.server(error);
+
+    // Pedidos fora da conversa são tratados por quem os fez
+    if (this.rejectResponseRequest(error)) {
+      logger.error(
+        `Erro do servidor (fora da conversa): ${serverError.message}`
+      );
+      return;
+    }
+
+    // Falha da sonda de liveness: apenas registrada, sem notificar o usuário
+    if (serverError.eventId && serverError.eventId === this.lastProbeEventId) {
+      serverError.policy = "ignore";
+      serverError.message += " (sonda de conexão)";
+    }
+
+    switch (serverError.policy) {
+      case "retry":
+        this.retryFailedEvent(serverError);
+        break;
+
+      case "reset-buffer":
+        this.pendingAudioBuffers = 0;
+        this.inputAudioStartedAt = null;
+        if (this.isConnected) this.clearAudioBuffer();
+        break;
+
+      case "recreate-session":
+        this.forceReconnect(serverError.message);
+        break;
+    }
+
+    this.reportError(serverError);
+  }
+
+  /**
+   * Reenvia o evento que causou um erro temporário do servidor, com
+   * intervalo crescente; sem o evento ou após o limite, o erro é exibido
+   * @param {Object} serverError - Erro classificado
+   */
+  retryFailedEvent(serverError) {
+    const entry = this.sentEvents.get(serverError.eventId);
+    if (!entry) {
+      serverError.policy = "surface";
+      return;
+    }
+    this.sentEvents.delete(serverError.eventId);
+
+    if (entry.attempts >= this.maxEventRetries) {
+      serverError.policy = "surface";
+      serverError.message += ` (desistindo após ${entry.attempts} tentativas)`;
+      return;
+    }
+
+    const { event_id, ...message } = entry.message;
+
+    // Conflito com a resposta em andamento: o pedido espera o fim dela
+    if (
+      serverError.code === "conversation_already_has_active_response" &&
+      this.currentResponseId
+    ) {
+      this.queueResponse(message.response, "resposta em andamento");
+      return;
+    }
+
+    // Limite de uso: espera também a renovação conhecida e a sugerida pelo
+    // servidor, para que as tentativas não caiam dentro da mesma janela
+    let delay = this.retryDelayMs * Math.pow(2, entry.attempts);
+    if (
+      serverError.code === "rate_limit_exceeded" ||
+      serverError.kind === "rate_limit_error"
+    ) {
+      delay = Math.max(
+        delay,
+        this.rateLimits.getWaitMs(),
+        serverError.retryAfterMs || 0
+      );
+    }
+    logger.info(
+      `Reenviando ${message.type} em ${delay / 1000} s (tentativa ${
+        entry.attempts + 1
+      }/${this.maxEventRetries})`
+    );
+
+    setTimeout(() => {
+      if (!this.isConnected) return;
+
+      const eventId =
+        message.type === "response.create"
+          ? this.createResponse(message.response)
+          : this.sendMessage(message);
+      const resent = this.sentEvents.get(eventId);
+      if (resent) resent.attempts = entry.attempts + 1;
+    }, delay);
+  }
+
+  /**
+   * Guarda um evento enviado que pode ser reenviado se o servidor falhar
+   * @param {Object} message - Evento enviado (com event_id)
+   */
+  rememberSentEvent(message) {
+    if (!this.retryableTypes.includes(message.type)) return;
+    // Uma sonda que falhou é só uma medição perdida; a próxima sai no intervalo
+    if (message.event_id === this.lastProbeEventId) return;
+
+    this.sentEvents.set(message.event_id, { message, attempts: 0 });
+    if (this.sentEvents.size > this.maxSentEvents) {
+      const [oldest] = this.sentEvents.keys();
+      this.sentEvents.delete(oldest);
+    }
+  }
+
+  /**
+   * Registra um erro classificado e o repassa para a interface
+   * @param {Object} error - Erro classificado pelo ErrorClassifier
+   */
+  reportError(error) {
+    const labels = {
+      transport: "Erro de conexão",
+      protocol: "Erro de protocolo",
+      server: "Erro do servidor",
+    };
+    const code = error.code ? ` [${error.code}]` : "";
+    const text = `${labels[error.category]}${code}: ${error.message}`;
+
+    if (error.policy === "ignore") {
+      logger.warning(text);
+    } else {
+      logger.error(text);
+    }
+
+    if (this.onError) {
+      this.onError(error);
+    }
   }
 
   /**
@@ -334,6 +1233,12 @@ class WebSocketManager {
    * @param {Object} message - Mensagem a ser enviada
    */
   sendMessage(message) {
+    // Durante a reprodução de uma captura nada é enviado ao servidor
+    if (this.isReplaying) {
+      logger.logObject(message, `Não enviado (reprodução): ${message.type}`);
+      return null;
+    }
+
     if (!this.isConnected || !this.socket) {
       logger.error("Não conectado ao servidor");
       return;
@@ -348,13 +1253,22 @@ class WebSocketManager {
       // Converte para string e envia
       const messageString = JSON.stringify(message);
       this.socket.send(messageString);
+      this.rememberSentEvent(message);
+      this.monitor.recordSent(message);
+      turnMetrics.recordSent(message);
+      protocolInspector.record("sent", message);
 
       // Loga a mensagem enviada (simplificada)
       logger.logObject(message, `Enviado: ${message.type}`);
 
       return message.event_id;
     } catch (error) {
-      logger.error(`Erro ao enviar mensagem: ${error.message}`);
+      this.reportError(
+        this.errors.transport(
+          "send",
+          `Erro ao enviar mensagem: ${error.message}`
+        )
+      );
       return null;
     }
   }
@@ -383,6 +1297,9 @@ class WebSocketManager {
     }
 
     // Incrementa o contador de buffers pendentes
+    if (this.pendingAudioBuffers === 0) {
+      this.inputAudioStartedAt = Date.now();
+    }
     this.pendingAudioBuffers++;
 
     // Converte os dados de áudio para base64
@@ -432,32 +1349,234 @@ class WebSocketManager {
     return this.sendMessage(message);
   }
 
+  /**
+   * Envia uma mensagem de texto do usuário e solicita uma resposta
+   * @param {string} text - Texto digitado pelo usuário
+   */
+  sendTextMessage(text) {
+    if (!this.isConnected) {
+      logger.warning("Não conectado ao servidor, não é possível enviar texto");
+      return null;
+    }
+
+    const item = {
+      id: conversationStore.generateItemId(),
+      type: "message",
+      role: "user",
+      content: [{ type: "input_text", text }],
+    };
+
+    const eventId = this.sendMessage({
+      type: "conversation.item.create",
+      item,
+    });
+
+    if (!eventId) return null;
+
+    // Exibe a mensagem imediatamente; o servidor confirma com o mesmo ID
+    conversationStore.addLocalItem(item);
+
+    this.createResponse();
+    return eventId;
+  }
+
   /**
    * Cria uma nova resposta (solicita ao modelo)
+   * @param {Object} options - Campos adicionais de response.create (ex.: instructions)
    */
-  createResponse() {
+  createResponse(options = {}) {
+    // Perto do esgotamento dos limites de uso, o pedido espera a renovação
+    if (this.isThrottled) {
+      this.queueResponse(options);
+      return null;
+    }
+
     const message = {
       type: "response.create",
       response: {
-        modalities: ["audio", "text"],
+        modalities: settingsManager.getModalities(),
+        ...options,
       },
     };
 
     return this.sendMessage(message);
   }
 
+  /**
+   * Coloca um pedido de resposta na fila até que possa ser enviado
+   * @param {Object} options - Campos adicionais de response.create
+   * @param {string} reason - Motivo da espera (para o log)
+   */
+  queueResponse(options = {}, reason = "limites de uso baixos") {
+    // Turnos seguidos com as mesmas opções são respondidos juntos
+    const last = this.queuedResponses[this.queuedResponses.length - 1];
+    if (!last || JSON.stringify(last) !== JSON.stringify(options)) {
+      this.queuedResponses.push(options);
+    }
+
+    logger.warning(`Pedido de resposta na fila (${reason})`);
+    this.notifyRateLimits();
+  }
+
+  /**
+   * Envia o próximo pedido de resposta da fila, se os limites permitirem
+   */
+  sendQueuedResponse() {
+    if (this.isThrottled || !this.isConnected || this.currentResponseId) {
+      return;
+    }
+
+    const options = this.queuedResponses.shift();
+    if (!options) return;
+
+    logger.info("Enviando pedido de resposta da fila");
+    this.createResponse(options);
+    this.notifyRateLimits();
+  }
+
+  /**
+   * Registra os limites de uso informados pelo servidor
+   * @param {Object} data - Dados do evento rate_limits.updated
+   */
+  handleRateLimitsUpdated(data) {
+    this.rateLimits.update(data.rate_limits);
+    this.updateThrottle();
+  }
+
+  /**
+   * Pausa ou retoma os pedidos de resposta conforme os limites de uso
+   */
+  updateThrottle() {
+    clearTimeout(this.rateLimitTimer);
+    this.rateLimitTimer = null;
+
+    const isThrottled = this.rateLimits.isThrottled();
+    if (isThrottled !== this.isThrottled) {
+      this.isThrottled = isThrottled;
+      if (isThrottled) {
+        logger.warning(
+          "Limites de uso quase esgotados: respostas pausadas até a renovação"
+        );
+      } else {
+        logger.info("Limites de uso renovados: respostas retomadas");
+      }
+
+      // Liga ou desliga as respostas automáticas do VAD do servidor
+      if (this.sessionId && this.getTurnDetectionConfig()) {
+        this.updateSession({ turn_detection: this.getTurnDetectionConfig() });
+      }
+    }
+
+    if (isThrottled) {
+      // Verifica de novo quando os limites esgotados se renovarem
+      this.rateLimitTimer = setTimeout(
+        () => this.updateThrottle(),
+        this.rateLimits.getWaitMs()
+      );
+    } else {
+      this.sendQueuedResponse();
+    }
+
+    this.notifyRateLimits();
+  }
+
+  /**
+   * Notifica a mudança dos limites de uso ou da fila de respostas
+   */
+  notifyRateLimits() {
+    if (!this.onRateLimitsChanged) return;
+
+    this.onRateLimitsChanged(this.rateLimits.getLimits(), {
+      isThrottled: this.isThrottled,
+      queued: this.queuedResponses.length,
+      resumeAt: this.isThrottled
+        ? Date.now() + this.rateLimits.getWaitMs()
+        : null,
+    });
+  }
+
+  /**
+   * Cria uma resposta fora da conversa (conversation: "none"), útil para
+   * classificações e resumos em segundo plano. O resultado não entra no chat
+   * nem no contexto da conversa.
+   * @param {Object} options - Campos de response.create, mais onDelta(delta, text)
+   * @returns {Promise<Object>} { responseId, status, text, output, metadata, usage }
+   */
+  createOutOfBandResponse(options = {}) {
+    if (!this.isConnected) {
+      return Promise.reject(new Error("Não conectado ao servidor"));
+    }
+
+    const { onDelta, metadata, ...responseOptions } = options;
+    const requestId = `oob_${++this.responseRequestId}`;
+    const eventId = this.generateEventId();
+
+    return new Promise((resolve, reject) => {
+      this.responseRequests.set(requestId, {
+        requestId,
+        eventId,
+        onDelta: onDelta || null,
+        resolve,
+        reject,
+      });
+
+      const sent = this.sendMessage({
+        event_id: eventId,
+        type: "response.create",
+        response: {
+          modalities: ["text"],
+          ...responseOptions,
+          conversation: "none",
+          metadata: { ...metadata, client_request_id: requestId },
+        },
+      });
+
+      // O pedido não saiu: nenhuma resposta virá para ele
+      if (!sent) {
+        this.responseRequests.delete(requestId);
+        reject(new Error("Falha ao enviar o pedido de resposta"));
+      }
+    });
+  }
+
+  /**
+   * Lista as respostas em andamento
+   * @returns {Array<Object>} Respostas (da conversa e fora dela)
+   */
+  getActiveResponses() {
+    return Array.from(this.responses.values());
+  }
+
   /**
    * Cancela uma resposta em andamento
+   * @param {string} responseId - ID da resposta (padrão: a mais recente da conversa)
    */
-  cancelResponse() {
-    if (!this.currentResponseId) {
+  cancelResponse(responseId = this.currentResponseId) {
+    if (!responseId || !this.responses.has(responseId)) {
       logger.warning("Nenhuma resposta ativa para cancelar");
       return null;
     }
 
     const message = {
       type: "response.cancel",
-      response_id: this.currentResponseId,
+      response_id: responseId,
+    };
+
+    return this.sendMessage(message);
+  }
+
+  /**
+   * Trunca o áudio de um item do assistente no ponto em que o usuário parou de ouvir
+   * @param {string} itemId - ID do item do assistente
+   * @param {number} contentIndex - Índice da parte de conteúdo
+   * @param {number} audioEndMs - Duração ouvida, em ms
+   */
+  truncateItem(itemId, contentIndex, audioEndMs) {
+    const message = {
+      type: "conversation.item.truncate",
+      item_id: itemId,
+      content_index: contentIndex,
+      audio_end_ms: audioEndMs,
     };
 
     return this.sendMessage(message);
@@ -513,4 +1632,5 @@ class WebSocketManager {
 }
 
 // Inicializa a instância global do gerenciador de websocket
-const webSocketManager = new WebSocketManager("ws://localhost:8080/");
+// (a URL vem do perfil de conexão ativo)
+const webSocketManager = new WebSocketManager();
@@ -0,0 +1,241 @@
+/**
+ * MockRealtimeServer - Servidor Realtime simulado para desenvolvimento e testes
+ *
+ * Servidor WebSocket local (porta 8090 por padrão, a mesma do perfil "mock"
+ * do cliente) que atende cada conexão com uma MockRealtimeSession. O cenário
+ * pode ser escolhido na linha de comando ou por conexão, com ?scenario=nome
+ * na URL do perfil.
+ *
+ * Uso: npm run mock -- [--port 8090] [--scenario ferramenta] [--latency 50]
+ *        [--chunk-interval 40] [--error-rate 0.1] [--drop-after 20]
+ *        [--fail response.create:rate_limit_exceeded[:2]]
+ *        [--rate-limits 5:2000:30]
+ */
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { parseArgs } = require("util");
+const { WebSocketServer } = require("ws");
+const { MockRealtimeSession } = require("./mockSession");
+
+class MockRealtimeServer {
+  constructor(options = {}) {
+    this.port = options.port ?? 8090;
+    this.scenarioName = options.scenario || null; // Cenário padrão das conexões
+    this.sessionOptions = {
+      latencyMs: options.latencyMs || 0,
+      chunkIntervalMs: options.chunkIntervalMs || 40,
+      errorRate: options.errorRate || 0,
+      dropAfter: options.dropAfter || 0,
+      failRules: options.failRules || [],
+      rateLimits: options.rateLimits || null,
+    };
+    this.scenarioDir = options.scenarioDir || path.join(__dirname, "scenarios");
+    this.quiet = Boolean(options.quiet);
+
+    this.httpServer = null;
+    this.wsServer = null;
+    this.sessions = new Set();
+  }
+
+  /**
+   * Registra uma mensagem no console
+   * @param {string} message - Mensagem
+   */
+  log(message) {
+    if (!this.quiet) {
+      console.log(`[mock] ${message}`);
+    }
+  }
+
+  /**
+   * Carrega um cenário pelo nome (em scenarios/) ou pelo caminho do arquivo
+   * @param {string|null} name - Nome ou caminho
+   * @returns {Object} Cenário { name, description, session, turns }
+   */
+  loadScenario(name) {
+    if (!name) return { name: "padrão", turns: [] };
+
+    const file = name.endsWith(".json")
+      ? path.resolve(name)
+      : path.join(this.scenarioDir, `${name}.json`);
+    const scenario = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { name, ...scenario };
+  }
+
+  /**
+   * Lista os cenários incluídos
+   * @returns {Array<string>} Nomes
+   */
+  listScenarios() {
+    try {
+      return fs
+        .readdirSync(this.scenarioDir)
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => path.basename(file, ".json"));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Inicia o servidor
+   * @returns {Promise<number>} Porta em uso
+   */
+  start() {
+    this.httpServer = http.createServer((request, response) => {
+      // Informações do servidor (útil para verificar se ele está no ar)
+      response.writeHead(200, {
+        "Content-Type": "application/json; charset=utf-8",
+      });
+      response.end(
+        JSON.stringify({
+          server: "mock-realtime",
+          sessions: this.sessions.size,
+          scenario: this.scenarioName,
+          scenarios: this.listScenarios(),
+        })
+      );
+    });
+
+    this.wsServer = new WebSocketServer({
+      server: this.httpServer,
+      // Aceita o subprotocolo de autenticação do cliente sem validá-lo
+      handleProtocols: (protocols) =>
+        protocols.has("realtime")
+          ? "realtime"
+          : protocols.values().next().value,
+    });
+    this.wsServer.on("connection", (socket, request) =>
+      this.handleConnection(socket, request)
+    );
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once("error", reject);
+      this.httpServer.listen(this.port, () => {
+        this.port = this.httpServer.address().port;
+        this.log(`Servidor simulado em ws://localhost:${this.port}/`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Atende uma nova conexão
+   * @param {WebSocket} socket - Conexão
+   * @param {http.IncomingMessage} request - Requisição de upgrade
+   */
+  handleConnection(socket, request) {
+    const url = new URL(request.url, "http://localhost");
+    const scenarioName = url.searchParams.get("scenario") || this.scenarioName;
+
+    let scenario;
+    try {
+      scenario = this.loadScenario(scenarioName);
+    } catch (error) {
+      this.log(`Cenário inválido (${scenarioName}): ${error.message}`);
+      socket.close(1008, "Cenário inválido");
+      return;
+    }
+
+    const session = new MockRealtimeSession(socket, {
+      ...this.sessionOptions,
+      scenario,
+      log: (message) => this.log(`${session.session.id}: ${message}`),
+    });
+    this.sessions.add(session);
+    this.log(
+      `Conexão aberta: ${session.session.id} (cenário ${scenario.name})`
+    );
+
+    socket.on("message", (data) => session.handleMessage(data.toString()));
+    socket.on("close", () => {
+      session.handleClose();
+      this.sessions.delete(session);
+      this.log(`Conexão encerrada: ${session.session.id}`);
+    });
+
+    session.start();
+  }
+
+  /**
+   * Encerra o servidor e as conexões abertas
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.sessions.forEach((session) =>
+      session.close(1001, "Servidor encerrado")
+    );
+
+    return new Promise((resolve) => {
+      if (!this.wsServer) {
+        resolve();
+        return;
+      }
+      this.wsServer.close(() => this.httpServer.close(() => resolve()));
+    });
+  }
+}
+
+/**
+ * Interpreta uma regra de falha (evento:código[:quantidade])
+ * @param {string} spec - Regra
+ * @returns {Object} { eventType, code, count }
+ */
+function parseFailRule(spec) {
+  const [eventType, code = "server_error", count] = spec.split(":");
+  return { eventType, code, count: count ? Number(count) : -1 };
+}
+
+/**
+ * Converte os limites de uso da linha de comando ("requisicoes:tokens:segundos")
+ * @param {string} spec - Limites (ex.: "5:2000:30")
+ * @returns {Object|null} { requests, tokens, windowSeconds }
+ */
+function parseRateLimits(spec) {
+  if (!spec) return null;
+
+  const [requests, tokens = "40000", windowSeconds = "60"] = spec.split(":");
+  return {
+    requests: Number(requests),
+    tokens: Number(tokens),
+    windowSeconds: Number(windowSeconds),
+  };
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: "8090" },
+      scenario: { type: "string" },
+      latency: { type: "string", default: "0" },
+      "chunk-interval": { type: "string", default: "40" },
+      "error-rate": { type: "string", default: "0" },
+      "drop-after": { type: "string", default: "0" },
+      fail: { type: "string", multiple: true, default: [] },
+      "rate-limits": { type: "string" },
+    },
+  });
+
+  const server = new MockRealtimeServer({
+    port: Number(values.port),
+    scenario: values.scenario,
+    latencyMs: Number(values.latency),
+    chunkIntervalMs: Number(values["chunk-interval"]),
+    errorRate: Number(values["error-rate"]),
+    dropAfter: Number(values["drop-after"]),
+    failRules: values.fail.map(parseFailRule),
+    rateLimits: parseRateLimits(values["rate-limits"]),
+  });
+
+  server.start().catch((error) => {
+    console.error(`[mock] Erro ao iniciar o servidor: ${error.message}`);
+    process.exit(1);
+  });
+
+  process.on("SIGINT", () => {
+    server.stop().then(() => process.exit(0));
+  });
+}
+
+module.exports = { MockRealtimeServer, parseFailRule, parseRateLimits };
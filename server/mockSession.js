@@ -0,0 +1,962 @@
+/**
+ * MockRealtimeSession - Sessão simulada do protocolo Realtime
+ *
+ * Atende uma conexão do cliente com o subconjunto do protocolo que ele usa:
+ * criação e atualização da sessão, buffer de entrada (append, commit, clear)
+ * com VAD do servidor simulado, itens da conversa, truncamento e respostas
+ * com deltas de texto, transcrição e áudio sintético. Roteiros (cenários)
+ * definem as respostas de cada turno, chamadas de função, erros e quedas de
+ * conexão; regras de falha injetam erros em eventos específicos. Opcionalmente
+ * informa limites de uso (rate_limits.updated) a cada resposta criada.
+ */
+const { SyntheticVoice } = require("./syntheticAudio");
+
+// Tipo de erro da API para cada código injetado (padrão: invalid_request_error)
+const ERROR_TYPES = {
+  server_error: "server_error",
+  internal_error: "server_error",
+  rate_limit_exceeded: "rate_limit_error",
+  session_expired: "invalid_request_error",
+};
+
+class MockRealtimeSession {
+  constructor(socket, options = {}) {
+    this.socket = socket;
+    this.scenario = options.scenario || { name: "padrão", turns: [] };
+    this.latencyMs = options.latencyMs || 0; // Atraso de cada evento enviado
+    this.chunkIntervalMs = options.chunkIntervalMs || 40; // Entre deltas
+    this.errorRate = options.errorRate || 0; // Chance de erro em cada evento
+    this.failRules = (options.failRules || []).map((rule) => ({ ...rule }));
+    this.dropAfter = options.dropAfter || 0; // Encerra após N eventos recebidos
+    this.rateLimits = options.rateLimits || null; // { requests, tokens, windowSeconds }
+    this.log = options.log || (() => {});
+
+    this.voice = new SyntheticVoice(24000);
+    this.vadLevelScale = 0.04; // threshold 0.5 => nível RMS 0.02
+
+    this.idCounter = 0;
+    this.receivedCount = 0;
+    this.isClosed = false;
+
+    this.session = this.createSessionConfig();
+    this.conversationId = this.generateId("conv");
+    this.items = []; // Itens da conversa, na ordem
+
+    // Buffer de entrada e VAD
+    this.inputChunks = [];
+    this.inputSamples = 0; // Amostras no buffer atual
+    this.totalInputSamples = 0; // Amostras recebidas desde o início (audio_*_ms)
+    this.vad = { speaking: false, startMs: 0, silenceMs: 0, itemId: null };
+
+    this.turns = [...(this.scenario.turns || [])];
+    this.activeResponse = null; // Resposta da conversa em andamento
+
+    // Consumo dos limites de uso na janela atual
+    this.rateWindow = { endsAt: 0, requests: 0, tokens: 0 };
+  }
+
+  /**
+   * Gera um ID no formato da API
+   * @param {string} prefix - Prefixo (ex.: 'item', 'resp')
+   * @returns {string} ID
+   */
+  generateId(prefix) {
+    return `${prefix}_mock${Date.now().toString(36)}${++this.idCounter}`;
+  }
+
+  /**
+   * Configuração inicial da sessão (com as sobreposições do cenário)
+   * @returns {Object} Sessão
+   */
+  createSessionConfig() {
+    return {
+      id: this.generateId("sess"),
+      object: "realtime.session",
+      model: "mock-realtime",
+      modalities: ["text", "audio"],
+      instructions: "",
+      voice: "alloy",
+      input_audio_format: "pcm16",
+      output_audio_format: "pcm16",
+      input_audio_transcription: null,
+      turn_detection: {
+        type: "server_vad",
+        threshold: 0.5,
+        prefix_padding_ms: 300,
+        silence_duration_ms: 500,
+      },
+      tools: [],
+      tool_choice: "auto",
+      temperature: 0.8,
+      max_response_output_tokens: "inf",
+      ...(this.scenario.session || {}),
+    };
+  }
+
+  /**
+   * Envia a sessão e a conversa iniciais
+   */
+  start() {
+    this.send({ type: "session.created", session: this.session });
+    this.send({
+      type: "conversation.created",
+      conversation: {
+        id: this.conversationId,
+        object: "realtime.conversation",
+      },
+    });
+  }
+
+  /**
+   * Envia um evento ao cliente (com a latência configurada)
+   * @param {Object} event - Evento sem event_id
+   */
+  send(event) {
+    const message = JSON.stringify({
+      event_id: this.generateId("event"),
+      ...event,
+    });
+
+    const deliver = () => {
+      if (!this.isClosed && this.socket.readyState === this.socket.OPEN) {
+        this.socket.send(message);
+      }
+    };
+
+    if (this.latencyMs > 0) {
+      setTimeout(deliver, this.latencyMs);
+    } else {
+      deliver();
+    }
+  }
+
+  /**
+   * Envia um evento de erro
+   * @param {string} code - Código do erro
+   * @param {string} message - Mensagem
+   * @param {string} [eventId] - Evento do cliente que causou o erro
+   * @param {string} [type] - Tipo do erro (padrão: derivado do código)
+   */
+  sendError(code, message, eventId, type) {
+    this.send({
+      type: "error",
+      error: {
+        type: type || ERROR_TYPES[code] || "invalid_request_error",
+        code,
+        message,
+        param: null,
+        event_id: eventId || null,
+      },
+    });
+  }
+
+  /**
+   * Espera um intervalo
+   * @param {number} ms - Duração
+   * @returns {Promise<void>}
+   */
+  wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+  }
+
+  /**
+   * Encerra a conexão
+   * @param {number} [code] - Código de fechamento (sem código: queda abrupta)
+   * @param {string} [reason] - Motivo
+   */
+  close(code, reason = "") {
+    if (this.isClosed) return;
+    this.isClosed = true;
+
+    if (code) {
+      this.socket.close(code, reason);
+    } else {
+      this.socket.terminate();
+    }
+  }
+
+  /**
+   * Marca a sessão como encerrada pelo cliente
+   */
+  handleClose() {
+    this.isClosed = true;
+    if (this.activeResponse) {
+      this.activeResponse.cancelled = true;
+    }
+  }
+
+  /**
+   * Processa uma mensagem do cliente
+   * @param {string} raw - Conteúdo recebido
+   */
+  handleMessage(raw) {
+    let event;
+    try {
+      event = JSON.parse(raw);
+    } catch (error) {
+      this.sendError("invalid_json", `JSON inválido: ${error.message}`);
+      return;
+    }
+
+    this.receivedCount++;
+    if (this.dropAfter && this.receivedCount >= this.dropAfter) {
+      this.log(`Queda simulada após ${this.receivedCount} eventos`);
+      this.close();
+      return;
+    }
+
+    if (this.injectError(event)) return;
+
+    switch (event.type) {
+      case "session.update":
+        this.handleSessionUpdate(event);
+        break;
+      case "input_audio_buffer.append":
+        this.handleAppend(event);
+        break;
+      case "input_audio_buffer.commit":
+        this.handleCommit(event);
+        break;
+      case "input_audio_buffer.clear":
+        this.clearInputBuffer();
+        this.send({ type: "input_audio_buffer.cleared" });
+        break;
+      case "conversation.item.create":
+        this.handleItemCreate(event);
+        break;
+      case "conversation.item.truncate":
+        this.handleItemTruncate(event);
+        break;
+      case "conversation.item.delete":
+        this.handleItemDelete(event);
+        break;
+      case "response.create":
+        this.handleResponseCreate(event);
+        break;
+      case "response.cancel":
+        this.handleResponseCancel(event);
+        break;
+      default:
+        this.sendError(
+          "unknown_event",
+          `Tipo de evento não suportado pelo servidor simulado: ${event.type}`,
+          event.event_id
+        );
+    }
+  }
+
+  /**
+   * Aplica as regras de falha e a taxa de erros aleatórios
+   * @param {Object} event - Evento do cliente
+   * @returns {boolean} Se o evento foi rejeitado
+   */
+  injectError(event) {
+    const rule = this.failRules.find(
+      (candidate) => candidate.eventType === event.type && candidate.count !== 0
+    );
+    if (rule) {
+      if (rule.count > 0) rule.count--;
+      this.sendError(
+        rule.code,
+        `Erro injetado em ${event.type}`,
+        event.event_id,
+        rule.type
+      );
+      return true;
+    }
+
+    // Os envios de áudio são frequentes demais para a taxa aleatória
+    if (
+      this.errorRate > 0 &&
+      event.type !== "input_audio_buffer.append" &&
+      Math.random() < this.errorRate
+    ) {
+      this.sendError("server_error", "Erro aleatório injetado", event.event_id);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Atualiza a configuração da sessão
+   * @param {Object} event - session.update
+   */
+  handleSessionUpdate(event) {
+    this.session = { ...this.session, ...(event.session || {}) };
+    this.send({ type: "session.updated", session: this.session });
+  }
+
+  /**
+   * Adiciona áudio ao buffer de entrada e executa o VAD do servidor
+   * @param {Object} event - input_audio_buffer.append
+   */
+  handleAppend(event) {
+    const samples = this.voice.fromBase64(event.audio);
+    if (samples.length === 0) {
+      this.sendError("invalid_value", "Áudio vazio", event.event_id);
+      return;
+    }
+
+    const chunkStartMs = this.voice.samplesToMs(this.totalInputSamples);
+    this.inputChunks.push(samples);
+    this.inputSamples += samples.length;
+    this.totalInputSamples += samples.length;
+
+    const turnDetection = this.session.turn_detection;
+    if (turnDetection && turnDetection.type === "server_vad") {
+      this.runVad(samples, chunkStartMs, turnDetection);
+    }
+  }
+
+  /**
+   * Detecta início e fim de fala pela energia de cada trecho recebido
+   * @param {Int16Array} samples - Trecho recebido
+   * @param {number} chunkStartMs - Posição do trecho no áudio de entrada
+   * @param {Object} turnDetection - Configuração do VAD
+   */
+  runVad(samples, chunkStartMs, turnDetection) {
+    const threshold = (turnDetection.threshold ?? 0.5) * this.vadLevelScale;
+    const isSpeech = this.voice.rms(samples) > threshold;
+    const chunkMs = this.voice.samplesToMs(samples.length);
+
+    if (isSpeech) {
+      this.vad.silenceMs = 0;
+      if (this.vad.speaking) return;
+
+      this.vad.speaking = true;
+      this.vad.itemId = this.generateId("item");
+      this.vad.startMs = Math.max(
+        0,
+        chunkStartMs - (turnDetection.prefix_padding_ms ?? 300)
+      );
+      this.send({
+        type: "input_audio_buffer.speech_started",
+        audio_start_ms: this.vad.startMs,
+        item_id: this.vad.itemId,
+      });
+
+      // A fala do usuário interrompe a resposta em andamento
+      if (this.activeResponse && turnDetection.interrupt_response !== false) {
+        this.activeResponse.cancelled = true;
+        this.activeResponse.reason = "turn_detected";
+      }
+      return;
+    }
+
+    if (!this.vad.speaking) return;
+
+    this.vad.silenceMs += chunkMs;
+    if (this.vad.silenceMs < (turnDetection.silence_duration_ms ?? 500)) {
+      return;
+    }
+
+    this.vad.speaking = false;
+    this.send({
+      type: "input_audio_buffer.speech_stopped",
+      audio_end_ms: chunkStartMs + chunkMs,
+      item_id: this.vad.itemId,
+    });
+
+    this.commitInputBuffer(this.vad.itemId);
+    if (turnDetection.create_response !== false) {
+      this.createResponse({}, null);
+    }
+  }
+
+  /**
+   * Confirma o buffer de entrada a pedido do cliente
+   * @param {Object} event - input_audio_buffer.commit
+   */
+  handleCommit(event) {
+    if (this.inputSamples === 0) {
+      this.sendError(
+        "input_audio_buffer_commit_empty",
+        "O buffer de áudio está vazio",
+        event.event_id
+      );
+      return;
+    }
+
+    this.commitInputBuffer(this.vad.speaking ? this.vad.itemId : null);
+    this.vad.speaking = false;
+  }
+
+  /**
+   * Transforma o buffer de entrada em um item do usuário
+   * @param {string|null} itemId - ID reservado pelo VAD
+   */
+  commitInputBuffer(itemId) {
+    const durationMs = this.voice.samplesToMs(this.inputSamples);
+    const item = {
+      id: itemId || this.generateId("item"),
+      object: "realtime.item",
+      type: "message",
+      status: "completed",
+      role: "user",
+      content: [{ type: "input_audio", transcript: null }],
+      durationMs, // Usado apenas pelo servidor simulado
+    };
+    const previousItemId = this.getLastItemId();
+    this.items.push(item);
+    this.clearInputBuffer();
+
+    this.send({
+      type: "input_audio_buffer.committed",
+      previous_item_id: previousItemId,
+      item_id: item.id,
+    });
+    this.send({
+      type: "conversation.item.created",
+      previous_item_id: previousItemId,
+      item: this.toApiItem(item),
+    });
+
+    if (this.session.input_audio_transcription) {
+      const transcript = `Fala simulada de ${(durationMs / 1000).toFixed(1)} segundos`;
+      item.content[0].transcript = transcript;
+      this.send({
+        type: "conversation.item.input_audio_transcription.delta",
+        item_id: item.id,
+        content_index: 0,
+        delta: transcript,
+      });
+      this.send({
+        type: "conversation.item.input_audio_transcription.completed",
+        item_id: item.id,
+        content_index: 0,
+        transcript,
+      });
+    }
+  }
+
+  /**
+   * Descarta o buffer de entrada
+   */
+  clearInputBuffer() {
+    this.inputChunks = [];
+    this.inputSamples = 0;
+  }
+
+  /**
+   * ID do último item da conversa
+   * @returns {string|null} ID
+   */
+  getLastItemId() {
+    return this.items.length ? this.items[this.items.length - 1].id : null;
+  }
+
+  /**
+   * Cópia de um item no formato enviado pela API
+   * @param {Object} item - Item interno
+   * @returns {Object} Item
+   */
+  toApiItem(item) {
+    const { durationMs, ...apiItem } = item;
+    return { object: "realtime.item", ...apiItem };
+  }
+
+  /**
+   * Adiciona um item criado pelo cliente
+   * @param {Object} event - conversation.item.create
+   */
+  handleItemCreate(event) {
+    if (!event.item || !event.item.type) {
+      this.sendError(
+        "missing_required_parameter",
+        "item.type ausente",
+        event.event_id
+      );
+      return;
+    }
+
+    const item = {
+      ...event.item,
+      id: event.item.id || this.generateId("item"),
+      status: "completed",
+    };
+    const previousItemId = this.getLastItemId();
+    this.items.push(item);
+
+    this.send({
+      type: "conversation.item.created",
+      previous_item_id: previousItemId,
+      item: this.toApiItem(item),
+    });
+  }
+
+  /**
+   * Trunca o áudio de um item do assistente
+   * @param {Object} event - conversation.item.truncate
+   */
+  handleItemTruncate(event) {
+    const item = this.items.find((candidate) => candidate.id === event.item_id);
+    if (!item || item.role !== "assistant") {
+      this.sendError(
+        "invalid_value",
+        `Item de áudio do assistente não encontrado: ${event.item_id}`,
+        event.event_id
+      );
+      return;
+    }
+
+    this.send({
+      type: "conversation.item.truncated",
+      item_id: item.id,
+      content_index: event.content_index || 0,
+      audio_end_ms: event.audio_end_ms,
+    });
+  }
+
+  /**
+   * Remove um item da conversa
+   * @param {Object} event - conversation.item.delete
+   */
+  handleItemDelete(event) {
+    const index = this.items.findIndex((item) => item.id === event.item_id);
+    if (index === -1) {
+      this.sendError(
+        "invalid_value",
+        `Item não encontrado: ${event.item_id}`,
+        event.event_id
+      );
+      return;
+    }
+
+    this.items.splice(index, 1);
+    this.send({ type: "conversation.item.deleted", item_id: event.item_id });
+  }
+
+  /**
+   * Cria uma resposta a pedido do cliente
+   * @param {Object} event - response.create
+   */
+  handleResponseCreate(event) {
+    this.createResponse(event.response || {}, event.event_id);
+  }
+
+  /**
+   * Cancela a resposta indicada (ou a da conversa em andamento)
+   * @param {Object} event - response.cancel
+   */
+  handleResponseCancel(event) {
+    const response = this.activeResponse;
+    if (!response || (event.response_id && event.response_id !== response.id)) {
+      this.sendError(
+        "response_cancel_not_active",
+        "Nenhuma resposta ativa para cancelar",
+        event.event_id
+      );
+      return;
+    }
+
+    response.cancelled = true;
+    response.reason = "client_cancelled";
+  }
+
+  /**
+   * Próximo turno do cenário (ou a resposta padrão, que ecoa o usuário)
+   * @param {boolean} outOfBand - Resposta fora da conversa
+   * @returns {Object} Turno { text, functionCall, error, close, delayMs }
+   */
+  nextTurn(outOfBand) {
+    if (outOfBand) {
+      return { text: `Resumo simulado de ${this.items.length} itens.` };
+    }
+    if (this.turns.length > 0) {
+      return this.turns.shift();
+    }
+
+    const last = this.items[this.items.length - 1];
+    if (!last) {
+      return { text: "Olá! Este é o servidor Realtime simulado." };
+    }
+    if (last.type === "function_call_output") {
+      return { text: `A ferramenta retornou: ${last.output}` };
+    }
+
+    const part = (last.content || [])[0] || {};
+    if (part.type === "input_text") {
+      return { text: `Você disse: "${part.text}".` };
+    }
+    if (part.type === "input_audio") {
+      const seconds = ((last.durationMs || 0) / 1000).toFixed(1);
+      return { text: `Recebi ${seconds} segundos de áudio.` };
+    }
+    return { text: "Entendido." };
+  }
+
+  /**
+   * Cria e transmite uma resposta
+   * @param {Object} options - Campos de response.create
+   * @param {string|null} eventId - Evento do cliente (para erros)
+   */
+  createResponse(options, eventId) {
+    const outOfBand = options.conversation === "none";
+    if (!outOfBand && this.activeResponse) {
+      this.sendError(
+        "conversation_already_has_active_response",
+        `A conversa já tem uma resposta ativa: ${this.activeResponse.id}`,
+        eventId
+      );
+      return;
+    }
+
+    const turn = this.nextTurn(outOfBand);
+    if (turn.error) {
+      const { code, message, type } = turn.error;
+      this.sendError(code, message || "Erro do cenário", eventId, type);
+      return;
+    }
+    if (turn.close !== undefined) {
+      this.log(`Cenário encerrou a conexão (${turn.close || "queda"})`);
+      this.close(turn.close, "Encerrada pelo cenário");
+      return;
+    }
+
+    const response = {
+      id: this.generateId("resp"),
+      outOfBand,
+      modalities: options.modalities || this.session.modalities,
+      metadata: options.metadata || null,
+      cancelled: false,
+      reason: null,
+      output: [],
+    };
+    if (!outOfBand) {
+      this.activeResponse = response;
+    }
+
+    this.streamResponse(response, turn)
+      .catch((error) =>
+        this.log(`Erro ao transmitir resposta: ${error.message}`)
+      )
+      .finally(() => {
+        if (this.activeResponse === response) {
+          this.activeResponse = null;
+        }
+      });
+  }
+
+  /**
+   * Objeto response no formato da API
+   * @param {Object} response - Resposta interna
+   * @param {string} status - Status
+   * @returns {Object} Resposta
+   */
+  toApiResponse(response, status) {
+    const apiResponse = {
+      id: response.id,
+      object: "realtime.response",
+      status,
+      status_details: null,
+      output: response.output,
+      conversation_id: response.outOfBand ? null : this.conversationId,
+      modalities: response.modalities,
+      metadata: response.metadata,
+      usage: null,
+    };
+
+    if (status === "cancelled") {
+      apiResponse.status_details = {
+        type: "cancelled",
+        reason: response.reason,
+      };
+    }
+    if (status !== "in_progress") {
+      apiResponse.usage = this.estimateUsage(response);
+    }
+    return apiResponse;
+  }
+
+  /**
+   * Consome os limites de uso com uma resposta e informa o restante
+   * @param {Object} response - Resposta interna recém-criada
+   */
+  sendRateLimits(response) {
+    if (!this.rateLimits) return;
+
+    const { requests, tokens, windowSeconds } = this.rateLimits;
+    const now = Date.now();
+    if (now >= this.rateWindow.endsAt) {
+      this.rateWindow = {
+        endsAt: now + windowSeconds * 1000,
+        requests,
+        tokens,
+      };
+    }
+
+    // Reserva a entrada mais uma estimativa fixa da saída
+    const reserved = this.estimateUsage(response).input_tokens + 100;
+    this.rateWindow.requests = Math.max(0, this.rateWindow.requests - 1);
+    this.rateWindow.tokens = Math.max(0, this.rateWindow.tokens - reserved);
+
+    const resetSeconds = (this.rateWindow.endsAt - now) / 1000;
+    this.send({
+      type: "rate_limits.updated",
+      rate_limits: [
+        {
+          name: "requests",
+          limit: requests,
+          remaining: this.rateWindow.requests,
+          reset_seconds: resetSeconds,
+        },
+        {
+          name: "tokens",
+          limit: tokens,
+          remaining: this.rateWindow.tokens,
+          reset_seconds: resetSeconds,
+        },
+      ],
+    });
+  }
+
+  /**
+   * Estima o uso de tokens (uma palavra ~ um token)
+   * @param {Object} response - Resposta interna
+   * @returns {Object} Uso no formato da API
+   */
+  estimateUsage(response) {
+    const countWords = (text) =>
+      String(text || "")
+        .split(/\s+/)
+        .filter(Boolean).length;
+    const inputTokens = this.items.reduce(
+      (total, item) =>
+        total +
+        (item.content || []).reduce(
+          (sum, part) => sum + countWords(part.text || part.transcript),
+          0
+        ),
+      0
+    );
+    const outputTokens = response.output.reduce(
+      (total, item) =>
+        total +
+        countWords(item.arguments) +
+        (item.content || []).reduce(
+          (sum, part) => sum + countWords(part.text || part.transcript),
+          0
+        ),
+      0
+    );
+
+    return {
+      total_tokens: inputTokens + outputTokens,
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      input_token_details: { text_tokens: inputTokens, audio_tokens: 0 },
+      output_token_details: { text_tokens: outputTokens, audio_tokens: 0 },
+    };
+  }
+
+  /**
+   * Transmite os eventos de uma resposta
+   * @param {Object} response - Resposta interna
+   * @param {Object} turn - Turno do cenário
+   */
+  async streamResponse(response, turn) {
+    this.send({
+      type: "response.created",
+      response: this.toApiResponse(response, "in_progress"),
+    });
+    this.sendRateLimits(response);
+
+    // Atraso antes do primeiro delta (útil para testar respostas lentas),
+    // interrompido se a resposta for cancelada
+    const startsAt = Date.now() + (turn.delayMs || 0);
+    while (Date.now() < startsAt && !response.cancelled && !this.isClosed) {
+      await this.wait(Math.min(50, startsAt - Date.now()));
+    }
+
+    // Cancelada durante o atraso: conclui sem gerar saída
+    if (!response.cancelled) {
+      if (turn.functionCall) {
+        await this.streamFunctionCall(response, turn.functionCall);
+      } else {
+        await this.streamMessage(response, turn.text || "");
+      }
+    }
+
+    if (this.isClosed) return;
+
+    const status = response.cancelled ? "cancelled" : "completed";
+    this.send({
+      type: "response.done",
+      response: this.toApiResponse(response, status),
+    });
+  }
+
+  /**
+   * Adiciona um item de saída à resposta
+   * @param {Object} response - Resposta interna
+   * @param {Object} item - Item de saída
+   */
+  addOutputItem(response, item) {
+    const previousItemId = this.getLastItemId();
+    response.output.push(item);
+
+    this.send({
+      type: "response.output_item.added",
+      response_id: response.id,
+      output_index: response.output.length - 1,
+      item: this.toApiItem({ ...item, status: "in_progress" }),
+    });
+
+    if (!response.outOfBand) {
+      this.items.push(item);
+      this.send({
+        type: "conversation.item.created",
+        previous_item_id: previousItemId,
+        item: this.toApiItem({ ...item, status: "in_progress" }),
+      });
+    }
+  }
+
+  /**
+   * Conclui um item de saída
+   * @param {Object} response - Resposta interna
+   * @param {Object} item - Item de saída
+   */
+  finishOutputItem(response, item) {
+    item.status = response.cancelled ? "incomplete" : "completed";
+    this.send({
+      type: "response.output_item.done",
+      response_id: response.id,
+      output_index: response.output.indexOf(item),
+      item: this.toApiItem(item),
+    });
+  }
+
+  /**
+   * Transmite uma mensagem do assistente (texto ou áudio com transcrição)
+   * @param {Object} response - Resposta interna
+   * @param {string} text - Texto da mensagem
+   */
+  async streamMessage(response, text) {
+    const withAudio = response.modalities.includes("audio");
+    const item = {
+      id: this.generateId("item"),
+      type: "message",
+      role: "assistant",
+      status: "in_progress",
+      content: [],
+    };
+    this.addOutputItem(response, item);
+
+    const part = withAudio
+      ? { type: "audio", transcript: "" }
+      : { type: "text", text: "" };
+    const base = {
+      response_id: response.id,
+      item_id: item.id,
+      output_index: response.output.indexOf(item),
+      content_index: 0,
+    };
+    this.send({
+      type: "response.content_part.added",
+      ...base,
+      part: { ...part },
+    });
+    item.content.push(part);
+
+    const deltaType = withAudio
+      ? "response.audio_transcript.delta"
+      : "response.text.delta";
+    const words = text.split(/\s+/).filter(Boolean);
+
+    for (let index = 0; index < words.length; index++) {
+      if (response.cancelled || this.isClosed) break;
+
+      const delta = index === 0 ? words[index] : ` ${words[index]}`;
+      if (withAudio) {
+        part.transcript += delta;
+        this.send({
+          type: "response.audio.delta",
+          ...base,
+          delta: this.voice.toBase64(
+            this.voice.synthesizeWord(words[index], index)
+          ),
+        });
+      } else {
+        part.text += delta;
+      }
+      this.send({ type: deltaType, ...base, delta });
+
+      await this.wait(this.chunkIntervalMs);
+    }
+
+    if (this.isClosed) return;
+
+    if (withAudio) {
+      this.send({ type: "response.audio.done", ...base });
+      this.send({
+        type: "response.audio_transcript.done",
+        ...base,
+        transcript: part.transcript,
+      });
+    } else {
+      this.send({ type: "response.text.done", ...base, text: part.text });
+    }
+    this.send({
+      type: "response.content_part.done",
+      ...base,
+      part: { ...part },
+    });
+    this.finishOutputItem(response, item);
+  }
+
+  /**
+   * Transmite uma chamada de função
+   * @param {Object} response - Resposta interna
+   * @param {Object} functionCall - { name, arguments }
+   */
+  async streamFunctionCall(response, functionCall) {
+    const args =
+      typeof functionCall.arguments === "string"
+        ? functionCall.arguments
+        : JSON.stringify(functionCall.arguments || {});
+    const item = {
+      id: this.generateId("item"),
+      type: "function_call",
+      status: "in_progress",
+      call_id: this.generateId("call"),
+      name: functionCall.name,
+      arguments: "",
+    };
+    this.addOutputItem(response, item);
+
+    const base = {
+      response_id: response.id,
+      item_id: item.id,
+      output_index: response.output.indexOf(item),
+      call_id: item.call_id,
+    };
+
+    // Os argumentos chegam em pedaços, como no serviço real
+    for (let offset = 0; offset < args.length; offset += 16) {
+      if (response.cancelled || this.isClosed) break;
+
+      const delta = args.slice(offset, offset + 16);
+      item.arguments += delta;
+      this.send({
+        type: "response.function_call_arguments.delta",
+        ...base,
+        delta,
+      });
+      await this.wait(this.chunkIntervalMs);
+    }
+
+    if (this.isClosed) return;
+
+    this.send({
+      type: "response.function_call_arguments.done",
+      ...base,
+      name: item.name,
+      arguments: item.arguments,
+    });
+    this.finishOutputItem(response, item);
+  }
+}
+
+module.exports = { MockRealtimeSession };
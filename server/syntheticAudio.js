@@ -0,0 +1,126 @@
+/**
+ * SyntheticVoice - Áudio sintético para o servidor simulado
+ *
+ * Gera PCM16 mono a 24kHz que imita o ritmo da fala (um tom com envelope por
+ * palavra, separado por pausas curtas), para que o cliente receba deltas de
+ * áudio reais sem depender de um modelo de voz. Também oferece as conversões
+ * de base64 e a medida de energia usada pelo VAD simulado.
+ */
+class SyntheticVoice {
+  constructor(sampleRate = 24000) {
+    this.sampleRate = sampleRate;
+    this.msPerChar = 55; // Duração aproximada de cada letra
+    this.minWordMs = 120;
+    this.gapMs = 60; // Pausa entre palavras
+    this.amplitude = 0.3; // Em relação ao fundo de escala
+    this.baseFrequency = 180; // Hz (varia levemente a cada palavra)
+  }
+
+  /**
+   * Converte uma duração em número de amostras
+   * @param {number} ms - Duração em ms
+   * @returns {number} Amostras
+   */
+  msToSamples(ms) {
+    return Math.round((ms / 1000) * this.sampleRate);
+  }
+
+  /**
+   * Converte um número de amostras em duração
+   * @param {number} samples - Amostras
+   * @returns {number} Duração em ms
+   */
+  samplesToMs(samples) {
+    return Math.round((samples / this.sampleRate) * 1000);
+  }
+
+  /**
+   * Sintetiza uma palavra seguida da pausa
+   * @param {string} word - Palavra
+   * @param {number} index - Posição da palavra na frase (varia a altura)
+   * @returns {Int16Array} Amostras
+   */
+  synthesizeWord(word, index) {
+    const toneSamples = this.msToSamples(
+      Math.max(this.minWordMs, word.length * this.msPerChar)
+    );
+    const samples = new Int16Array(toneSamples + this.msToSamples(this.gapMs));
+    const frequency = this.baseFrequency + (index % 5) * 20;
+
+    for (let i = 0; i < toneSamples; i++) {
+      // Envelope senoidal: começa e termina em silêncio, sem estalos
+      const envelope = Math.sin((Math.PI * i) / toneSamples);
+      const phase = (2 * Math.PI * frequency * i) / this.sampleRate;
+      samples[i] = Math.round(
+        Math.sin(phase) * envelope * this.amplitude * 32767
+      );
+    }
+
+    return samples;
+  }
+
+  /**
+   * Sintetiza uma frase inteira
+   * @param {string} text - Texto
+   * @returns {Int16Array} Amostras
+   */
+  synthesize(text) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const parts = words.map((word, index) => this.synthesizeWord(word, index));
+    const output = new Int16Array(
+      parts.reduce((total, part) => total + part.length, 0)
+    );
+
+    let offset = 0;
+    parts.forEach((part) => {
+      output.set(part, offset);
+      offset += part.length;
+    });
+    return output;
+  }
+
+  /**
+   * Nível RMS de um trecho (0 a 1)
+   * @param {Int16Array} samples - Amostras
+   * @returns {number} Nível
+   */
+  rms(samples) {
+    if (samples.length === 0) return 0;
+
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const value = samples[i] / 32768;
+      sum += value * value;
+    }
+    return Math.sqrt(sum / samples.length);
+  }
+
+  /**
+   * Codifica amostras PCM16 em base64 (little-endian)
+   * @param {Int16Array} samples - Amostras
+   * @returns {string} Base64
+   */
+  toBase64(samples) {
+    return Buffer.from(
+      samples.buffer,
+      samples.byteOffset,
+      samples.byteLength
+    ).toString("base64");
+  }
+
+  /**
+   * Decodifica PCM16 em base64
+   * @param {string} base64 - Áudio codificado
+   * @returns {Int16Array} Amostras
+   */
+  fromBase64(base64) {
+    const bytes = Buffer.from(base64 || "", "base64");
+    const samples = new Int16Array(Math.floor(bytes.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = bytes.readInt16LE(i * 2);
+    }
+    return samples;
+  }
+}
+
+module.exports = { SyntheticVoice };
@@ -0,0 +1,175 @@
+/**
+ * Testes do AudioManager: conversões PCM e agendamento da reprodução
+ */
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createBrowserEnv, flushPromises } = require("./helpers/browserEnv");
+
+describe("AudioManager conversões PCM", () => {
+  const env = createBrowserEnv();
+  const audioManager = env.get("audioManager");
+  const { Float32Array, Int16Array, Uint8Array } = env.window;
+
+  it("converte os extremos e o zero de Float32 para PCM16", () => {
+    const pcm = audioManager.floatTo16BitPCM(new Float32Array([-1, 0, 1]));
+    assert.deepEqual(Array.from(pcm), [-32768, 0, 32767]);
+  });
+
+  it("limita valores fora do intervalo [-1, 1]", () => {
+    const pcm = audioManager.floatTo16BitPCM(new Float32Array([-3, 2.5]));
+    assert.deepEqual(Array.from(pcm), [-32768, 32767]);
+  });
+
+  it("mantém os valores PCM16 em uma ida e volta por Float32", () => {
+    const original = new Int16Array([-32768, -12345, -1, 0, 1, 12345, 32767]);
+
+    // A conversão para Int16 trunca, então positivos podem perder 1 unidade
+    const roundTrip = audioManager.floatTo16BitPCM(
+      audioManager.int16ToFloat32(original)
+    );
+    roundTrip.forEach((value, i) => {
+      assert.ok(
+        Math.abs(value - original[i]) <= 1,
+        `amostra ${i}: ${value} != ${original[i]}`
+      );
+    });
+    assert.equal(roundTrip[0], -32768);
+    assert.equal(roundTrip.at(-1), 32767);
+  });
+
+  it("mantém um sinal Float32 dentro da precisão de 16 bits", () => {
+    const signal = new Float32Array(480);
+    for (let i = 0; i < signal.length; i++) {
+      signal[i] = 0.8 * Math.sin((2 * Math.PI * 440 * i) / 24000);
+    }
+
+    const roundTrip = audioManager.int16ToFloat32(
+      audioManager.floatTo16BitPCM(signal)
+    );
+    for (let i = 0; i < signal.length; i++) {
+      assert.ok(
+        Math.abs(roundTrip[i] - signal[i]) <= 1 / 32767,
+        `amostra ${i}: ${roundTrip[i]} != ${signal[i]}`
+      );
+    }
+  });
+
+  it("lê bytes little-endian recebidos do servidor", () => {
+    // 0x4000 = 16384 e 0xC000 = -16384
+    const bytes = new Uint8Array([0x00, 0x40, 0x00, 0xc0]);
+    const samples = audioManager.int16ToFloat32(bytes);
+
+    assert.equal(samples.length, 2);
+    assert.ok(Math.abs(samples[0] - 16384 / 32767) < 1e-6);
+    assert.equal(samples[1], -0.5);
+  });
+
+  it("respeita o deslocamento de um Uint8Array que é parte de outro buffer", () => {
+    const backing = new Uint8Array([9, 9, 0xff, 0x7f, 0x01, 0x80]);
+    const samples = audioManager.int16ToFloat32(backing.subarray(2));
+
+    assert.deepEqual(Array.from(samples), [1, -32767 / 32768]);
+  });
+});
+
+describe("AudioManager reprodução", () => {
+  let env;
+  let audioManager;
+
+  // Um trecho de 100 ms a 24kHz, em bytes PCM16
+  const chunk = () => new env.window.Uint8Array(2400 * 2);
+
+  beforeEach(async () => {
+    env = createBrowserEnv();
+    audioManager = env.get("audioManager");
+    await audioManager.initialize();
+  });
+
+  it("agenda os trechos de um item em sequência, sem lacunas", async () => {
+    for (let i = 0; i < 5; i++) {
+      audioManager.enqueueAudio(chunk(), "item_1");
+    }
+    audioManager.markStreamEnded();
+    await flushPromises();
+
+    const sources = audioManager.audioContext.startedSources;
+    assert.ok(sources.length > 0, "nenhum trecho foi agendado");
+    for (let i = 1; i < sources.length; i++) {
+      const previous = sources[i - 1];
+      assert.ok(
+        Math.abs(
+          previous.startTime + previous.buffer.duration - sources[i].startTime
+        ) < 1e-9,
+        `lacuna entre os trechos ${i - 1} e ${i}`
+      );
+    }
+  });
+
+  // Reproduz um item até o fim, disparando o onended de cada trecho
+  async function playItem(itemId, chunks = 2) {
+    for (let i = 0; i < chunks; i++) {
+      audioManager.enqueueAudio(chunk(), itemId);
+    }
+    audioManager.markStreamEnded();
+    await flushPromises();
+
+    const context = audioManager.audioContext;
+    context.startedSources.forEach((source) => {
+      context.currentTime = source.startTime + source.buffer.duration;
+      if (source.onended) source.onended();
+    });
+  }
+
+  it("interrompe o item em andamento na posição ouvida", async () => {
+    for (let i = 0; i < 3; i++) {
+      audioManager.enqueueAudio(chunk(), "item_1");
+    }
+    await flushPromises();
+    const [first] = audioManager.audioContext.startedSources;
+    audioManager.audioContext.currentTime = first.startTime + 0.15;
+
+    const interrupted = audioManager.stopPlayback();
+    assert.equal(interrupted.itemId, "item_1");
+    assert.equal(interrupted.audioEndMs, 150);
+    assert.equal(interrupted.wasPlaying, true);
+  });
+
+  it("esquece o item que terminou de tocar", async () => {
+    await playItem("item_1");
+
+    assert.equal(audioManager.isPlaying, false);
+    assert.equal(audioManager.playbackItemId, null);
+    assert.equal(audioManager.stopPlayback(), null);
+  });
+
+  it("descarta o item seguinte antes de o primeiro áudio dele chegar", async () => {
+    await playItem("item_1");
+    audioManager.beginItem("item_2");
+
+    const interrupted = audioManager.stopPlayback();
+    assert.equal(interrupted.itemId, "item_2");
+    assert.equal(interrupted.audioEndMs, 0);
+    assert.deepEqual(Array.from(interrupted.discardedItemIds), ["item_2"]);
+
+    // O áudio do item ainda em trânsito é ignorado
+    const started = audioManager.audioContext.startedSources.length;
+    audioManager.enqueueAudio(chunk(), "item_2");
+    audioManager.markStreamEnded();
+    await flushPromises();
+    assert.equal(audioManager.audioContext.startedSources.length, started);
+  });
+
+  it("esquece os itens que terminaram ou foram descartados", async () => {
+    await playItem("item_1");
+    assert.equal(audioManager.playedMs.size, 0);
+
+    audioManager.enqueueAudio(chunk(), "item_2");
+    audioManager.stopPlayback();
+    assert.equal(audioManager.playedMs.size, 0);
+    assert.equal(audioManager.discardedItemIds.has("item_2"), true);
+
+    // O próximo item só chega depois que o áudio do descartado parou
+    audioManager.beginItem("item_3");
+    assert.equal(audioManager.discardedItemIds.size, 0);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Testes do ConnectionMonitor: medição de latência pelas confirmações
+ */
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createBrowserEnv } = require("./helpers/browserEnv");
+
+describe("ConnectionMonitor latência", () => {
+  let env;
+  let monitor;
+  let clock;
+
+  beforeEach(() => {
+    env = createBrowserEnv();
+    clock = 1000000;
+    env.window.Date.now = () => clock;
+    monitor = env.run("new ConnectionMonitor()");
+  });
+
+  it("mede a ida e volta da sonda", () => {
+    monitor.recordSent({ type: "session.update", event_id: "evt_1" });
+    clock += 120;
+    monitor.recordReceived({ type: "session.updated" });
+
+    assert.equal(monitor.lastLatencyMs, 120);
+    assert.equal(monitor.pendingAcks.length, 0);
+  });
+
+  it("não mede a latência com eventos que o servidor também gera sozinho", () => {
+    monitor.recordSent({ type: "response.create", event_id: "evt_1" });
+    clock += 50;
+    // response.created do VAD do servidor, não do pedido do cliente
+    monitor.recordReceived({
+      type: "response.created",
+      response: { id: "resp_vad" },
+    });
+    clock += 50;
+    monitor.recordReceived({
+      type: "conversation.item.created",
+      item: { id: "item_1" },
+    });
+
+    assert.equal(monitor.lastLatencyMs, null);
+    assert.equal(monitor.latencies.length, 0);
+  });
+});
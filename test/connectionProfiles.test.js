@@ -0,0 +1,58 @@
+/**
+ * Testes do ConnectionProfiles: onde o token de autenticação é guardado
+ */
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createBrowserEnv } = require("./helpers/browserEnv");
+
+describe("ConnectionProfiles tokens", () => {
+  let env;
+  let profiles;
+
+  beforeEach(() => {
+    env = createBrowserEnv();
+    profiles = env.get("connectionProfiles");
+  });
+
+  const storedProfile = (name) =>
+    JSON.parse(env.window.localStorage.getItem(profiles.storageKey)).profiles[
+      name
+    ];
+
+  const profile = (values) => ({
+    name: "api",
+    url: "wss://api.openai.com/v1/realtime",
+    authMethod: "subprotocol",
+    authToken: "sk-segredo",
+    ...values,
+  });
+
+  it("mantém o token fora do localStorage por padrão", () => {
+    assert.deepEqual(Array.from(profiles.saveProfile(profile())), []);
+
+    assert.equal(storedProfile("api").authToken, "");
+    assert.equal(profiles.getProfile("api").authToken, "sk-segredo");
+
+    // Uma nova instância na mesma aba recupera o token do sessionStorage
+    const reloaded = env.run("new ConnectionProfiles()");
+    assert.equal(reloaded.getProfile("api").authToken, "sk-segredo");
+  });
+
+  it("persiste o token quando o usuário pede para lembrá-lo", () => {
+    profiles.saveProfile(profile({ rememberToken: "on" }));
+
+    assert.equal(storedProfile("api").authToken, "sk-segredo");
+    assert.equal(storedProfile("api").rememberToken, true);
+  });
+
+  it("remove tokens salvos antes da opção de lembrar", () => {
+    env.window.localStorage.setItem(
+      profiles.storageKey,
+      JSON.stringify({ profiles: { api: profile() }, active: "api" })
+    );
+
+    const migrated = env.run("new ConnectionProfiles()");
+    assert.equal(storedProfile("api").authToken, "");
+    assert.equal(migrated.getProfile("api").authToken, "sk-segredo");
+  });
+});
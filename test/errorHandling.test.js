@@ -0,0 +1,331 @@
+/**
+ * Testes do tratamento de erros: classificação (transporte, protocolo e
+ * servidor), políticas de recuperação e notificações
+ */
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createBrowserEnv,
+  connectClient,
+  flushPromises,
+} = require("./helpers/browserEnv");
+
+describe("ErrorClassifier", () => {
+  const env = createBrowserEnv();
+  const classifier = env.run("new ErrorClassifier()");
+
+  const policyOf = (error) => classifier.server(error).policy;
+
+  it("classifica os erros do servidor pelo código", () => {
+    assert.equal(
+      policyOf({
+        type: "invalid_request_error",
+        code: "input_audio_buffer_commit_empty",
+      }),
+      "reset-buffer"
+    );
+    assert.equal(
+      policyOf({ type: "invalid_request_error", code: "session_expired" }),
+      "recreate-session"
+    );
+    assert.equal(
+      policyOf({
+        type: "invalid_request_error",
+        code: "response_cancel_not_active",
+      }),
+      "ignore"
+    );
+  });
+
+  it("usa o tipo quando o código não tem política própria", () => {
+    assert.equal(policyOf({ type: "server_error" }), "retry");
+    assert.equal(
+      policyOf({ type: "rate_limit_error", code: "outro" }),
+      "retry"
+    );
+    assert.equal(
+      policyOf({ type: "invalid_request_error", code: "unknown_parameter" }),
+      "surface"
+    );
+    assert.equal(policyOf({ type: "tipo_novo" }), "surface");
+  });
+
+  it("mantém a mensagem do servidor como detalhe", () => {
+    const error = classifier.server({
+      type: "invalid_request_error",
+      code: "session_expired",
+      message: "Your session hit the maximum duration",
+      event_id: "evt_1",
+    });
+
+    assert.equal(error.message, "A sessão expirou");
+    assert.equal(error.detail, "Your session hit the maximum duration");
+    assert.equal(error.eventId, "evt_1");
+  });
+});
+
+describe("WebSocketManager erros", () => {
+  let env;
+  let manager;
+  let socket;
+  let errors;
+
+  beforeEach(async () => {
+    env = createBrowserEnv();
+    manager = env.get("webSocketManager");
+    socket = await connectClient(env);
+    errors = [];
+    manager.onError = (error) => errors.push({ ...error });
+  });
+
+  // Evento de erro do servidor
+  const serverError = (error) => socket.receive({ type: "error", error });
+
+  it("trata o erro do socket como erro de transporte", () => {
+    socket.onerror({ type: "error" });
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].category, "transport");
+    assert.equal(errors[0].policy, "retry");
+
+    const logContent = env.window.document.getElementById("logContent");
+    assert.doesNotMatch(logContent.textContent, /object/);
+  });
+
+  it("descarta mensagens inválidas como erro de protocolo", () => {
+    socket.onmessage({ data: "{ inválido" });
+
+    assert.equal(errors[0].category, "protocol");
+    assert.equal(errors[0].kind, "invalid-json");
+
+    socket.receive({ type: "session.created", session: { id: "sess_1" } });
+    assert.equal(manager.sessionId, "sess_1");
+  });
+
+  it("reenvia o evento após um erro temporário do servidor", () => {
+    const eventId = manager.createResponse();
+    serverError({ type: "server_error", event_id: eventId });
+
+    assert.equal(errors[0].policy, "retry");
+    socket.sent.length = 0;
+
+    env.timers.tick(999);
+    assert.equal(socket.sent.length, 0);
+    env.timers.tick(1);
+
+    const [resent] = socket.sentEvents();
+    assert.equal(resent.type, "response.create");
+    assert.notEqual(resent.event_id, eventId);
+  });
+
+  it("desiste após o limite de tentativas", () => {
+    let eventId = manager.createResponse();
+    const delays = [];
+
+    for (let attempt = 0; attempt < manager.maxEventRetries; attempt++) {
+      serverError({ type: "server_error", event_id: eventId });
+      delays.push(env.timers.requestedDelays.at(-1));
+      env.timers.tick(delays.at(-1));
+      eventId = socket.sentEvents().pop().event_id;
+    }
+    serverError({ type: "server_error", event_id: eventId });
+
+    assert.deepEqual(delays, [1000, 2000, 4000]);
+    assert.equal(errors.at(-1).policy, "surface");
+    assert.match(errors.at(-1).message, /desistindo após 3 tentativas/);
+  });
+
+  it("espera a renovação do limite de uso antes de reenviar", () => {
+    env.window.Date.now = () => 1000000;
+    socket.receive({
+      type: "rate_limits.updated",
+      rate_limits: [
+        { name: "requests", limit: 100, remaining: 0, reset_seconds: 20 },
+      ],
+    });
+
+    // Pedido que saiu antes da atualização dos limites
+    const eventId = manager.sendMessage({
+      type: "response.create",
+      response: {},
+    });
+    const delays = env.timers.requestedDelays.length;
+    serverError({
+      type: "rate_limit_error",
+      code: "rate_limit_exceeded",
+      event_id: eventId,
+    });
+
+    assert.equal(env.timers.requestedDelays.length, delays + 1);
+    assert.equal(env.timers.requestedDelays.at(-1), 20000);
+  });
+
+  it("usa a espera sugerida na mensagem do servidor", () => {
+    const eventId = manager.createResponse();
+    serverError({
+      type: "rate_limit_error",
+      code: "rate_limit_exceeded",
+      message: "Rate limit reached. Please try again in 7.5s.",
+      event_id: eventId,
+    });
+
+    assert.equal(errors[0].retryAfterMs, 7500);
+    assert.equal(env.timers.requestedDelays.at(-1), 7500);
+  });
+
+  it("não reenvia a sonda de liveness que falhou", () => {
+    manager.sendProbe();
+    const probe = socket.sentEvents().pop();
+    socket.sent.length = 0;
+
+    serverError({ type: "server_error", event_id: probe.event_id });
+    env.timers.tick(manager.retryDelayMs * 8);
+
+    assert.equal(errors[0].policy, "ignore");
+    assert.equal(socket.sent.length, 0);
+  });
+
+  it("exibe o erro sem reenviar eventos que não podem ser repetidos", () => {
+    serverError({
+      type: "invalid_request_error",
+      code: "unknown_parameter",
+      message: "Unknown parameter: 'session.foo'",
+    });
+
+    assert.equal(errors[0].policy, "surface");
+    assert.equal(errors[0].message, "Unknown parameter: 'session.foo'");
+    assert.equal(env.timers.pendingCount(), 1); // Apenas o monitor
+  });
+
+  it("descarta o buffer de áudio quando o commit estava vazio", () => {
+    manager.appendAudioBuffer(new env.window.Int16Array([1, 2]));
+    serverError({
+      type: "invalid_request_error",
+      code: "input_audio_buffer_commit_empty",
+    });
+
+    assert.equal(manager.pendingAudioBuffers, 0);
+    assert.equal(socket.sentEvents().pop().type, "input_audio_buffer.clear");
+    assert.equal(errors[0].policy, "reset-buffer");
+  });
+
+  it("recria a sessão quando ela expira", async () => {
+    let lost = false;
+    manager.onConnectionLost = () => {
+      lost = true;
+    };
+
+    serverError({ type: "invalid_request_error", code: "session_expired" });
+
+    assert.equal(lost, true);
+    assert.equal(manager.isConnected, false);
+
+    env.timers.tick(manager.reconnectDelay);
+    await flushPromises();
+    assert.equal(env.FakeWebSocket.instances.length, 2);
+  });
+
+  it("repete o pedido de resposta ao fim da resposta em andamento", () => {
+    socket.receive({ type: "response.created", response: { id: "resp_1" } });
+    const eventId = manager.createResponse({ instructions: "Resuma" });
+    serverError({
+      type: "invalid_request_error",
+      code: "conversation_already_has_active_response",
+      event_id: eventId,
+    });
+    socket.sent.length = 0;
+
+    socket.receive({ type: "response.done", response: { id: "resp_1" } });
+
+    const [request] = socket.sentEvents();
+    assert.equal(request.type, "response.create");
+    assert.equal(request.response.instructions, "Resuma");
+  });
+
+  it("deixa os erros de pedidos fora da conversa para quem os fez", async () => {
+    const result = manager.createOutOfBandResponse({});
+    const request = socket.sentEvents().pop();
+    serverError({ type: "server_error", event_id: request.event_id });
+
+    await assert.rejects(result);
+    assert.equal(errors.length, 0);
+  });
+
+  it("informa quando as tentativas de reconexão se esgotam", async () => {
+    manager.maxReconnectAttempts = 1;
+    socket.drop();
+    env.timers.tick(manager.reconnectDelay);
+    await flushPromises();
+    env.FakeWebSocket.last().drop();
+
+    const last = errors.at(-1);
+    assert.equal(last.category, "transport");
+    assert.equal(last.kind, "reconnect");
+    assert.equal(last.policy, "surface");
+  });
+});
+
+describe("NotificationCenter", () => {
+  let env;
+  let center;
+  let container;
+
+  beforeEach(() => {
+    env = createBrowserEnv();
+    center = env.get("notificationCenter");
+    container = env.window.document.getElementById("notifications");
+  });
+
+  it("agrupa as notificações com a mesma chave", () => {
+    center.show({ key: "servidor", title: "Erro do servidor", message: "A" });
+    center.show({ key: "servidor", title: "Erro do servidor", message: "B" });
+
+    assert.equal(container.children.length, 1);
+    assert.equal(
+      container.querySelector(".notification-title").textContent,
+      "Erro do servidor (2x)"
+    );
+    assert.equal(
+      container.querySelector(".notification-message").textContent,
+      "B"
+    );
+  });
+
+  it("fecha avisos automaticamente, mas mantém os erros", () => {
+    center.show({ level: "warning", title: "Aviso" });
+    center.show({ level: "error", title: "Erro" });
+
+    env.timers.tick(center.timeoutMs);
+    assert.equal(container.children.length, 1);
+    assert.ok(container.firstChild.classList.contains("notification-error"));
+
+    container.querySelector(".notification-close").click();
+    assert.equal(container.children.length, 0);
+  });
+
+  it("executa a ação e fecha a notificação", () => {
+    let clicked = 0;
+    center.show({
+      level: "error",
+      title: "Conexão",
+      actions: [{ label: "Reconectar", onClick: () => clicked++ }],
+    });
+
+    container.querySelector(".notification-actions button").click();
+    assert.equal(clicked, 1);
+    assert.equal(container.children.length, 0);
+  });
+
+  it("limita a quantidade de notificações visíveis", () => {
+    for (let i = 0; i < center.maxVisible + 2; i++) {
+      center.show({ level: "error", title: `Erro ${i}` });
+    }
+
+    const titles = Array.from(
+      container.querySelectorAll(".notification-title"),
+      (element) => element.textContent
+    );
+    assert.equal(titles.length, center.maxVisible);
+    assert.equal(titles[0], "Erro 2");
+  });
+});
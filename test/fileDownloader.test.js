@@ -0,0 +1,61 @@
+/**
+ * Testes do FileDownloader e das exportações que o usam
+ */
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createBrowserEnv, connectClient } = require("./helpers/browserEnv");
+
+describe("FileDownloader", () => {
+  let env;
+  let downloads;
+  let revoked;
+
+  beforeEach(() => {
+    env = createBrowserEnv();
+    downloads = [];
+    revoked = [];
+
+    // O jsdom não implementa URLs de Blob nem a navegação do link
+    env.window.URL.createObjectURL = () => `blob:${downloads.length}`;
+    env.window.URL.revokeObjectURL = (url) => revoked.push(url);
+    env.window.HTMLAnchorElement.prototype.click = function () {
+      downloads.push({ href: this.href, filename: this.download });
+    };
+  });
+
+  it("monta o carimbo de data e hora dos nomes de arquivo", () => {
+    const stamp = env
+      .get("fileDownloader")
+      .timestamp(Date.UTC(2024, 4, 1, 10, 0, 5, 250));
+    assert.equal(stamp, "2024-05-01T10-00-05");
+  });
+
+  it("baixa o arquivo e libera a URL em seguida", () => {
+    const blob = new env.window.Blob(["a"], { type: "text/plain" });
+    env.get("fileDownloader").download(blob, "teste.txt");
+
+    assert.deepEqual(downloads, [{ href: "blob:0", filename: "teste.txt" }]);
+    env.timers.tick(0);
+    assert.deepEqual(revoked, ["blob:0"]);
+  });
+
+  it("é usado na exportação do inspetor de protocolo", () => {
+    const inspector = env.get("protocolInspector");
+    inspector.record("received", { type: "session.created" });
+
+    assert.equal(inspector.exportJSONL(), true);
+    assert.match(downloads[0].filename, /^eventos-.+\.jsonl$/);
+  });
+
+  it("é usado na exportação das métricas", async () => {
+    const socket = await connectClient(env);
+    socket.receive({ type: "response.created", response: { id: "resp_1" } });
+    socket.receive({
+      type: "response.done",
+      response: { id: "resp_1", status: "completed" },
+    });
+
+    assert.equal(env.get("turnMetrics").exportCSV(), true);
+    assert.match(downloads[0].filename, /^metricas-.+\.csv$/);
+  });
+});
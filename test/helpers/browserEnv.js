@@ -0,0 +1,92 @@
+/**
+ * Ambiente de navegador para os testes
+ *
+ * Carrega o index.html e os scripts do cliente (na mesma ordem da página) em
+ * uma janela do jsdom, com WebSocket, Web Audio e temporizadores simulados.
+ * Cada chamada cria uma janela nova, com instâncias globais novas.
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const { FakeWebSocket } = require("./fakeWebSocket");
+const { FakeAudioContext } = require("./fakeWebAudio");
+const { FakeTimers } = require("./fakeTimers");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+// app.js só conecta a interface aos módulos; os testes usam os módulos direto
+const SKIPPED_SCRIPTS = ["js/app.js"];
+
+/**
+ * Lista os scripts do index.html, na ordem de carregamento
+ * @param {string} html - Conteúdo do index.html
+ * @returns {Array<string>} Caminhos relativos
+ */
+function getScriptPaths(html) {
+  return Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g))
+    .map((match) => match[1])
+    .filter((src) => !SKIPPED_SCRIPTS.includes(src));
+}
+
+/**
+ * Cria uma janela com o cliente carregado
+ * @returns {Object} { window, timers, FakeWebSocket, get(name), run(code) }
+ */
+function createBrowserEnv() {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  const dom = new JSDOM(html.replace(/<script\b[^>]*><\/script>/g, ""), {
+    url: "http://localhost:3000/",
+    runScripts: "outside-only",
+    virtualConsole: new VirtualConsole(), // Silencia o console dos scripts
+  });
+  const { window } = dom;
+
+  const timers = new FakeTimers();
+  timers.install(window);
+  FakeWebSocket.reset();
+  window.WebSocket = FakeWebSocket;
+  window.AudioContext = FakeAudioContext;
+  // O jsdom não implementa CSS.escape (usado pelo chatView nos seletores)
+  window.CSS = { escape: (value) => String(value).replace(/["\\]/g, "\\$&") };
+
+  const context = dom.getInternalVMContext();
+  getScriptPaths(html).forEach((src) => {
+    const filename = path.join(ROOT, src);
+    new vm.Script(fs.readFileSync(filename, "utf8"), { filename }).runInContext(
+      context
+    );
+  });
+
+  return {
+    window,
+    timers,
+    FakeWebSocket,
+    // As instâncias globais (const) não são propriedades de window
+    get: (name) => vm.runInContext(name, context),
+    run: (code) => vm.runInContext(code, context),
+  };
+}
+
+/**
+ * Conecta o WebSocketManager a um FakeWebSocket já aberto
+ * @param {Object} env - Ambiente criado por createBrowserEnv
+ * @returns {Promise<FakeWebSocket>} Conexão aberta
+ */
+async function connectClient(env) {
+  await env.get("webSocketManager").connect();
+  const socket = env.FakeWebSocket.last();
+  socket.open();
+  return socket;
+}
+
+/**
+ * Conclui as promessas pendentes (ex.: connect() aguarda a resolução do
+ * perfil antes de abrir o WebSocket)
+ * @returns {Promise<void>}
+ */
+function flushPromises() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+module.exports = { createBrowserEnv, connectClient, flushPromises };
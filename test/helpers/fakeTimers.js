@@ -0,0 +1,89 @@
+/**
+ * FakeTimers - Temporizadores controlados pelo teste
+ *
+ * Substitui setTimeout/setInterval da janela do jsdom: nada dispara sozinho,
+ * e o teste avança o tempo com tick(). Os atrasos pedidos ficam registrados
+ * para verificar, por exemplo, o backoff da reconexão.
+ */
+class FakeTimers {
+  constructor() {
+    this.now = 0;
+    this.nextId = 1;
+    this.timers = new Map(); // id -> { callback, runAt, interval, delay }
+    this.requestedDelays = []; // Atrasos de setTimeout, na ordem
+  }
+
+  /**
+   * Instala os temporizadores na janela
+   * @param {Window} window - Janela do jsdom
+   */
+  install(window) {
+    window.setTimeout = (callback, delay = 0) =>
+      this.schedule(callback, delay, false);
+    window.setInterval = (callback, delay = 0) =>
+      this.schedule(callback, delay, true);
+    window.clearTimeout = (id) => this.timers.delete(id);
+    window.clearInterval = (id) => this.timers.delete(id);
+  }
+
+  /**
+   * Agenda um temporizador
+   * @param {Function} callback - Função
+   * @param {number} delay - Atraso (ms)
+   * @param {boolean} interval - Repetir
+   * @returns {number} ID
+   */
+  schedule(callback, delay, interval) {
+    const id = this.nextId++;
+    const safeDelay = Math.max(0, Number(delay) || 0);
+    if (!interval) this.requestedDelays.push(safeDelay);
+
+    this.timers.set(id, {
+      callback,
+      runAt: this.now + safeDelay,
+      interval,
+      delay: safeDelay,
+    });
+    return id;
+  }
+
+  /**
+   * Avança o relógio, disparando os temporizadores vencidos em ordem
+   * @param {number} ms - Tempo a avançar
+   */
+  tick(ms) {
+    const target = this.now + ms;
+
+    for (;;) {
+      let nextId = null;
+      let next = null;
+      this.timers.forEach((timer, id) => {
+        if (timer.runAt <= target && (!next || timer.runAt < next.runAt)) {
+          nextId = id;
+          next = timer;
+        }
+      });
+      if (!next) break;
+
+      this.now = next.runAt;
+      if (next.interval) {
+        next.runAt += Math.max(1, next.delay);
+      } else {
+        this.timers.delete(nextId);
+      }
+      next.callback();
+    }
+
+    this.now = target;
+  }
+
+  /**
+   * Quantidade de temporizadores pendentes
+   * @returns {number} Pendentes
+   */
+  pendingCount() {
+    return this.timers.size;
+  }
+}
+
+module.exports = { FakeTimers };
@@ -0,0 +1,103 @@
+/**
+ * FakeAudioContext - Web Audio simulado para os testes
+ *
+ * Implementa apenas o que o AudioManager usa na reprodução (buffers, fontes
+ * agendadas e ganho). O relógio (currentTime) é avançado pelo próprio teste.
+ */
+class FakeAudioParam {
+  constructor(value) {
+    this.value = value;
+  }
+
+  cancelScheduledValues() {}
+
+  setValueAtTime(value) {
+    this.value = value;
+  }
+
+  linearRampToValueAtTime(value) {
+    this.value = value;
+  }
+}
+
+class FakeAudioNode {
+  connect(destination) {
+    this.destination = destination;
+    return destination;
+  }
+
+  disconnect() {
+    this.destination = null;
+  }
+}
+
+class FakeAudioBuffer {
+  constructor(channels, length, sampleRate) {
+    this.numberOfChannels = channels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.duration = length / sampleRate;
+    this.channels = Array.from(
+      { length: channels },
+      () => new Float32Array(length)
+    );
+  }
+
+  getChannelData(channel) {
+    return this.channels[channel];
+  }
+}
+
+class FakeBufferSource extends FakeAudioNode {
+  constructor(context) {
+    super();
+    this.context = context;
+    this.buffer = null;
+    this.onended = null;
+    this.startTime = null;
+    this.stopTime = null;
+  }
+
+  start(when = 0) {
+    this.startTime = when;
+    this.context.startedSources.push(this);
+  }
+
+  stop(when = 0) {
+    this.stopTime = when;
+  }
+}
+
+class FakeAudioContext {
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 44100;
+    this.currentTime = 0;
+    this.state = "running";
+    this.destination = new FakeAudioNode();
+    this.startedSources = []; // Fontes iniciadas, na ordem
+  }
+
+  createBuffer(channels, length, sampleRate) {
+    return new FakeAudioBuffer(channels, length, sampleRate);
+  }
+
+  createBufferSource() {
+    return new FakeBufferSource(this);
+  }
+
+  createGain() {
+    const gain = new FakeAudioNode();
+    gain.gain = new FakeAudioParam(1);
+    return gain;
+  }
+
+  async resume() {
+    this.state = "running";
+  }
+
+  async close() {
+    this.state = "closed";
+  }
+}
+
+module.exports = { FakeAudioContext };
@@ -0,0 +1,108 @@
+/**
+ * FakeWebSocket - WebSocket simulado para os testes
+ *
+ * Guarda as mensagens enviadas e permite que o teste abra, entregue eventos
+ * do servidor e derrube a conexão no momento que quiser.
+ */
+class FakeWebSocket {
+  constructor(url, protocols) {
+    this.url = url;
+    this.protocols = protocols;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+
+    this.onopen = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.onmessage = null;
+
+    FakeWebSocket.instances.push(this);
+  }
+
+  /**
+   * Envia uma mensagem (somente com a conexão aberta, como no navegador)
+   * @param {string} data - Conteúdo
+   */
+  send(data) {
+    if (this.readyState !== FakeWebSocket.OPEN) {
+      throw new Error("InvalidStateError: o WebSocket não está aberto");
+    }
+    this.sent.push(data);
+  }
+
+  /**
+   * Fecha a conexão a pedido do cliente
+   * @param {number} [code] - Código de fechamento
+   * @param {string} [reason] - Motivo
+   */
+  close(code = 1000, reason = "") {
+    if (this.readyState === FakeWebSocket.CLOSED) return;
+
+    this.readyState = FakeWebSocket.CLOSED;
+    if (this.onclose) {
+      this.onclose({ code, reason, wasClean: code === 1000 });
+    }
+  }
+
+  /**
+   * Simula a abertura da conexão pelo servidor
+   */
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    if (this.onopen) {
+      this.onopen({ type: "open" });
+    }
+  }
+
+  /**
+   * Simula um evento enviado pelo servidor
+   * @param {Object} event - Evento do protocolo
+   */
+  receive(event) {
+    if (this.onmessage) {
+      this.onmessage({ data: JSON.stringify(event) });
+    }
+  }
+
+  /**
+   * Simula uma queda da conexão
+   * @param {number} [code] - Código de fechamento (padrão: 1006, anormal)
+   */
+  drop(code = 1006) {
+    this.readyState = FakeWebSocket.CLOSED;
+    if (this.onclose) {
+      this.onclose({ code, reason: "", wasClean: false });
+    }
+  }
+
+  /**
+   * Mensagens enviadas, já interpretadas
+   * @returns {Array<Object>} Eventos
+   */
+  sentEvents() {
+    return this.sent.map((data) => JSON.parse(data));
+  }
+
+  /**
+   * Último WebSocket criado
+   * @returns {FakeWebSocket|undefined} Instância
+   */
+  static last() {
+    return FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+  }
+
+  /**
+   * Descarta as instâncias criadas
+   */
+  static reset() {
+    FakeWebSocket.instances = [];
+  }
+}
+
+FakeWebSocket.CONNECTING = 0;
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.CLOSING = 2;
+FakeWebSocket.CLOSED = 3;
+FakeWebSocket.instances = [];
+
+module.exports = { FakeWebSocket };
@@ -0,0 +1,86 @@
+/**
+ * Testes do Logger: níveis, limite de entradas e limpeza
+ */
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createBrowserEnv } = require("./helpers/browserEnv");
+
+describe("Logger", () => {
+  let env;
+  let logger;
+  let container;
+
+  beforeEach(() => {
+    env = createBrowserEnv();
+    logger = env.get("logger");
+    container = env.window.document.getElementById("logContent");
+    container.innerHTML = "";
+  });
+
+  const messages = () =>
+    Array.from(container.querySelectorAll(".log-message")).map(
+      (element) => element.textContent
+    );
+
+  it("marca cada entrada com o nível", () => {
+    logger.info("a");
+    logger.success("b");
+    logger.warning("c");
+    logger.error("d");
+
+    const levels = Array.from(container.children).map(
+      (entry) => entry.classList[1]
+    );
+    assert.deepEqual(levels, [
+      "log-info",
+      "log-success",
+      "log-warning",
+      "log-error",
+    ]);
+  });
+
+  it("descarta as entradas mais antigas além do limite", () => {
+    const total = logger.maxEntries + 50;
+    for (let i = 0; i < total; i++) {
+      logger.info(`mensagem ${i}`);
+    }
+
+    const logged = messages();
+    assert.equal(logged.length, logger.maxEntries);
+    assert.equal(logged[0], "mensagem 50");
+    assert.equal(logged.at(-1), `mensagem ${total - 1}`);
+  });
+
+  it("respeita um limite alterado", () => {
+    logger.maxEntries = 3;
+    ["a", "b", "c", "d", "e"].forEach((message) => logger.info(message));
+
+    assert.deepEqual(messages(), ["c", "d", "e"]);
+  });
+
+  it("resume eventos em logObject", () => {
+    logger.logObject(
+      { type: "response.done", event_id: "ev_1", response: { output: [] } },
+      "Recebido"
+    );
+
+    assert.deepEqual(messages(), [
+      'Recebido: {"type":"response.done","event_id":"ev_1"}',
+    ]);
+  });
+
+  it("deixa apenas o aviso de limpeza ao limpar", () => {
+    logger.info("a");
+    logger.info("b");
+    logger.clear();
+
+    assert.deepEqual(messages(), ["Log limpo"]);
+  });
+
+  it("ignora os logs quando o contêiner não existe", () => {
+    const Logger = env.get("Logger");
+    const detached = new Logger("naoExiste");
+
+    assert.doesNotThrow(() => detached.info("sem contêiner"));
+  });
+});
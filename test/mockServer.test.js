@@ -0,0 +1,167 @@
+/**
+ * Testes do servidor Realtime simulado: uma conexão real com um cliente ws
+ * percorrendo o fluxo da sessão, do commit à resposta, e um erro injetado
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const WebSocket = require("ws");
+const {
+  MockRealtimeServer,
+  parseFailRule,
+} = require("../server/mockRealtimeServer");
+
+/**
+ * Conecta um cliente e guarda os eventos recebidos
+ * @param {number} port - Porta do servidor
+ * @returns {Promise<Object>} Cliente { socket, events, send, waitFor, ofType }
+ */
+function connect(port) {
+  const socket = new WebSocket(`ws://localhost:${port}/`, ["realtime"]);
+  const events = [];
+  const waiting = [];
+
+  socket.on("message", (data) => {
+    const event = JSON.parse(data.toString());
+    events.push(event);
+    waiting
+      .filter((entry) => entry.type === event.type)
+      .forEach((entry) => {
+        waiting.splice(waiting.indexOf(entry), 1);
+        entry.resolve(event);
+      });
+  });
+
+  const client = {
+    socket,
+    events,
+    send: (event) => socket.send(JSON.stringify(event)),
+    // Próximo evento do tipo (ou o já recebido que ainda não foi consumido)
+    waitFor: (type) => {
+      const index = events.findIndex((event) => event.type === type);
+      if (index !== -1) {
+        return Promise.resolve(events.splice(index, 1)[0]);
+      }
+      return new Promise((resolve) =>
+        waiting.push({
+          type,
+          resolve: (event) => {
+            events.splice(events.indexOf(event), 1);
+            resolve(event);
+          },
+        })
+      );
+    },
+    ofType: (type) => events.filter((event) => event.type === type),
+  };
+
+  return new Promise((resolve, reject) => {
+    socket.once("open", () => resolve(client));
+    socket.once("error", reject);
+  });
+}
+
+describe("MockRealtimeServer", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = new MockRealtimeServer({
+      port: 0, // Porta livre escolhida pelo sistema
+      quiet: true,
+      chunkIntervalMs: 1,
+      failRules: [parseFailRule("conversation.item.delete:server_error:1")],
+    });
+    const port = await server.start();
+    client = await connect(port);
+  });
+
+  after(async () => {
+    client.socket.close();
+    await server.stop();
+  });
+
+  it("abre a sessão e a conversa", async () => {
+    const created = await client.waitFor("session.created");
+    const conversation = await client.waitFor("conversation.created");
+
+    assert.match(created.session.id, /^sess_/);
+    assert.deepEqual(created.session.modalities, ["text", "audio"]);
+    assert.equal(conversation.conversation.object, "realtime.conversation");
+  });
+
+  it("confirma o buffer de áudio como item do usuário", async () => {
+    // Sem VAD do servidor, o commit fica a cargo do cliente
+    client.send({ type: "session.update", session: { turn_detection: null } });
+    await client.waitFor("session.updated");
+
+    client.send({
+      type: "input_audio_buffer.append",
+      audio: Buffer.alloc(4800).toString("base64"), // 100 ms de silêncio
+    });
+    client.send({ type: "input_audio_buffer.commit" });
+
+    const committed = await client.waitFor("input_audio_buffer.committed");
+    const item = await client.waitFor("conversation.item.created");
+
+    assert.equal(item.item.id, committed.item_id);
+    assert.equal(item.item.role, "user");
+    assert.equal(item.item.content[0].type, "input_audio");
+  });
+
+  it("transmite a resposta com deltas de texto e áudio", async () => {
+    client.send({ type: "response.create", response: {} });
+
+    const created = await client.waitFor("response.created");
+    const done = await client.waitFor("response.done");
+
+    const transcript = client
+      .ofType("response.audio_transcript.delta")
+      .map((event) => event.delta)
+      .join("");
+    const audioDeltas = client.ofType("response.audio.delta");
+
+    assert.equal(done.response.id, created.response.id);
+    assert.equal(done.response.status, "completed");
+    assert.equal(transcript, "Recebi 0.1 segundos de áudio.");
+    assert.ok(audioDeltas.length > 0);
+    assert.ok(audioDeltas.every((event) => event.delta.length > 0));
+    assert.equal(
+      done.response.output[0].content[0].transcript,
+      "Recebi 0.1 segundos de áudio."
+    );
+  });
+
+  it("transmite apenas texto quando a resposta pede só texto", async () => {
+    client.events.length = 0;
+    client.send({
+      type: "response.create",
+      response: { modalities: ["text"] },
+    });
+
+    const done = await client.waitFor("response.done");
+    const text = client
+      .ofType("response.text.delta")
+      .map((event) => event.delta)
+      .join("");
+
+    assert.equal(done.response.status, "completed");
+    assert.equal(text, done.response.output[0].content[0].text);
+    assert.ok(text.length > 0);
+    assert.equal(client.ofType("response.audio.delta").length, 0);
+  });
+
+  it("injeta o erro com o event_id do evento do cliente", async () => {
+    client.send({
+      event_id: "evt_cliente_1",
+      type: "conversation.item.delete",
+      item_id: "item_inexistente",
+    });
+
+    const { error } = await client.waitFor("error");
+
+    assert.equal(error.type, "server_error");
+    assert.equal(error.code, "server_error");
+    assert.equal(error.event_id, "evt_cliente_1");
+    assert.match(error.message, /conversation\.item\.delete/);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Testes do ProtocolInspector: retenção dos eventos e do áudio em base64
+ */
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createBrowserEnv } = require("./helpers/browserEnv");
+
+describe("ProtocolInspector retenção", () => {
+  let env;
+  let inspector;
+
+  beforeEach(() => {
+    env = createBrowserEnv();
+    inspector = env.get("protocolInspector");
+  });
+
+  const audio = "A".repeat(4000);
+  const audioDelta = () => ({
+    type: "response.audio.delta",
+    response_id: "resp_1",
+    delta: audio,
+  });
+
+  it("guarda todos os eventos, além dos exibidos", () => {
+    inspector.displayLimit = 3;
+    for (let i = 0; i < 5; i++) {
+      inspector.record("received", { type: "response.text.delta", delta: i });
+    }
+
+    const deltas = Array.from(inspector.events, (event) => event.data.delta);
+    assert.deepEqual(deltas, [0, 1, 2, 3, 4]);
+    assert.equal(inspector.container.children.length, 3);
+  });
+
+  it("guarda o áudio abreviado, mas entrega o payload completo à captura", () => {
+    const recorded = [];
+    inspector.onRecord = (event) => recorded.push(event);
+
+    inspector.record("received", audioDelta());
+    inspector.record("sent", { type: "input_audio_buffer.append", audio });
+
+    assert.equal(inspector.events[0].data.delta, "<áudio base64: 3000 bytes>");
+    assert.equal(inspector.events[1].data.audio, "<áudio base64: 3000 bytes>");
+    assert.equal(recorded[0].data.delta, audio);
+  });
+
+  it("guarda o áudio completo quando a opção está ligada", () => {
+    inspector.setKeepAudio(true);
+    inspector.record("received", audioDelta());
+
+    assert.equal(inspector.events[0].data.delta, audio);
+  });
+});
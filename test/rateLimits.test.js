@@ -0,0 +1,191 @@
+/**
+ * Testes dos limites de uso: RateLimitTracker e a pausa dos pedidos de
+ * resposta no WebSocketManager
+ */
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createBrowserEnv, connectClient } = require("./helpers/browserEnv");
+
+// Evento rate_limits.updated com os valores restantes e a renovação em segundos
+function rateLimitsEvent(requests, tokens, resetSeconds = 10) {
+  return {
+    type: "rate_limits.updated",
+    rate_limits: [
+      {
+        name: "requests",
+        limit: 100,
+        remaining: requests,
+        reset_seconds: resetSeconds,
+      },
+      {
+        name: "tokens",
+        limit: 10000,
+        remaining: tokens,
+        reset_seconds: resetSeconds,
+      },
+    ],
+  };
+}
+
+describe("RateLimitTracker", () => {
+  let env;
+  let tracker;
+  let clock;
+
+  beforeEach(() => {
+    env = createBrowserEnv();
+    clock = 1000000;
+    env.window.Date.now = () => clock;
+    tracker = env.run("new RateLimitTracker()");
+  });
+
+  it("guarda os limites com o instante de renovação", () => {
+    tracker.update(rateLimitsEvent(90, 8000, 2.5).rate_limits);
+
+    const limits = Array.from(tracker.getLimits(), (limit) => ({ ...limit }));
+    assert.deepEqual(limits, [
+      { name: "requests", limit: 100, remaining: 90, resetAt: 1002500 },
+      { name: "tokens", limit: 10000, remaining: 8000, resetAt: 1002500 },
+    ]);
+    assert.equal(tracker.isThrottled(), false);
+  });
+
+  it("pausa quando algum limite cai abaixo da reserva", () => {
+    tracker.update(rateLimitsEvent(50, 500).rate_limits);
+    assert.equal(tracker.isThrottled(), true);
+
+    tracker.update(rateLimitsEvent(5, 9000).rate_limits);
+    assert.equal(tracker.isThrottled(), true);
+
+    tracker.update(rateLimitsEvent(6, 501).rate_limits);
+    assert.equal(tracker.isThrottled(), false);
+  });
+
+  it("considera renovado o limite cujo prazo passou", () => {
+    tracker.update(rateLimitsEvent(0, 0, 3).rate_limits);
+    assert.equal(tracker.getWaitMs(), 3000);
+
+    clock += 3000;
+    assert.equal(tracker.isThrottled(), false);
+    assert.equal(tracker.getWaitMs(), 0);
+  });
+});
+
+describe("WebSocketManager limites de uso", () => {
+  let env;
+  let manager;
+  let socket;
+  let clock;
+
+  beforeEach(async () => {
+    env = createBrowserEnv();
+    manager = env.get("webSocketManager");
+    socket = await connectClient(env);
+    socket.receive({ type: "session.created", session: { id: "sess_1" } });
+    socket.sent.length = 0;
+
+    clock = 1000000;
+    env.window.Date.now = () => clock;
+  });
+
+  const sentTypes = () => socket.sentEvents().map((event) => event.type);
+
+  // Avança o relógio do sistema e os temporizadores juntos
+  function advance(ms) {
+    clock += ms;
+    env.timers.tick(ms);
+  }
+
+  it("informa os limites e o estado da pausa", () => {
+    const calls = [];
+    manager.onRateLimitsChanged = (limits, state) =>
+      calls.push({ count: limits.length, ...state });
+
+    socket.receive(rateLimitsEvent(1, 9000, 5));
+
+    assert.deepEqual(calls.at(-1), {
+      count: 2,
+      isThrottled: true,
+      queued: 0,
+      resumeAt: 1005000,
+    });
+  });
+
+  it("desliga as respostas automáticas do VAD durante a pausa", () => {
+    socket.receive(rateLimitsEvent(1, 9000, 5));
+
+    const update = socket.sentEvents().pop();
+    assert.equal(update.type, "session.update");
+    assert.equal(update.session.turn_detection.create_response, false);
+
+    advance(5000);
+    const restored = socket.sentEvents().pop();
+    assert.equal(restored.type, "session.update");
+    assert.equal(restored.session.turn_detection.create_response, undefined);
+  });
+
+  it("retém os pedidos de resposta e os envia após a renovação", () => {
+    socket.receive(rateLimitsEvent(1, 9000, 5));
+    socket.sent.length = 0;
+
+    manager.sendTextMessage("Primeira");
+    manager.sendTextMessage("Segunda");
+    assert.deepEqual(sentTypes(), [
+      "conversation.item.create",
+      "conversation.item.create",
+    ]);
+    // Turnos seguidos são respondidos por um único pedido
+    assert.equal(manager.queuedResponses.length, 1);
+
+    advance(4999);
+    assert.equal(sentTypes().includes("response.create"), false);
+
+    advance(1);
+    assert.equal(sentTypes().filter((t) => t === "response.create").length, 1);
+    assert.equal(manager.queuedResponses.length, 0);
+  });
+
+  it("enfileira o turno confirmado pelo VAD do servidor", () => {
+    socket.receive(rateLimitsEvent(1, 9000, 5));
+    socket.receive({ type: "input_audio_buffer.committed", item_id: "item_1" });
+
+    assert.equal(manager.queuedResponses.length, 1);
+  });
+
+  it("espera a resposta em andamento antes de enviar o próximo pedido", () => {
+    socket.receive({ type: "response.created", response: { id: "resp_1" } });
+    socket.receive(rateLimitsEvent(1, 9000, 5));
+    manager.createResponse({ instructions: "Continue" });
+
+    advance(5000);
+    assert.equal(manager.queuedResponses.length, 1);
+
+    socket.receive({ type: "response.done", response: { id: "resp_1" } });
+    const request = socket.sentEvents().pop();
+    assert.equal(request.type, "response.create");
+    assert.equal(request.response.instructions, "Continue");
+  });
+
+  it("continua pausado se os limites ainda estiverem baixos na renovação", () => {
+    socket.receive(rateLimitsEvent(1, 9000, 5));
+    manager.createResponse();
+
+    advance(2000);
+    socket.receive(rateLimitsEvent(0, 9000, 10));
+    advance(3000);
+    assert.equal(manager.isThrottled, true);
+    assert.equal(manager.queuedResponses.length, 1);
+
+    advance(7000);
+    assert.equal(manager.isThrottled, false);
+    assert.equal(manager.queuedResponses.length, 0);
+  });
+
+  it("descarta a fila quando a conexão cai", () => {
+    socket.receive(rateLimitsEvent(1, 9000, 5));
+    manager.createResponse();
+    socket.drop();
+
+    assert.equal(manager.queuedResponses.length, 0);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Testes do TurnMetrics: medições por turno, percentis e exportação CSV
+ */
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createBrowserEnv, connectClient } = require("./helpers/browserEnv");
+
+describe("TurnMetrics", () => {
+  let env;
+  let metrics;
+  let socket;
+  let clock;
+
+  beforeEach(async () => {
+    env = createBrowserEnv();
+    metrics = env.get("turnMetrics");
+    socket = await connectClient(env);
+
+    // Relógio controlado pelo teste
+    clock = 1000000;
+    env.window.Date.now = () => clock;
+  });
+
+  // Simula uma resposta de áudio completa, avançando o relógio entre os eventos
+  function playTurn(responseId, { created, text, audio, done, usage }) {
+    const base = { response_id: responseId, item_id: `item_${responseId}` };
+
+    clock += created;
+    socket.receive({ type: "response.created", response: { id: responseId } });
+    clock += text;
+    socket.receive({
+      type: "response.audio_transcript.delta",
+      delta: "Oi",
+      ...base,
+    });
+    socket.receive({ type: "response.audio.delta", delta: "AAAA", ...base });
+    metrics.recordAudible(base.item_id, clock + audio);
+    clock += done;
+    socket.receive({
+      type: "response.done",
+      response: { id: responseId, status: "completed", usage },
+    });
+  }
+
+  it("mede as latências a partir do fim da fala", () => {
+    socket.receive({
+      type: "input_audio_buffer.speech_stopped",
+      audio_end_ms: 1200,
+    });
+    playTurn("resp_1", {
+      created: 300,
+      text: 200,
+      audio: 150,
+      done: 1000,
+      usage: {
+        input_tokens: 40,
+        output_tokens: 60,
+        total_tokens: 100,
+        input_token_details: { cached_tokens: 10, audio_tokens: 30 },
+        output_token_details: { audio_tokens: 50 },
+      },
+    });
+
+    const [turn] = metrics.turns;
+    assert.equal(turn.trigger, "fim da fala");
+    assert.equal(turn.createdMs, 300);
+    assert.equal(turn.firstTextMs, 500);
+    assert.equal(turn.firstAudioMs, 650);
+    assert.equal(turn.totalMs, 1500);
+    assert.equal(turn.status, "completed");
+    assert.deepEqual(
+      { ...turn.usage },
+      {
+        inputTokens: 40,
+        outputTokens: 60,
+        totalTokens: 100,
+        cachedTokens: 10,
+        inputAudioTokens: 30,
+        outputAudioTokens: 50,
+      }
+    );
+  });
+
+  it("inicia o turno no pedido de resposta enviado", () => {
+    env.get("webSocketManager").sendTextMessage("Olá");
+    clock += 400;
+    socket.receive({ type: "response.created", response: { id: "resp_t" } });
+
+    assert.equal(metrics.turns[0].trigger, "pedido");
+    assert.equal(metrics.turns[0].createdMs, 400);
+  });
+
+  it("ignora respostas fora da conversa", () => {
+    const manager = env.get("webSocketManager");
+    manager.createOutOfBandResponse({}).catch(() => {});
+    const request = socket.sentEvents().pop();
+
+    socket.receive({
+      type: "response.created",
+      response: {
+        id: "resp_oob",
+        metadata: {
+          client_request_id: request.response.metadata.client_request_id,
+        },
+      },
+    });
+
+    assert.equal(metrics.turns.length, 0);
+    assert.equal(metrics.pendingStart, null);
+  });
+
+  it("calcula p50 e p95 da sessão e soma os tokens", () => {
+    [100, 200, 300, 400, 1000].forEach((created, i) => {
+      socket.receive({ type: "input_audio_buffer.speech_stopped" });
+      playTurn(`resp_${i}`, {
+        created,
+        text: 10,
+        audio: 10,
+        done: 10,
+        usage: { input_tokens: 1, output_tokens: 2, total_tokens: 3 },
+      });
+    });
+
+    const summary = metrics.getSummary();
+    assert.equal(summary.turns, 5);
+    assert.equal(summary.latencies.createdMs.p50, 300);
+    assert.equal(summary.latencies.createdMs.p95, 1000);
+    assert.deepEqual(
+      { ...summary.usage },
+      { inputTokens: 5, outputTokens: 10, totalTokens: 15 }
+    );
+  });
+
+  it("exporta uma linha CSV por turno", () => {
+    socket.receive({ type: "input_audio_buffer.speech_stopped" });
+    playTurn("resp_1", { created: 100, text: 50, audio: 0, done: 500 });
+
+    const [header, row, extra] = metrics.toCSV().split("\n");
+    assert.match(header, /^turno,response_id,inicio,gatilho,/);
+    assert.match(row, /^1,resp_1,.+,fim da fala,100,150,150,650,completed,/);
+    assert.equal(extra, undefined);
+  });
+
+  it("exibe os agregados e os turnos no painel", () => {
+    const container = env.window.document.getElementById("metricsContent");
+    assert.match(container.textContent, /Nenhum turno medido/);
+
+    socket.receive({ type: "input_audio_buffer.speech_stopped" });
+    playTurn("resp_1", { created: 100, text: 50, audio: 0, done: 500 });
+
+    assert.equal(container.querySelectorAll(".metrics-table").length, 2);
+    assert.match(container.textContent, /Tokens da sessão/);
+  });
+});
@@ -0,0 +1,426 @@
+/**
+ * Testes do WebSocketManager: despacho das mensagens, backoff da reconexão,
+ * contagem do buffer de áudio e conversões base64
+ */
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createBrowserEnv,
+  connectClient,
+  flushPromises,
+} = require("./helpers/browserEnv");
+
+describe("WebSocketManager.handleMessage", () => {
+  let env;
+  let manager;
+  let socket;
+
+  beforeEach(async () => {
+    env = createBrowserEnv();
+    manager = env.get("webSocketManager");
+    socket = await connectClient(env);
+  });
+
+  it("registra a sessão e envia a configuração em session.created", () => {
+    socket.receive({ type: "session.created", session: { id: "sess_1" } });
+
+    assert.equal(manager.sessionId, "sess_1");
+    const update = socket
+      .sentEvents()
+      .find((event) => event.type === "session.update");
+    assert.ok(update, "session.update não foi enviado");
+    assert.equal(update.session.input_audio_format, "pcm16");
+    assert.equal(update.session.turn_detection.type, "server_vad");
+  });
+
+  it("entrega deltas e o texto final com a origem da resposta", () => {
+    const calls = [];
+    manager.onTextResponse = (text, isDone, source) =>
+      calls.push({ text, isDone, ...source });
+
+    const base = { response_id: "resp_1", item_id: "item_1" };
+    socket.receive({ type: "response.text.delta", delta: "Olá", ...base });
+    socket.receive({ type: "response.text.done", text: "Olá!", ...base });
+
+    assert.deepEqual(calls, [
+      { text: "Olá", isDone: false, responseId: "resp_1", itemId: "item_1" },
+      { text: "Olá!", isDone: true, responseId: "resp_1", itemId: "item_1" },
+    ]);
+  });
+
+  it("decodifica o áudio recebido e sinaliza o fim do streaming", () => {
+    const calls = [];
+    manager.onAudioResponse = (bytes, isDone, itemId) =>
+      calls.push({ bytes: bytes && Array.from(bytes), isDone, itemId });
+
+    const delta = Buffer.from([1, 2, 3, 4]).toString("base64");
+    socket.receive({ type: "response.audio.delta", delta, item_id: "item_a" });
+    socket.receive({ type: "response.audio.done", item_id: "item_a" });
+
+    assert.deepEqual(calls, [
+      { bytes: [1, 2, 3, 4], isDone: false, itemId: "item_a" },
+      { bytes: null, isDone: true, itemId: "item_a" },
+    ]);
+  });
+
+  it("acompanha a resposta atual entre response.created e response.done", () => {
+    socket.receive({ type: "response.created", response: { id: "resp_1" } });
+    assert.equal(manager.currentResponseId, "resp_1");
+
+    socket.receive({ type: "response.created", response: { id: "resp_2" } });
+    socket.receive({ type: "response.done", response: { id: "resp_2" } });
+    assert.equal(manager.currentResponseId, "resp_1");
+
+    socket.receive({ type: "response.done", response: { id: "resp_1" } });
+    assert.equal(manager.currentResponseId, null);
+  });
+
+  it("encaminha as transcrições parciais e finais do usuário", () => {
+    const calls = [];
+    manager.onInputTranscript = (itemId, text, isFinal) =>
+      calls.push([itemId, text, isFinal]);
+
+    socket.receive({
+      type: "conversation.item.input_audio_transcription.delta",
+      item_id: "item_u",
+      delta: "bom",
+    });
+    socket.receive({
+      type: "conversation.item.input_audio_transcription.completed",
+      item_id: "item_u",
+      transcript: "bom dia",
+    });
+
+    assert.deepEqual(calls, [
+      ["item_u", "bom", false],
+      ["item_u", "bom dia", true],
+    ]);
+  });
+
+  it("mantém respostas fora da conversa longe do chat", async () => {
+    const chatDeltas = [];
+    manager.onTextResponse = (text) => chatDeltas.push(text);
+    const deltas = [];
+
+    const result = manager.createOutOfBandResponse({
+      onDelta: (delta) => deltas.push(delta),
+    });
+    const request = socket.sentEvents().pop();
+    const requestId = request.response.metadata.client_request_id;
+    assert.equal(request.response.conversation, "none");
+
+    socket.receive({
+      type: "response.created",
+      response: { id: "resp_oob", metadata: { client_request_id: requestId } },
+    });
+    socket.receive({
+      type: "response.text.delta",
+      response_id: "resp_oob",
+      delta: "Resumo",
+    });
+    socket.receive({
+      type: "response.done",
+      response: { id: "resp_oob", status: "completed", output: [] },
+    });
+
+    const { text, status } = await result;
+    assert.equal(text, "Resumo");
+    assert.equal(status, "completed");
+    assert.deepEqual(deltas, ["Resumo"]);
+    assert.deepEqual(chatDeltas, []);
+    assert.equal(env.get("conversationStore").order.length, 0);
+  });
+
+  it("rejeita o pedido fora da conversa que causou um erro", async () => {
+    const result = manager.createOutOfBandResponse({});
+    const request = socket.sentEvents().pop();
+
+    socket.receive({
+      type: "error",
+      error: { message: "Falhou", event_id: request.event_id },
+    });
+
+    await assert.rejects(result, /Falhou/);
+  });
+
+  it("rejeita na hora o pedido fora da conversa que não foi enviado", async () => {
+    socket.send = () => {
+      throw new Error("socket fechado");
+    };
+
+    await assert.rejects(
+      manager.createOutOfBandResponse({}),
+      /Falha ao enviar/
+    );
+    assert.equal(manager.responseRequests.size, 0);
+  });
+
+  it("registra mensagens inválidas sem interromper o processamento", () => {
+    socket.onmessage({ data: "{ inválido" });
+
+    const logContent = env.window.document.getElementById("logContent");
+    assert.match(logContent.textContent, /Erro ao processar mensagem/);
+
+    socket.receive({ type: "session.created", session: { id: "sess_2" } });
+    assert.equal(manager.sessionId, "sess_2");
+  });
+});
+
+describe("WebSocketManager ferramentas", () => {
+  let env;
+  let manager;
+  let socket;
+
+  beforeEach(async () => {
+    env = createBrowserEnv();
+    manager = env.get("webSocketManager");
+    socket = await connectClient(env);
+    socket.receive({ type: "session.created", session: { id: "sess_1" } });
+    socket.sent.length = 0;
+  });
+
+  // Resposta com uma chamada de função, encerrada com o status informado
+  async function callTool(name, status) {
+    const base = {
+      response_id: "resp_1",
+      item_id: "item_fc",
+      call_id: "call_1",
+    };
+    socket.receive({ type: "response.created", response: { id: "resp_1" } });
+    socket.receive({
+      type: "response.function_call_arguments.done",
+      name,
+      arguments: "{}",
+      ...base,
+    });
+    socket.receive({
+      type: "response.done",
+      response: { id: "resp_1", status },
+    });
+    await flushPromises();
+  }
+
+  const sentTypes = () => socket.sentEvents().map((event) => event.type);
+
+  it("envia output mesmo quando a ferramenta não retorna nada", async () => {
+    manager.registerTool("vazia", { parameters: {} }, async () => undefined);
+    await callTool("vazia", "completed");
+
+    const output = socket
+      .sentEvents()
+      .find((event) => event.type === "conversation.item.create");
+    assert.equal(output.item.type, "function_call_output");
+    assert.equal(output.item.output, "null");
+    assert.equal(sentTypes().at(-1), "response.create");
+  });
+
+  it("não pede a continuação de uma resposta cancelada", async () => {
+    manager.registerTool("hora", { parameters: {} }, async () => "12:00");
+    await callTool("hora", "cancelled");
+
+    assert.equal(sentTypes().includes("conversation.item.create"), true);
+    assert.equal(sentTypes().includes("response.create"), false);
+    assert.equal(manager.toolCallPromises.size, 0);
+  });
+});
+
+describe("WebSocketManager.attemptReconnect", () => {
+  let env;
+  let manager;
+
+  beforeEach(() => {
+    env = createBrowserEnv();
+    manager = env.get("webSocketManager");
+  });
+
+  // Último atraso agendado com setTimeout (a reconexão é a última a agendar)
+  const lastDelay = () => env.timers.requestedDelays.at(-1);
+
+  it("aumenta o intervalo em 1,5x a cada tentativa e desiste no limite", async () => {
+    let disconnected = false;
+    manager.onDisconnect = () => {
+      disconnected = true;
+    };
+
+    const socket = await connectClient(env);
+    socket.drop();
+
+    const delays = [];
+    for (let attempt = 1; attempt <= manager.maxReconnectAttempts; attempt++) {
+      delays.push(lastDelay());
+      assert.equal(manager.reconnectAttempts, attempt);
+
+      // A nova tentativa só acontece depois do atraso
+      const created = env.FakeWebSocket.instances.length;
+      env.timers.tick(lastDelay() - 1);
+      await flushPromises();
+      assert.equal(env.FakeWebSocket.instances.length, created);
+
+      env.timers.tick(1);
+      await flushPromises();
+      assert.equal(env.FakeWebSocket.instances.length, created + 1);
+      env.FakeWebSocket.last().drop();
+    }
+
+    assert.deepEqual(delays, [2000, 3000, 4500, 6750, 10125]);
+    assert.equal(disconnected, true);
+    assert.equal(manager.reconnectAttempts, manager.maxReconnectAttempts);
+  });
+
+  it("recomeça o backoff depois de uma reconexão bem-sucedida", async () => {
+    const socket = await connectClient(env);
+    socket.drop();
+    assert.equal(lastDelay(), 2000);
+
+    env.timers.tick(2000);
+    await flushPromises();
+    env.FakeWebSocket.last().open();
+    assert.equal(manager.reconnectAttempts, 0);
+
+    env.FakeWebSocket.last().drop();
+    assert.equal(lastDelay(), 2000);
+  });
+
+  it("não reconecta após um fechamento normal", async () => {
+    const socket = await connectClient(env);
+    socket.drop(1000);
+
+    assert.equal(manager.reconnectAttempts, 0);
+    env.timers.tick(60000);
+    await flushPromises();
+    assert.equal(env.FakeWebSocket.instances.length, 1);
+  });
+
+  it("notifica a perda da conexão somente se ela estava aberta", async () => {
+    let lost = 0;
+    manager.onConnectionLost = () => lost++;
+
+    const socket = await connectClient(env);
+    socket.drop();
+    assert.equal(lost, 1);
+
+    // A tentativa de reconexão falha antes de abrir
+    env.timers.tick(lastDelay());
+    await flushPromises();
+    env.FakeWebSocket.last().drop();
+    assert.equal(lost, 1);
+  });
+});
+
+describe("WebSocketManager buffer de áudio", () => {
+  let env;
+  let manager;
+  let socket;
+
+  beforeEach(async () => {
+    env = createBrowserEnv();
+    manager = env.get("webSocketManager");
+    socket = await connectClient(env);
+  });
+
+  const frame = (values) => new env.window.Int16Array(values);
+
+  it("não envia áudio sem conexão", () => {
+    manager.disconnect();
+
+    assert.equal(manager.appendAudioBuffer(frame([1, 2])), null);
+    assert.equal(manager.pendingAudioBuffers, 0);
+  });
+
+  it("conta os trechos enviados e zera a contagem ao confirmar", () => {
+    manager.appendAudioBuffer(frame([1, 2]));
+    manager.appendAudioBuffer(frame([3, 4]));
+    manager.appendAudioBuffer(frame([5, 6]));
+    assert.equal(manager.pendingAudioBuffers, 3);
+    assert.ok(manager.inputAudioStartedAt > 0);
+
+    assert.ok(manager.commitAudioBuffer());
+    assert.equal(manager.pendingAudioBuffers, 0);
+
+    const types = socket.sentEvents().map((event) => event.type);
+    assert.deepEqual(types, [
+      "input_audio_buffer.append",
+      "input_audio_buffer.append",
+      "input_audio_buffer.append",
+      "input_audio_buffer.commit",
+    ]);
+  });
+
+  it("não confirma um buffer vazio", () => {
+    assert.equal(manager.commitAudioBuffer(), null);
+    assert.equal(socket.sent.length, 0);
+  });
+
+  it("zera a contagem ao limpar o buffer", () => {
+    manager.appendAudioBuffer(frame([1, 2]));
+    manager.clearAudioBuffer();
+
+    assert.equal(manager.pendingAudioBuffers, 0);
+    assert.equal(socket.sentEvents().pop().type, "input_audio_buffer.clear");
+    assert.equal(manager.commitAudioBuffer(), null);
+  });
+
+  it("zera a contagem quando o VAD do servidor confirma o buffer", () => {
+    let committedItemId = null;
+    manager.onAudioCommitted = (itemId) => {
+      committedItemId = itemId;
+    };
+
+    manager.appendAudioBuffer(frame([1, 2]));
+    socket.receive({
+      type: "input_audio_buffer.committed",
+      item_id: "item_vad",
+    });
+
+    assert.equal(manager.pendingAudioBuffers, 0);
+    assert.equal(manager.inputAudioStartedAt, null);
+    assert.equal(committedItemId, "item_vad");
+    assert.ok(env.get("conversationStore").getAudioTiming("item_vad"));
+  });
+
+  it("envia as amostras em PCM16 little-endian", () => {
+    manager.appendAudioBuffer(frame([1, -2, 32767]));
+
+    const { audio } = socket.sentEvents()[0];
+    const bytes = Buffer.from(audio, "base64");
+    assert.deepEqual(
+      [bytes.readInt16LE(0), bytes.readInt16LE(2), bytes.readInt16LE(4)],
+      [1, -2, 32767]
+    );
+  });
+});
+
+describe("WebSocketManager base64", () => {
+  const env = createBrowserEnv();
+  const manager = env.get("webSocketManager");
+  const { Int16Array, Uint8Array } = env.window;
+
+  it("codifica Uint8Array como o Buffer do Node", () => {
+    const bytes = new Uint8Array([0, 1, 127, 128, 255]);
+    assert.equal(
+      manager.arrayToBase64(bytes),
+      Buffer.from([0, 1, 127, 128, 255]).toString("base64")
+    );
+  });
+
+  it("codifica apenas a parte visível de um Int16Array", () => {
+    const samples = new Int16Array([100, -100, 200, -200]).subarray(1, 3);
+    const expected = Buffer.alloc(4);
+    expected.writeInt16LE(-100, 0);
+    expected.writeInt16LE(200, 2);
+
+    assert.equal(manager.arrayToBase64(samples), expected.toString("base64"));
+  });
+
+  it("decodifica de volta os mesmos bytes", () => {
+    const original = Array.from({ length: 256 }, (_, i) => i);
+    const encoded = manager.arrayToBase64(new Uint8Array(original));
+
+    assert.deepEqual(Array.from(manager.base64ToUint8Array(encoded)), original);
+  });
+
+  it("trata a string vazia", () => {
+    assert.equal(manager.arrayToBase64(new Uint8Array(0)), "");
+    assert.equal(manager.base64ToUint8Array("").length, 0);
+  });
+});